@@ -1,8 +1,19 @@
 import React, { useState, useRef } from 'react';
 import Editor from '@monaco-editor/react';
 import axios from 'axios';
-import { Play, Moon, Code, Terminal } from 'lucide-react';
+import {
+  Play, Moon, Code, Terminal, AlertCircle, AlertTriangle, Download,
+  FilePlus, FolderPlus, Folder, FolderOpen, FileCode, Pencil, Trash2, Star, X, RotateCcw, Square, Link,
+  Wallet, Lock, Unlock, RefreshCw
+} from 'lucide-react';
 import { configureCompactLanguage, compactExamples } from './monaco/compactLanguage';
+import {
+  formatCompactType, formatSignature, initialInputValue, toCircuitArgument, validateInputValue
+} from './compactTypes';
+import {
+  baseName, buildFileTree, compiledContractImport, contractNameFromEntry, getFileLanguage, isInside, joinPath,
+  parentOf, renamePath, retargetContractImports, validateContractName, validateName
+} from './project';
 
 const NODE_ENV = 'production';
 
@@ -11,9 +22,100 @@ const API_BASE_URL = NODE_ENV === 'production'
   ? 'https://midnight.wego.pics' 
   : 'http://localhost:3001';
 
+// Each browser session compiles in its own isolated workspace on the server
+const getSessionId = () => {
+  const storageKey = 'compact-ide-session-id';
+  let sessionId = window.sessionStorage.getItem(storageKey);
+  if (!sessionId) {
+    sessionId = window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    window.sessionStorage.setItem(storageKey, sessionId);
+  }
+  return sessionId;
+};
+
+const SESSION_ID = getSessionId();
+
+// Unlike the session, the client id outlives the tab, deployments are recorded under it
+const getClientId = () => {
+  const storageKey = 'compact-ide-client-id';
+  let clientId = window.localStorage.getItem(storageKey);
+  if (!clientId) {
+    clientId = window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    window.localStorage.setItem(storageKey, clientId);
+  }
+  return clientId;
+};
+
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: { 'X-Session-Id': SESSION_ID, 'X-Client-Id': getClientId() }
+});
+
+const JOB_POLL_INTERVAL = 1000;
+
+// Milliseconds to wait after the last edit before updating the outline
+const OUTLINE_DELAY = 500;
+
+// Compile and deploy run as server-side jobs, poll until the job has finished
+const waitForJob = async (jobId, onProgress) => {
+  while (true) {
+    const response = await api.get(`/api/jobs/${jobId}`);
+    const job = response.data.job;
+
+    if (job.status === 'succeeded' || job.status === 'failed') {
+      return job;
+    }
+
+    onProgress(job);
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+  }
+};
+
+// Follow a job over Server-Sent Events, receiving compiler output line by line.
+// Falls back to polling when the event stream cannot be kept open.
+const streamJob = (jobId, { onLine, onProgress }) => {
+  if (!window.EventSource) {
+    return waitForJob(jobId, onProgress);
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = `${API_BASE_URL}/api/jobs/${jobId}/events?session=${encodeURIComponent(SESSION_ID)}`;
+    const events = new EventSource(url);
+
+    events.addEventListener('log', (event) => {
+      const { text } = JSON.parse(event.data);
+      onLine(text);
+    });
+
+    events.addEventListener('status', (event) => {
+      onProgress(JSON.parse(event.data));
+    });
+
+    events.addEventListener('done', (event) => {
+      events.close();
+      resolve(JSON.parse(event.data));
+    });
+
+    events.onerror = () => {
+      // The browser reconnects by itself unless the stream was closed for good
+      if (events.readyState === EventSource.CLOSED) {
+        waitForJob(jobId, onProgress).then(resolve, reject);
+      }
+    };
+  });
+};
+
+// A job either carries the workspace result or the error that aborted it
+const getJobResult = (job) => job.result || { success: false, errors: [job.error || 'Job failed'] };
+
 const CONTRACT_COMPACT = ``;
 
-const WITNESSES_TS = `import { Ledger } from "./managed/bboard/contract/index.cjs";
+// Witnesses import the ledger type from the compiled contract, which is named after the contract
+const createWitnessesTs = (contractName) => `import { Ledger } from "${compiledContractImport(contractName)}";
 import { WitnessContext } from "@midnight-ntwrk/compact-runtime";
 
 export type BBoardPrivateState = {
@@ -33,23 +135,628 @@ export const witnesses = {
   ] => [privateState, privateState.secretKey],
 }; `
 
+// A new project starts with an entry contract and its witnesses
+const DEFAULT_ENTRY = 'contract.compact';
+
+const DEFAULT_FILES = {
+  [DEFAULT_ENTRY]: CONTRACT_COMPACT,
+  'witnesses.ts': createWitnessesTs(contractNameFromEntry(DEFAULT_ENTRY))
+};
+
+// Keep the entry contract if it still exists, otherwise fall back to the first .compact file
+const pickEntry = (files, entry) => {
+  if (entry && entry.endsWith('.compact') && entry in files) {
+    return entry;
+  }
+  return Object.keys(files).filter(file => file.endsWith('.compact')).sort()[0] || null;
+};
+
+// The server runs compact, then typecheck or build; name the one that stopped the run
+const describeFailedStage = (stages) => {
+  const [name, stage] = Object.entries(stages || {}).find(([, candidate]) => !candidate.success) || [];
+  if (!stage) {
+    return null;
+  }
+  return `Stage ${name} failed: ${stage.error || `exit code ${stage.exitCode}`}`;
+};
+
+const formatCompiler = (compiler) =>
+  `Compiled with compactc ${compiler.version}` +
+  (compiler.languageVersion ? ` (language version ${compiler.languageVersion})` : '');
+
+// The server reports files relative to the project root, so they match the
+// editor model paths unless the problem is in a file outside the project
+const formatDiagnostic = (diagnostic) => {
+  const code = diagnostic.code ? ` ${diagnostic.code}` : '';
+  return `${diagnostic.file}:${diagnostic.line}:${diagnostic.column} ${diagnostic.severity}${code}: ${diagnostic.message}`;
+};
+
+// Render the interface of a compiled contract for the output panel
+const formatContractInterface = (contractInfo) => {
+  let text = '--- Contract Interface ---\n';
+
+  if (contractInfo.circuits.length > 0) {
+    text += 'Circuits:\n';
+    contractInfo.circuits.forEach(circuit => {
+      text += `• ${formatSignature(circuit)}${circuit.pure ? '  [pure]' : ''}\n`;
+    });
+  }
+
+  if (contractInfo.witnesses.length > 0) {
+    text += 'Witnesses:\n';
+    contractInfo.witnesses.forEach(witness => {
+      text += `• ${formatSignature(witness)}\n`;
+    });
+  }
+
+  if (contractInfo.ledger.length > 0) {
+    text += 'Ledger:\n';
+    contractInfo.ledger.forEach(field => {
+      const modifiers = [field.exported && 'export', field.sealed && 'sealed'].filter(Boolean).join(' ');
+      text += `• ${field.name}: ${field.type}${modifiers ? `  [${modifiers}]` : ''}\n`;
+    });
+  }
+
+  return text + '\n';
+};
+
+const formatResultValue = (value) => JSON.stringify(value, null, 2);
+
+// Balances arrive as strings of the smallest unit, a millionth of a tDUST
+const DUST_DECIMALS = 6;
+const formatBalance = (balance) => {
+  const digits = String(balance).padStart(DUST_DECIMALS + 1, '0');
+  const fraction = digits.slice(-DUST_DECIMALS).replace(/0+$/, '');
+  return `${digits.slice(0, -DUST_DECIMALS)}${fraction ? `.${fraction}` : ''} tDUST`;
+};
+
+// Form widgets for one contract-info type, nesting for structs, vectors and tuples
+function TypeInput({ type, value, onChange, label }) {
+  const typeName = type && type['type-name'];
+
+  if (typeName === 'Struct' || typeName === 'Vector' || typeName === 'Tuple') {
+    const elements = typeName === 'Struct'
+      ? (type.elements || []).map(element => ({ key: element.name, label: element.name, type: element.type }))
+      : (typeName === 'Vector' ? value.map(() => type.type) : type.types || [])
+        .map((elementType, index) => ({ key: index, label: `[${index}]`, type: elementType }));
+    const update = (key, elementValue) => onChange(Array.isArray(value)
+      ? value.map((previous, index) => (index === key ? elementValue : previous))
+      : { ...value, [key]: elementValue });
+
+    return (
+      <fieldset className="type-input-group">
+        <legend>{label}: {formatCompactType(type)}</legend>
+        {elements.map(element => (
+          <TypeInput
+            key={element.key}
+            type={element.type}
+            value={value[element.key]}
+            onChange={(elementValue) => update(element.key, elementValue)}
+            label={element.label}
+          />
+        ))}
+      </fieldset>
+    );
+  }
+
+  let input;
+  if (typeName === 'Boolean') {
+    input = <input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} />;
+  } else if (typeName === 'Enum') {
+    input = (
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {(type.elements || []).map(member => <option key={member} value={member}>{member}</option>)}
+      </select>
+    );
+  } else {
+    const placeholders = {
+      Uint: `0 … ${type && type.maxval}`,
+      Field: 'field element',
+      Bytes: `${type && type.length} bytes as hex`
+    };
+    input = (
+      <input
+        type="text"
+        inputMode={typeName === 'Uint' || typeName === 'Field' ? 'numeric' : undefined}
+        className={value && validateInputValue(type, value) ? 'invalid' : ''}
+        value={value}
+        placeholder={placeholders[typeName] || formatCompactType(type)}
+        title={(value && validateInputValue(type, value, label)) || formatCompactType(type)}
+        spellCheck={false}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+
+  return (
+    <label className="type-input">
+      <span>{label}</span>
+      {input}
+    </label>
+  );
+}
+
+// Inputs for a circuit's arguments, with the result of its last call
+function CircuitForm({ circuit, result, disabled, onRun }) {
+  const [values, setValues] = useState(() => circuit.arguments.map(argument => initialInputValue(argument.type)));
+  const [inputError, setInputError] = useState(null);
+
+  const run = (e) => {
+    e.preventDefault();
+    const error = circuit.arguments
+      .map((argument, index) => validateInputValue(argument.type, values[index], argument.name))
+      .find(Boolean);
+    setInputError(error || null);
+    if (!error) {
+      onRun(circuit.name, circuit.arguments.map((argument, index) => toCircuitArgument(argument.type, values[index])));
+    }
+  };
+
+  return (
+    <form className="circuit-form" onSubmit={run}>
+      <div className="circuit-form-header">
+        <button type="submit" className="btn function-btn" disabled={disabled || (result && result.status === 'running')}>
+          {result && result.status === 'running' ? <div className="spinner"></div> : <Play size={12} />}
+          {circuit.name}
+        </button>
+        <span className="circuit-signature">{formatSignature(circuit)}{circuit.pure ? '  [pure]' : ''}</span>
+      </div>
+      {circuit.arguments.map((argument, index) => (
+        <TypeInput
+          key={argument.name}
+          type={argument.type}
+          value={values[index]}
+          onChange={(value) => setValues(previous => previous.map((current, i) => (i === index ? value : current)))}
+          label={argument.name}
+        />
+      ))}
+      {inputError && <div className="circuit-result circuit-error">{inputError}</div>}
+      {result && result.status === 'success' && (
+        <div className="circuit-result">
+          Returned {formatResultValue(result.returnValue)}
+          {result.txHash ? `\nTransaction ${result.txHash} in block ${result.blockHeight}` : ''}
+          {result.evaluatedLocally ? '\nEvaluated locally, no state changed so no transaction was needed' : ''}
+        </div>
+      )}
+      {result && result.status === 'error' && <div className="circuit-result circuit-error">{result.error}</div>}
+    </form>
+  );
+}
+
+// Connect to a contract deployed earlier by its address
+function JoinForm({ disabled, onJoin }) {
+  const [address, setAddress] = useState('');
+
+  const join = (e) => {
+    e.preventDefault();
+    onJoin(address.trim());
+  };
+
+  return (
+    <form className="join-form" onSubmit={join}>
+      <input
+        type="text"
+        value={address}
+        placeholder="Contract address"
+        spellCheck={false}
+        onChange={(e) => setAddress(e.target.value)}
+      />
+      <button type="submit" disabled={disabled || !address.trim()} title="Use the contract deployed at this address">
+        <Link size={12} />
+        Connect to address
+      </button>
+    </form>
+  );
+}
+
+// Create a wallet, or import one from its recovery phrase or seed, stored encrypted with the passphrase
+function NewWalletForm({ disabled, onCreate }) {
+  const [name, setName] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [secret, setSecret] = useState('');
+
+  const create = async (e) => {
+    e.preventDefault();
+    const imported = secret.trim();
+    // Recovery phrases are words, seeds are a single hex string
+    const wallet = { name: name.trim(), passphrase };
+    if (imported) {
+      wallet[/\s/.test(imported) ? 'mnemonic' : 'seed'] = imported;
+    }
+    if (await onCreate(wallet)) {
+      setName('');
+      setPassphrase('');
+      setSecret('');
+    }
+  };
+
+  return (
+    <form className="wallet-form" onSubmit={create}>
+      <input type="text" value={name} placeholder="Wallet name" onChange={(e) => setName(e.target.value)} />
+      <input
+        type="password"
+        value={passphrase}
+        placeholder="Passphrase (8+ characters)"
+        autoComplete="new-password"
+        onChange={(e) => setPassphrase(e.target.value)}
+      />
+      <input
+        type="password"
+        value={secret}
+        placeholder="Recovery phrase or seed to import (optional)"
+        autoComplete="off"
+        spellCheck={false}
+        onChange={(e) => setSecret(e.target.value)}
+      />
+      <button type="submit" disabled={disabled || !name.trim() || !passphrase}>
+        <Wallet size={12} />
+        {secret.trim() ? 'Import wallet' : 'Create wallet'}
+      </button>
+    </form>
+  );
+}
+
+// The wallets of this browser and the one testnet calls are paid with
+function WalletPanel({ wallets, activeWalletId, info, backup, disabled, actions }) {
+  const [selected, setSelected] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const active = wallets.find(wallet => wallet.id === activeWalletId);
+  const selectedId = selected || (wallets[0] && wallets[0].id) || '';
+
+  const unlock = async (e) => {
+    e.preventDefault();
+    if (await actions.activateWallet(selectedId, passphrase)) {
+      setPassphrase('');
+    }
+  };
+
+  return (
+    <div className="wallet-panel">
+      <h4>Wallet</h4>
+      {backup && (
+        <div className="wallet-backup">
+          <span>Recovery phrase of {backup.name}, write it down: it is only shown now and restores the wallet</span>
+          <pre>{backup.mnemonic}</pre>
+          <button onClick={actions.dismissWalletBackup}>
+            <X size={12} />
+            I wrote it down
+          </button>
+        </div>
+      )}
+      {active ? (
+        <div className="wallet-active">
+          <span className="wallet-name">
+            <Unlock size={12} />
+            {active.name}
+          </span>
+          {(info || active.address) && (
+            <span className="wallet-address" title={(info || active).address}>{(info || active).address}</span>
+          )}
+          <span className="wallet-meta">
+            {info ? `${formatBalance(info.balance)} on ${info.network}` : 'Balance not read yet'}
+          </span>
+          <span className="deployment-actions">
+            <button title="Sync the wallet with testnet and read its balance" onClick={actions.refreshWallet} disabled={disabled}>
+              <RefreshCw size={12} />
+              Balance
+            </button>
+            <button title="Stop using this wallet in this tab" onClick={actions.deactivateWallet} disabled={disabled}>
+              <Lock size={12} />
+              Lock
+            </button>
+            <button title="Delete this wallet, make sure its seed is backed up" onClick={() => actions.deleteWallet(active)} disabled={disabled}>
+              <Trash2 size={12} />
+              Delete
+            </button>
+          </span>
+        </div>
+      ) : (
+        <div className="run-hint">
+          Unlock a wallet to pay for deploys and calls{wallets.length === 0 ? ', create or import one first' : ''}
+        </div>
+      )}
+      {wallets.length > 0 && (
+        <form className="wallet-form" onSubmit={unlock}>
+          <select value={selectedId} onChange={(e) => setSelected(e.target.value)}>
+            {wallets.map(wallet => (
+              <option key={wallet.id} value={wallet.id}>{wallet.name}{wallet.imported ? ' (imported)' : ''}</option>
+            ))}
+          </select>
+          <input
+            type="password"
+            value={passphrase}
+            placeholder="Passphrase"
+            autoComplete="current-password"
+            onChange={(e) => setPassphrase(e.target.value)}
+          />
+          <button type="submit" disabled={disabled || !selectedId || !passphrase}>
+            <Unlock size={12} />
+            Unlock
+          </button>
+        </form>
+      )}
+      <NewWalletForm disabled={disabled} onCreate={actions.createWallet} />
+    </div>
+  );
+}
+
+// Contracts deployed earlier from this browser, to reopen their sources or rejoin them
+function DeploymentList({ deployments, current, disabled, actions }) {
+  return (
+    <div className="deployment-list">
+      <h4>Deployments</h4>
+      {deployments.map(record => (
+        <div
+          key={record.id}
+          className={`deployment-item${current && current.contractAddress === record.contractAddress ? ' active' : ''}`}
+        >
+          <span className="deployment-address" title={record.contractAddress}>{record.contractAddress}</span>
+          <span className="deployment-meta">
+            {record.network} · block {record.blockHeight === null ? '?' : record.blockHeight} · {new Date(record.deployedAt).toLocaleString()}
+          </span>
+          <span className="deployment-actions">
+            <button
+              title={record.sourceHash ? 'Open the sources it was deployed from' : 'Its sources were not recorded'}
+              onClick={() => actions.openDeployment(record)}
+              disabled={disabled || !record.sourceHash}
+            >
+              <FolderOpen size={12} />
+              Open
+            </button>
+            <button
+              title={record.sourceHash ? 'Build the sources it was deployed from and connect to it' : 'Its sources were not recorded'}
+              onClick={() => actions.rejoin(record)}
+              disabled={disabled || !record.sourceHash}
+            >
+              <Link size={12} />
+              Rejoin
+            </button>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Call the compiled contract's circuits in the simulator or on the deployed contract
+function RunPanel({ contractInfo, target, simulation, deployment, deployments, walletState, results, error, busy, actions }) {
+  const simulated = target === 'simulator';
+  const ready = simulated ? simulation !== null : true;
+  const state = simulated ? simulation : deployment;
+
+  return (
+    <div className="run-panel">
+      <div className="panel-header run-header">
+        <Play size={14} />
+        Run
+        <select value={target} onChange={(e) => actions.setTarget(e.target.value)} disabled={busy}>
+          <option value="simulator">Simulator (local)</option>
+          <option value="testnet">Deployed contract (testnet)</option>
+        </select>
+        {simulated && simulation && (
+          <span className="function-count">
+            ({simulation.calls} call{simulation.calls === 1 ? '' : 's'}{simulation.stale ? ', project changed since start' : ''})
+          </span>
+        )}
+        {simulated && (
+          <span className="run-actions">
+            <button
+              title={contractInfo ? 'Run the constructor with fresh state' : 'Compile the contract first'}
+              onClick={actions.startSimulator}
+              disabled={busy || !contractInfo}
+            >
+              <RotateCcw size={12} />
+              {simulation ? 'Restart' : 'Start'}
+            </button>
+            {simulation && (
+              <button title="Stop the simulator" onClick={actions.stopSimulator} disabled={busy}>
+                <Square size={12} />
+                Stop
+              </button>
+            )}
+          </span>
+        )}
+      </div>
+
+      <div className="run-content">
+        {error && <div className="circuit-result circuit-error">{error}</div>}
+        {!contractInfo && <div className="run-hint">Compile the contract to call its circuits</div>}
+        {contractInfo && !ready && <div className="run-hint">Start the simulator to call circuits</div>}
+        {!simulated && (
+          <WalletPanel
+            wallets={walletState.wallets}
+            activeWalletId={walletState.activeWalletId}
+            info={walletState.info}
+            backup={walletState.backup}
+            disabled={busy}
+            actions={actions}
+          />
+        )}
+        {contractInfo && !simulated && !deployment && (
+          <div className="run-hint">
+            The first call deploys the contract to testnet, which takes a few minutes, unless you connect to a
+            contract deployed earlier from the same sources
+          </div>
+        )}
+        {contractInfo && !simulated && <JoinForm disabled={busy} onJoin={actions.join} />}
+        {!simulated && deployments.length > 0 && (
+          <DeploymentList deployments={deployments} current={deployment} disabled={busy} actions={actions} />
+        )}
+
+        {contractInfo && ready && contractInfo.circuits.map(circuit => (
+          <CircuitForm
+            key={`${target}-${circuit.name}-${formatSignature(circuit)}`}
+            circuit={circuit}
+            result={results[circuit.name]}
+            disabled={busy}
+            onRun={actions.call}
+          />
+        ))}
+
+        {state && (
+          <div className="run-state">
+            <h4>Contract</h4>
+            <pre>{state.contractAddress}</pre>
+            <h4>Ledger</h4>
+            <pre>{formatResultValue(state.ledgerState)}</pre>
+            {state.privateState !== undefined && (
+              <>
+                <h4>Private state</h4>
+                <pre>{formatResultValue(state.privateState)}</pre>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// One folder of the file explorer with its subfolders and files
+function FileTreeNode({ node, depth, activeFile, entryFile, collapsedFolders, actions }) {
+  const indent = { paddingLeft: `${8 + depth * 12}px` };
+
+  return (
+    <>
+      {node.folders.map(folder => {
+        const collapsed = collapsedFolders.includes(folder.path);
+        return (
+          <React.Fragment key={folder.path}>
+            <div className="explorer-item" style={indent} onClick={() => actions.toggleFolder(folder.path)}>
+              {collapsed ? <Folder size={14} /> : <FolderOpen size={14} />}
+              <span className="explorer-name">{folder.name}</span>
+              <span className="explorer-actions">
+                <button title="New file" onClick={(e) => { e.stopPropagation(); actions.createFile(folder.path); }}>
+                  <FilePlus size={12} />
+                </button>
+                <button title="New folder" onClick={(e) => { e.stopPropagation(); actions.createFolder(folder.path); }}>
+                  <FolderPlus size={12} />
+                </button>
+                <button title="Rename" onClick={(e) => { e.stopPropagation(); actions.rename(folder.path, true); }}>
+                  <Pencil size={12} />
+                </button>
+                <button title="Delete" onClick={(e) => { e.stopPropagation(); actions.remove(folder.path, true); }}>
+                  <Trash2 size={12} />
+                </button>
+              </span>
+            </div>
+            {!collapsed && (
+              <FileTreeNode
+                node={folder}
+                depth={depth + 1}
+                activeFile={activeFile}
+                entryFile={entryFile}
+                collapsedFolders={collapsedFolders}
+                actions={actions}
+              />
+            )}
+          </React.Fragment>
+        );
+      })}
+      {node.files.map(file => (
+        <div
+          key={file.path}
+          className={`explorer-item${file.path === activeFile ? ' active' : ''}`}
+          style={indent}
+          onClick={() => actions.openFile(file.path)}
+        >
+          <FileCode size={14} />
+          <span className="explorer-name">{file.name}</span>
+          {file.path === entryFile && (
+            <span className="entry-badge" title="Entry contract">
+              <Star size={12} />
+            </span>
+          )}
+          <span className="explorer-actions">
+            {file.path.endsWith('.compact') && file.path !== entryFile && (
+              <button title="Use as entry contract" onClick={(e) => { e.stopPropagation(); actions.setEntry(file.path); }}>
+                <Star size={12} />
+              </button>
+            )}
+            <button title="Rename" onClick={(e) => { e.stopPropagation(); actions.rename(file.path, false); }}>
+              <Pencil size={12} />
+            </button>
+            <button title="Delete" onClick={(e) => { e.stopPropagation(); actions.remove(file.path, false); }}>
+              <Trash2 size={12} />
+            </button>
+          </span>
+        </div>
+      ))}
+    </>
+  );
+}
+
+function OutlineNode({ entries, depth, onSelect }) {
+  return entries.map(entry => (
+    <React.Fragment key={`${entry.kind}:${entry.name}:${entry.range.start.offset}`}>
+      <div
+        className="explorer-item outline-item"
+        style={{ paddingLeft: `${16 + depth * 12}px` }}
+        title={`${entry.kind} ${entry.name} ${entry.detail}`.trim()}
+        onClick={() => onSelect(entry.selectionRange.start)}
+      >
+        <span className={`outline-kind outline-kind-${entry.kind}`}>{entry.kind}</span>
+        <span className="explorer-name">
+          {entry.name}
+          {entry.detail && <span className="outline-detail"> {entry.detail}</span>}
+        </span>
+      </div>
+      <OutlineNode entries={entry.children} depth={depth + 1} onSelect={onSelect} />
+    </React.Fragment>
+  ));
+}
+
 function App() {
-  const [activeTab, setActiveTab] = useState('contract');
-  const [contractCode, setContractCode] = useState(CONTRACT_COMPACT);
-  const [witnessesCode, setWitnessesCode] = useState(WITNESSES_TS);
+  const [files, setFiles] = useState(DEFAULT_FILES);
+  const [folders, setFolders] = useState([]);
+  const [entryFile, setEntryFile] = useState(DEFAULT_ENTRY);
+  const [openFiles, setOpenFiles] = useState(Object.keys(DEFAULT_FILES));
+  const [activeFile, setActiveFile] = useState(DEFAULT_ENTRY);
+  const [collapsedFolders, setCollapsedFolders] = useState([]);
+  // Empty unless the user picks a name, then the entry file's name is used
+  const [customContractName, setCustomContractName] = useState('');
   const [output, setOutput] = useState('');
   const [isCompiling, setIsCompiling] = useState(false);
   const [lastCompileTime, setLastCompileTime] = useState(null);
+  const [lastCompileCached, setLastCompileCached] = useState(false);
+  const [compilers, setCompilers] = useState([]);
+  // 'auto' lets the server pick a compiler matching the contract's pragma
+  const [compilerVersion, setCompilerVersion] = useState('auto');
+  const [lastCompiler, setLastCompiler] = useState(null);
+  // Quick checks while editing; a full build also generates the ZK keys
+  const [compileMode, setCompileMode] = useState('check');
+  const [lastCompileMode, setLastCompileMode] = useState(null);
   const [examples, setExamples] = useState({});
   const [contractInfo, setContractInfo] = useState(null);
   const [isDeploying, setIsDeploying] = useState(false);
-  const [availableFunctions, setAvailableFunctions] = useState([]);
   const [leftPanelWidth, setLeftPanelWidth] = useState(60); // Percentage
   const [isDragging, setIsDragging] = useState(false);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [runTarget, setRunTarget] = useState('simulator');
+  const [simulation, setSimulation] = useState(null);
+  const [deployment, setDeployment] = useState(null);
+  // Recorded deployments of the contract, newest first
+  const [deployments, setDeployments] = useState([]);
+  // Stored wallets, the one this tab unlocked and its last read address and balance
+  const [walletState, setWalletState] = useState({ wallets: [], activeWalletId: null, info: null, backup: null });
+  // Result of the last call of each circuit: { status: 'running' | 'success' | 'error', ... }
+  const [circuitResults, setCircuitResults] = useState({});
+  const [runError, setRunError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  // Declarations of the active .compact file: { file, entries, errors }
+  const [outline, setOutline] = useState(null);
   const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const outputRef = useRef(null);
+  const pendingRevealRef = useRef(null);
+
+  const contractName = customContractName || contractNameFromEntry(entryFile || DEFAULT_ENTRY);
+  const contractNameError = customContractName ? validateContractName(customContractName) : null;
+  const previousContractNameRef = useRef(contractName);
 
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
+    monacoRef.current = monaco;
     
     try {
       // Configure Compact language using modular configuration
@@ -68,63 +775,108 @@ function App() {
   };
 
   const compileCode = async () => {
-    // Get both contract and witnesses code regardless of active tab
-    const contractContent = contractCode;
-    const witnessesContent = witnessesCode;
-    
-    if (!contractContent.trim()) {
+    if (!entryFile) {
+      setOutput('Error: The project has no entry contract, add a .compact file');
+      return;
+    }
+    if (!files[entryFile].trim()) {
       setOutput('Error: No contract code to compile');
       return;
     }
+    if (contractNameError) {
+      setOutput(`Error: ${contractNameError}`);
+      return;
+    }
 
     setIsCompiling(true);
-    setOutput('🔨 Compiling contract using create-midnight-app...\nThis may take a few moments for the first compilation.');
+    setDiagnostics([]);
+    setOutput(`🔨 ${compileMode === 'check' ? 'Checking' : 'Compiling'} contract...\n\n`);
 
     try {
-      const response = await axios.post(`${API_BASE_URL}/api/compile`, { 
-        contractCode: contractContent,
-        witnessesCode: witnessesContent,
+      // The server writes out the whole project before compiling the entry contract
+      const response = await api.post('/api/compile', { 
+        files,
+        entry: entryFile,
+        name: contractName,
+        compilerVersion,
+        mode: compileMode,
         options: {
           execute: false // Just compile for now
         }
       });
+
+      const job = await streamJob(response.data.jobId, {
+        onLine: (line) => setOutput(previous => `${previous}${line}\n`),
+        onProgress: (pendingJob) => {
+          if (pendingJob.status === 'queued') {
+            setOutput(`⏳ Waiting for a free compiler (position ${pendingJob.queuePosition} in queue)...\n`);
+          } else {
+            setOutput(previous => previous.startsWith('⏳') ? '🔨 Compiling contract...\n\n' : previous);
+          }
+        }
+      });
+      const result = getJobResult(job);
+      setDiagnostics(result.diagnostics || []);
       
-      if (response.data.success) {
+      if (result.success) {
         let outputText = '✅ Compilation Successful!\n\n';
+
+        if (result.compiler) {
+          outputText += `🧰 ${formatCompiler(result.compiler)}\n\n`;
+        }
+
+        if (result.mode === 'check') {
+          outputText += '⚡ Check only: no proving or verifying keys were generated, use a full build for those\n\n';
+        }
+
+        if (result.cached) {
+          outputText += '♻️ Restored from compile cache (sources and compiler unchanged)\n\n';
+        }
+
+        const warnings = (result.diagnostics || []).filter(diagnostic => diagnostic.severity === 'warning');
+        if (warnings.length > 0) {
+          outputText += '⚠️ ' + warnings.map(formatDiagnostic).join('\n\n⚠️ ') + '\n\n';
+        }
         
-        if (response.data.output) {
-          outputText += '--- Build Output ---\n' + response.data.output + '\n\n';
+        if (result.output) {
+          outputText += '--- Build Output ---\n' + result.output + '\n\n';
         }
         
-        if (response.data.contractInfo && response.data.contractInfo.functions.length > 0) {
-          outputText += '--- Available Functions ---\n';
-          response.data.contractInfo.functions.forEach(func => {
-            outputText += `• ${func}()\n`;
-          });
-          outputText += '\n';
-          setContractInfo(response.data.contractInfo);
-          console.log('Contract info loaded:', response.data.contractInfo);
+        if (result.contractInfo) {
+          outputText += formatContractInterface(result.contractInfo);
+          setContractInfo(result.contractInfo);
+          console.log('Contract info loaded:', result.contractInfo);
           // Use contractInfo for future function execution features
         }
         
-        if (response.data.errors && response.data.errors.length > 0) {
-          outputText += '--- Warnings ---\n' + response.data.errors.join('\n') + '\n\n';
+        if (result.errors && result.errors.length > 0) {
+          outputText += '--- Warnings ---\n' + result.errors.join('\n') + '\n\n';
         }
         
         
         setOutput(outputText);
         setLastCompileTime(new Date().toLocaleTimeString());
+        setLastCompileCached(result.cached === true);
+        setLastCompiler(result.compiler || null);
+        setLastCompileMode(result.mode || 'full');
       } else {
         let errorText = '❌ Compilation Failed\n\n';
+
+        const failedStage = describeFailedStage(result.stages);
+        if (failedStage) {
+          errorText += `${failedStage}\n\n`;
+        }
         
-        if (response.data.errors && response.data.errors.length > 0) {
+        if (result.diagnostics && result.diagnostics.length > 0) {
+          errorText += result.diagnostics.map(formatDiagnostic).join('\n\n');
+        } else if (result.errors && result.errors.length > 0) {
           // Extract just the essential Compact error instead of showing full output
-          const fullError = response.data.errors.join('\n');
+          const fullError = result.errors.join('\n');
           const compactError = extractCompactError(fullError);
           errorText += compactError;
-        } else if (response.data.output) {
+        } else if (result.output) {
           // Also try to extract error from output if no specific errors array
-          const compactError = extractCompactError(response.data.output);
+          const compactError = extractCompactError(result.output);
           errorText += compactError;
         }
         
@@ -156,65 +908,86 @@ function App() {
   };
 
   const deployContract = async () => {
-    // Get both contract and witnesses code regardless of active tab
-    const contractContent = contractCode;
-    const witnessesContent = witnessesCode;
-    
-    if (!contractContent.trim()) {
+    if (!entryFile) {
+      setOutput('Error: The project has no entry contract, add a .compact file');
+      return;
+    }
+    if (!files[entryFile].trim()) {
       setOutput('Error: No contract code to deploy');
       return;
     }
+    if (contractNameError) {
+      setOutput(`Error: ${contractNameError}`);
+      return;
+    }
 
     setIsDeploying(true);
-    setOutput('🚀 Compiling and building contract to testnet using npm run compile and npm run build...\nThis may take a few minutes.');
+    setDiagnostics([]);
+    setOutput('🚀 Compiling and building contract...\n\n');
 
     try {
-      const response = await axios.post(`${API_BASE_URL}/api/deploy`, { 
-        contractCode: contractContent,
-        witnessesCode: witnessesContent
+      const response = await api.post('/api/deploy', { 
+        files,
+        entry: entryFile,
+        name: contractName,
+        compilerVersion
+      });
+
+      const job = await streamJob(response.data.jobId, {
+        onLine: (line) => setOutput(previous => `${previous}${line}\n`),
+        onProgress: (pendingJob) => {
+          if (pendingJob.status === 'queued') {
+            setOutput(`⏳ Waiting for a free compiler (position ${pendingJob.queuePosition} in queue)...\n`);
+          } else {
+            setOutput(previous => previous.startsWith('⏳') ? '🚀 Compiling and building contract...\n\n' : previous);
+          }
+        }
       });
+      const result = getJobResult(job);
+      setDiagnostics(result.diagnostics || []);
       
-      if (response.data.success) {
+      if (result.success) {
         let outputText = '✅ Compile and Build Successful!\n\n';
 
-        if (response.data.output) {
-          outputText += '--- Compile and Build Output ---\n' + response.data.output + '\n\n';
+        if (result.cached) {
+          outputText += '♻️ Contract restored from compile cache (sources and compiler unchanged)\n\n';
         }
-        
-        // Display available functions
-        if (response.data.functions && response.data.functions.length > 0) {
-          outputText += '--- Available Functions ---\n';
-          response.data.functions.forEach(func => {
-            outputText += `• ${func.displayName || func.name}\n`;
-          });
-          outputText += '\nYou can now execute these functions using the buttons below.\n\n';
-          
-          setAvailableFunctions(response.data.functions);
+
+        if (result.output) {
+          outputText += '--- Compile and Build Output ---\n' + result.output + '\n\n';
         }
-        
-        if (response.data.errors && response.data.errors.length > 0) {
-          outputText += '--- Warnings ---\n' + response.data.errors.join('\n') + '\n\n';
+
+        if (result.contractInfo) {
+          outputText += formatContractInterface(result.contractInfo);
+          setContractInfo(result.contractInfo);
+        }
+
+        if (result.errors && result.errors.length > 0) {
+          outputText += '--- Warnings ---\n' + result.errors.join('\n') + '\n\n';
         }
         
         
         
         setOutput(outputText);
         setLastCompileTime(new Date().toLocaleTimeString());
+        setLastCompileCached(result.cached === true);
       } else {
         let errorText = '❌ Compile and Build Failed\n\n';
 
-        console.log('🔍 SERVER RESPONSE DATA:', response.data);
+        console.log('🔍 SERVER RESPONSE DATA:', result);
 
         // Check output first as it often contains the actual TypeScript errors
-        if (response.data.output) {
-          console.log('🔍 CALLING extractCompactError WITH OUTPUT:', response.data.output);
-          const compactError = extractCompactError(response.data.output);
+        if (result.diagnostics && result.diagnostics.length > 0) {
+          errorText += result.diagnostics.map(formatDiagnostic).join('\n\n');
+        } else if (result.output) {
+          console.log('🔍 CALLING extractCompactError WITH OUTPUT:', result.output);
+          const compactError = extractCompactError(result.output);
           errorText += compactError;
           
       
-        } else if (response.data.errors && response.data.errors.length > 0) {
+        } else if (result.errors && result.errors.length > 0) {
           // Fallback to errors array
-          const fullError = response.data.errors.join('\n');
+          const fullError = result.errors.join('\n');
           console.log('🔍 CALLING extractCompactError WITH ERRORS:', fullError);
           const compactError = extractCompactError(fullError);
           errorText += compactError;
@@ -249,6 +1022,309 @@ function App() {
 
 
 
+  const setCircuitResult = (circuit, result) => setCircuitResults(previous => ({ ...previous, [circuit]: result }));
+
+  const responseError = (error) => (error.response && error.response.data && error.response.data.error) || error.message;
+
+  const startSimulator = async () => {
+    setIsRunning(true);
+    setRunError(null);
+    setCircuitResults({});
+    try {
+      const { data } = await api.post('/api/simulator/start');
+      setSimulation(data.success ? data : null);
+      if (!data.success) {
+        setRunError(data.error);
+      }
+    } catch (error) {
+      setRunError(responseError(error));
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const stopSimulator = async () => {
+    await api.delete('/api/simulator').catch(error => console.error('Error stopping simulator:', error));
+    setSimulation(null);
+    setCircuitResults({});
+  };
+
+  const callSimulatedCircuit = async (circuit, args) => {
+    try {
+      const { data } = await api.post('/api/simulator/call', { circuit, args });
+      if (data.success) {
+        setSimulation(previous => ({ ...previous, ...data, stale: false }));
+        setCircuitResult(circuit, { status: 'success', returnValue: data.returnValue });
+        return;
+      }
+      if (data.violation) {
+        // A broken limit ends the simulation
+        setSimulation(null);
+      }
+      setCircuitResult(circuit, { status: 'error', error: data.error });
+    } catch (error) {
+      setCircuitResult(circuit, { status: 'error', error: responseError(error) });
+      if (error.response && error.response.status === 409) {
+        const { data } = await api.get('/api/simulator').catch(() => ({ data: {} }));
+        setSimulation(data.simulation || null);
+      }
+    }
+  };
+
+  // Calls on testnet deploy the contract first and run as jobs, the CLI's output goes to the output panel
+  const callDeployedCircuit = async (circuit, args) => {
+    setOutput(`▶️ Calling ${circuit} on testnet...\n\n`);
+    try {
+      const response = await api.post('/api/execute', { circuit, args });
+      const job = await streamJob(response.data.jobId, {
+        onLine: (line) => setOutput(previous => `${previous}${line}\n`),
+        onProgress: () => {}
+      });
+      const result = getJobResult(job);
+      if (result.success) {
+        setDeployment({ contractAddress: result.contractAddress, ledgerState: result.ledgerState });
+        setCircuitResult(circuit, {
+          status: 'success',
+          returnValue: result.returnValue,
+          txHash: result.txHash,
+          blockHeight: result.blockHeight,
+          evaluatedLocally: result.evaluatedLocally
+        });
+      } else {
+        setCircuitResult(circuit, { status: 'error', error: (result.errors || []).join('\n') || 'The call failed' });
+      }
+    } catch (error) {
+      setCircuitResult(circuit, { status: 'error', error: responseError(error) });
+    }
+  };
+
+  // Joining runs as a job as well, the CLI checks the deployed contract is the compiled one
+  const joinDeployment = async (contractAddress) => {
+    setIsRunning(true);
+    setRunError(null);
+    setCircuitResults({});
+    setOutput(`🔗 Connecting to ${contractAddress} on testnet...\n\n`);
+    try {
+      const response = await api.post('/api/join', { contractAddress });
+      const job = await streamJob(response.data.jobId, {
+        onLine: (line) => setOutput(previous => `${previous}${line}\n`),
+        onProgress: () => {}
+      });
+      const result = getJobResult(job);
+      if (result.success) {
+        setDeployment({ contractAddress: result.contractAddress, ledgerState: result.ledgerState });
+        setOutput(previous => `${previous}\n✅ Connected to ${result.contractAddress}\n`);
+      } else {
+        setRunError((result.errors || []).join('\n') || 'Could not connect to the contract');
+      }
+    } catch (error) {
+      setRunError(responseError(error));
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  // Replace the whole project, e.g. with the sources a contract was deployed from
+  const openProject = (project) => {
+    // The sources already import the compiled contract by their own name
+    previousContractNameRef.current = project.name;
+    setFiles(project.files);
+    setFolders([]);
+    setEntryFile(project.entry);
+    setOpenFiles([project.entry]);
+    setActiveFile(project.entry);
+    setCustomContractName(project.name === contractNameFromEntry(project.entry) ? '' : project.name);
+    setDiagnostics([]);
+  };
+
+  const openDeployment = async (record) => {
+    setRunError(null);
+    try {
+      const { data } = await api.get(`/api/deployments/${record.id}`);
+      if (!data.project) {
+        setRunError('The sources of this deployment were not recorded');
+        return;
+      }
+      openProject(data.project);
+      setContractInfo(null);
+      setOutput(`📂 Opened the sources deployed to ${record.contractAddress}, compile them to call the contract\n`);
+    } catch (error) {
+      setRunError(responseError(error));
+    }
+  };
+
+  // Rejoining replaces the project with the deployed sources, builds them and joins, all in one job
+  const rejoinDeployment = async (record) => {
+    setIsRunning(true);
+    setRunError(null);
+    setCircuitResults({});
+    setOutput(`🔗 Rebuilding the sources of ${record.contractAddress} to rejoin it...\n\n`);
+    try {
+      const response = await api.post(`/api/deployments/${record.id}/rejoin`);
+      const job = await streamJob(response.data.jobId, {
+        onLine: (line) => setOutput(previous => `${previous}${line}\n`),
+        onProgress: () => {}
+      });
+      const result = getJobResult(job);
+      if (result.project) {
+        openProject(result.project);
+        setContractInfo(result.contractInfo || null);
+        setDiagnostics(result.diagnostics || []);
+      }
+      if (result.success) {
+        setDeployment({ contractAddress: result.contractAddress, ledgerState: result.ledgerState });
+        setOutput(previous => `${previous}\n✅ Connected to ${result.contractAddress}\n`);
+      } else {
+        setRunError((result.errors || []).join('\n') || 'Could not rejoin the contract');
+      }
+    } catch (error) {
+      setRunError(responseError(error));
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const loadWallets = async () => {
+    const { data } = await api.get('/api/wallets');
+    setWalletState(previous => ({
+      ...previous,
+      wallets: data.wallets,
+      activeWalletId: data.activeWalletId,
+      info: previous.info && previous.info.walletId === data.activeWalletId ? previous.info : null
+    }));
+  };
+
+  // Resolves with whether the wallet was stored, so the form knows to clear itself
+  const createWallet = async (wallet) => {
+    setRunError(null);
+    try {
+      const { data } = await api.post('/api/wallets', wallet);
+      setOutput(`🔐 Stored wallet ${data.wallet.name}, unlock it with its passphrase to use it\n`);
+      if (data.mnemonic) {
+        setWalletState(previous => ({ ...previous, backup: { name: data.wallet.name, mnemonic: data.mnemonic } }));
+      }
+      await loadWallets();
+      return true;
+    } catch (error) {
+      setRunError(responseError(error));
+      return false;
+    }
+  };
+
+  const activateWallet = async (walletId, passphrase) => {
+    setRunError(null);
+    try {
+      await api.post('/api/wallets/active', { walletId, passphrase });
+      await loadWallets();
+      return true;
+    } catch (error) {
+      setRunError(responseError(error));
+      return false;
+    }
+  };
+
+  const deactivateWallet = async () => {
+    setRunError(null);
+    try {
+      await api.delete('/api/wallets/active');
+      await loadWallets();
+    } catch (error) {
+      setRunError(responseError(error));
+    }
+  };
+
+  const deleteWallet = async (wallet) => {
+    if (!window.confirm(`Delete wallet ${wallet.name}? Its funds are lost unless you kept its seed.`)) {
+      return;
+    }
+    setRunError(null);
+    try {
+      await api.delete(`/api/wallets/${wallet.id}`);
+      await loadWallets();
+    } catch (error) {
+      setRunError(responseError(error));
+    }
+  };
+
+  // Reading the balance syncs the wallet with testnet, so it runs as a job
+  const refreshWallet = async () => {
+    setIsRunning(true);
+    setRunError(null);
+    setOutput('👛 Syncing the wallet with testnet...\n\n');
+    try {
+      const response = await api.post('/api/wallets/active/balance');
+      const job = await streamJob(response.data.jobId, {
+        onLine: (line) => setOutput(previous => `${previous}${line}\n`),
+        onProgress: () => {}
+      });
+      const result = getJobResult(job);
+      if (result.success) {
+        setWalletState(previous => ({ ...previous, info: result }));
+        setOutput(previous => `${previous}\n✅ ${result.address} holds ${formatBalance(result.balance)}\n`);
+      } else {
+        setRunError((result.errors || []).join('\n') || 'Could not read the wallet');
+      }
+    } catch (error) {
+      setRunError(responseError(error));
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const runActions = {
+    setTarget: (target) => {
+      setRunTarget(target);
+      setCircuitResults({});
+      setRunError(null);
+    },
+    startSimulator,
+    stopSimulator,
+    join: joinDeployment,
+    openDeployment,
+    rejoin: rejoinDeployment,
+    createWallet,
+    activateWallet,
+    deactivateWallet,
+    deleteWallet,
+    refreshWallet,
+    dismissWalletBackup: () => setWalletState(previous => ({ ...previous, backup: null })),
+    call: async (circuit, args) => {
+      setIsRunning(true);
+      setCircuitResult(circuit, { status: 'running' });
+      try {
+        await (runTarget === 'simulator' ? callSimulatedCircuit : callDeployedCircuit)(circuit, args);
+      } finally {
+        setIsRunning(false);
+      }
+    }
+  };
+
+  const downloadArtifacts = async () => {
+    try {
+      const response = await api.get('/api/artifacts', { responseType: 'blob' });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${contractName}-artifacts.zip`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      let message = error.message;
+      // Error responses arrive as a blob as well
+      if (error.response && error.response.data instanceof Blob) {
+        try {
+          message = JSON.parse(await error.response.data.text()).error || message;
+        } catch (parseError) {
+          // Keep the generic message
+        }
+      }
+      setOutput(`Error: Could not download build artifacts\n\n${message}`);
+    }
+  };
+
   // Function to extract just the essential Compact compiler error
   const extractCompactError = (errorText) => {
     if (!errorText) return errorText;
@@ -368,34 +1444,235 @@ function App() {
     return finalResult;
   };
 
-  const getCurrentCode = () => {
-    switch (activeTab) {
-      case 'contract':
-        return contractCode;
-      case 'witnesses':
-        return witnessesCode;
-      default:
-        return contractCode;
+  // Show compiler diagnostics as markers in the editor model of each file
+  React.useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!monaco) {
+      return;
+    }
+
+    Object.keys(files).forEach(file => {
+      const model = monaco.editor.getModel(monaco.Uri.parse(file));
+      if (!model) {
+        return;
+      }
+
+      const markers = diagnostics
+        .filter(diagnostic => diagnostic.file === file)
+        .map(diagnostic => {
+          const line = Math.min(diagnostic.line, model.getLineCount());
+          return {
+            startLineNumber: line,
+            startColumn: diagnostic.column,
+            endLineNumber: line,
+            endColumn: model.getLineMaxColumn(line),
+            severity: diagnostic.severity === 'warning' ? monaco.MarkerSeverity.Warning : monaco.MarkerSeverity.Error,
+            message: diagnostic.message,
+            source: diagnostic.source,
+            code: diagnostic.code || undefined
+          };
+        });
+
+      monaco.editor.setModelMarkers(model, 'compact-compiler', markers);
+    });
+  }, [diagnostics, activeFile, files]);
+
+  const revealDiagnostic = (diagnostic) => {
+    const editor = editorRef.current;
+    if (!editor) {
+      return;
     }
+
+    editor.revealLineInCenter(diagnostic.line);
+    editor.setPosition({ lineNumber: diagnostic.line, column: diagnostic.column });
+    editor.focus();
   };
 
-  const getCurrentLanguage = () => {
-    switch (activeTab) {
-      case 'contract':
-        return 'compact';
-      case 'witnesses':
-        return 'typescript';
-      default:
-        return 'compact';
+  const openDiagnostic = (diagnostic) => {
+    if (!(diagnostic.file in files)) {
+      return;
+    }
+
+    if (diagnostic.file === activeFile) {
+      revealDiagnostic(diagnostic);
+    } else {
+      pendingRevealRef.current = diagnostic;
+      openFile(diagnostic.file);
     }
   };
 
+  // Reveal the clicked problem once the editor has switched to its file
+  React.useEffect(() => {
+    if (pendingRevealRef.current) {
+      revealDiagnostic(pendingRevealRef.current);
+      pendingRevealRef.current = null;
+    }
+  }, [activeFile]);
+
+  // Parse the active file for the outline, once typing pauses
+  const activeSource = files[activeFile];
+  React.useEffect(() => {
+    if (!activeFile || !activeFile.endsWith('.compact') || activeSource === undefined) {
+      setOutline(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await api.post('/api/parse', { source: activeSource, file: activeFile });
+        if (!cancelled) {
+          setOutline({ file: activeFile, entries: data.outline, errors: data.errors });
+        }
+      } catch (error) {
+        console.error('Failed to parse file for the outline:', error);
+      }
+    }, OUTLINE_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeFile, activeSource]);
+
   const handleCodeChange = (value) => {
-    if (activeTab === 'contract') {
-      setContractCode(value);
-    } else if (activeTab === 'witnesses') {
-      setWitnessesCode(value);
+    if (activeFile) {
+      setFiles(previous => ({ ...previous, [activeFile]: value }));
+    }
+  };
+
+  const openFile = (file) => {
+    if (!openFiles.includes(file)) {
+      setOpenFiles([...openFiles, file]);
     }
+    setActiveFile(file);
+  };
+
+  const closeFile = (file) => {
+    const remaining = openFiles.filter(openFile => openFile !== file);
+    setOpenFiles(remaining);
+    if (file === activeFile) {
+      setActiveFile(remaining[remaining.length - 1] || null);
+    }
+  };
+
+  // Drop the editor models of files that left the project
+  const disposeModels = (paths) => {
+    const monaco = monacoRef.current;
+    if (!monaco) {
+      return;
+    }
+    paths.forEach(path => {
+      const model = monaco.editor.getModel(monaco.Uri.parse(path));
+      if (model) {
+        model.dispose();
+      }
+    });
+  };
+
+  const pathExists = (path) => path in files || folders.includes(path);
+
+  const createFile = (dir) => {
+    const name = window.prompt(`New file in ${dir || 'project root'}`, 'module.compact');
+    if (name === null) {
+      return;
+    }
+
+    const error = validateName(name.trim(), dir);
+    const path = joinPath(dir, name.trim());
+    if (error || pathExists(path)) {
+      window.alert(error || `${path} already exists`);
+      return;
+    }
+
+    setFiles({ ...files, [path]: '' });
+    setCollapsedFolders(collapsedFolders.filter(folder => folder !== dir));
+    setEntryFile(pickEntry({ ...files, [path]: '' }, entryFile));
+    openFile(path);
+  };
+
+  const createFolder = (dir) => {
+    const name = window.prompt(`New folder in ${dir || 'project root'}`, 'lib');
+    if (name === null) {
+      return;
+    }
+
+    const error = validateName(name.trim(), dir, { isFolder: true });
+    const path = joinPath(dir, name.trim());
+    if (error || pathExists(path)) {
+      window.alert(error || `${path} already exists`);
+      return;
+    }
+
+    setFolders([...folders, path]);
+    setCollapsedFolders(collapsedFolders.filter(folder => folder !== dir));
+  };
+
+  // Rename a file or a folder, moving everything inside it along
+  const renameItem = (path, isFolder) => {
+    const name = window.prompt(`Rename ${path}`, baseName(path));
+    if (name === null || name.trim() === baseName(path)) {
+      return;
+    }
+
+    const dir = parentOf(path);
+    const error = validateName(name.trim(), dir, { isFolder });
+    const newPath = joinPath(dir, name.trim());
+    if (error || pathExists(newPath)) {
+      window.alert(error || `${newPath} already exists`);
+      return;
+    }
+
+    const movedFiles = Object.fromEntries(
+      Object.entries(files).map(([file, content]) => [renamePath(file, path, newPath), content])
+    );
+    disposeModels(Object.keys(files).filter(file => renamePath(file, path, newPath) !== file));
+
+    setFiles(movedFiles);
+    setFolders(folders.map(folder => renamePath(folder, path, newPath)));
+    setCollapsedFolders(collapsedFolders.map(folder => renamePath(folder, path, newPath)));
+    setOpenFiles(openFiles.map(file => renamePath(file, path, newPath)));
+    setActiveFile(activeFile && renamePath(activeFile, path, newPath));
+    setEntryFile(pickEntry(movedFiles, entryFile && renamePath(entryFile, path, newPath)));
+    setDiagnostics([]);
+  };
+
+  // Delete a file, or a folder with everything inside it
+  const removeItem = (path, isFolder) => {
+    if (!window.confirm(`Delete ${path}${isFolder ? ' and everything in it' : ''}?`)) {
+      return;
+    }
+
+    const removed = (file) => file === path || isInside(file, path);
+    const remainingFiles = Object.fromEntries(Object.entries(files).filter(([file]) => !removed(file)));
+    const remainingOpen = openFiles.filter(file => !removed(file));
+    disposeModels(Object.keys(files).filter(removed));
+
+    setFiles(remainingFiles);
+    setFolders(folders.filter(folder => !removed(folder)));
+    setCollapsedFolders(collapsedFolders.filter(folder => !removed(folder)));
+    setOpenFiles(remainingOpen);
+    if (activeFile && removed(activeFile)) {
+      setActiveFile(remainingOpen[remainingOpen.length - 1] || null);
+    }
+    setEntryFile(pickEntry(remainingFiles, entryFile));
+    setDiagnostics([]);
+  };
+
+  const toggleFolder = (folder) => {
+    setCollapsedFolders(collapsedFolders.includes(folder)
+      ? collapsedFolders.filter(collapsed => collapsed !== folder)
+      : [...collapsedFolders, folder]);
+  };
+
+  const explorerActions = {
+    openFile,
+    toggleFolder,
+    createFile,
+    createFolder,
+    rename: renameItem,
+    remove: removeItem,
+    setEntry: setEntryFile
   };
 
   // Drag handlers for resizable panels
@@ -434,7 +1711,7 @@ function App() {
 
   const loadExamples = async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/examples`);
+      const response = await api.get('/api/examples');
       if (response.data.success) {
         setExamples(response.data.examples);
       }
@@ -443,17 +1720,31 @@ function App() {
     }
   };
 
+  const loadCompilers = async () => {
+    try {
+      const response = await api.get('/api/compilers');
+      if (response.data.success) {
+        setCompilers(response.data.compilers);
+      }
+    } catch (error) {
+      console.warn('Could not load compilers:', error);
+    }
+  };
+
   const loadExample = (exampleName) => {
     try {
       // First try server examples, then fall back to local examples
-      if (examples && examples[exampleName]) {
-        setContractCode(examples[exampleName]);
-      } else if (compactExamples && compactExamples[exampleName]) {
-        setContractCode(compactExamples[exampleName]);
-      } else {
+      const exampleCode = (examples && examples[exampleName]) || (compactExamples && compactExamples[exampleName]);
+      if (!exampleCode) {
         console.warn(`Example '${exampleName}' not found`);
         return;
       }
+
+      // The example replaces the entry contract
+      const target = entryFile || DEFAULT_ENTRY;
+      setFiles(previous => ({ ...previous, [target]: exampleCode }));
+      setEntryFile(target);
+      openFile(target);
       setOutput('');
       setContractInfo(null);
     } catch (error) {
@@ -468,9 +1759,72 @@ function App() {
     }
   };
 
+  // Witnesses import the compiled contract by name, so follow the contract when it is renamed
+  React.useEffect(() => {
+    const previousName = previousContractNameRef.current;
+    previousContractNameRef.current = contractName;
+    if (previousName === contractName || contractNameError) {
+      return;
+    }
+
+    setFiles(previous => Object.fromEntries(Object.entries(previous).map(([file, content]) => [
+      file,
+      file.endsWith('.ts') ? retargetContractImports(content, previousName, contractName) : content
+    ])));
+  }, [contractName, contractNameError]);
+
+  // Keep streamed compiler output scrolled to the latest line
+  React.useEffect(() => {
+    if ((isCompiling || isDeploying) && outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [output, isCompiling, isDeploying]);
+
+  // List the contract's recorded deployments while calling on testnet, and again after each new deployment
+  const deployedAddress = deployment && deployment.contractAddress;
+  React.useEffect(() => {
+    if (runTarget !== 'testnet' || contractNameError) {
+      return;
+    }
+
+    let cancelled = false;
+    api.get('/api/deployments', { params: { contractName } })
+      .then(({ data }) => {
+        if (!cancelled) {
+          setDeployments(data.deployments);
+        }
+      })
+      .catch(error => console.warn('Could not load deployments:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [runTarget, contractName, contractNameError, deployedAddress]);
+
+  // List the wallets when switching to testnet
+  React.useEffect(() => {
+    if (runTarget !== 'testnet') {
+      return;
+    }
+
+    let cancelled = false;
+    api.get('/api/wallets')
+      .then(({ data }) => {
+        if (!cancelled) {
+          setWalletState(previous => ({ ...previous, wallets: data.wallets, activeWalletId: data.activeWalletId }));
+        }
+      })
+      .catch(error => console.warn('Could not load wallets:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [runTarget]);
+
   // Load examples on component mount
   React.useEffect(() => {
     loadExamples();
+    loadCompilers();
   }, []);
 
   return (
@@ -490,10 +1844,7 @@ function App() {
               <button 
                 key={exampleName}
                 className="btn"
-                onClick={() => {
-                  loadExample(exampleName);
-                  setActiveTab('contract'); // Switch to contract tab when loading example
-                }}
+                onClick={() => loadExample(exampleName)}
                 disabled={isCompiling}
                 title={`Load ${exampleName} example`}
               >
@@ -501,6 +1852,32 @@ function App() {
               </button>
             ))}
           </div>
+          <select
+            className="compiler-select"
+            value={compilerVersion}
+            onChange={(e) => setCompilerVersion(e.target.value)}
+            disabled={isCompiling || isDeploying}
+            title="Compact compiler version"
+          >
+            <option value="auto">
+              compactc: auto (pragma){compilerVersion === 'auto' && lastCompiler ? ` → ${lastCompiler.version}` : ''}
+            </option>
+            {compilers.map(compiler => (
+              <option key={compiler.version} value={compiler.version}>
+                compactc {compiler.version}{compiler.languageVersion ? ` (language ${compiler.languageVersion})` : ''}
+              </option>
+            ))}
+          </select>
+          <select
+            className="compiler-select"
+            value={compileMode}
+            onChange={(e) => setCompileMode(e.target.value)}
+            disabled={isCompiling || isDeploying}
+            title="Check only skips proving key generation"
+          >
+            <option value="check">Check only (fast)</option>
+            <option value="full">Full build (ZK keys)</option>
+          </select>
           <button 
             className="btn" 
             onClick={compileCode}
@@ -535,58 +1912,137 @@ function App() {
               </>
             )}
           </button>
+          <button 
+            className="btn" 
+            onClick={downloadArtifacts}
+            disabled={isCompiling || isDeploying || !lastCompileTime}
+            title="Download the compiled contract, keys and a manifest as a zip"
+          >
+            <Download size={16} />
+            Artifacts
+          </button>
         </div>
       </header>
 
       <main className="main-content" style={{ display: 'flex', height: '100%' }}>
-        <div className="editor-panel" style={{ width: `${leftPanelWidth}%`, minWidth: '200px' }}>
-          <div className="panel-header">
-            <div className="tab-container">
-              <button
-                className={`tab ${activeTab === 'contract' ? 'active' : ''}`}
-                onClick={() => setActiveTab('contract')}
-              >
-                <Code size={14} />
-                contract.compact
-              </button>
-              <button
-                className={`tab ${activeTab === 'witnesses' ? 'active' : ''}`}
-                onClick={() => setActiveTab('witnesses')}
-              >
-                <Code size={14} />
-                witnesses.ts
-              </button>
+        <div className="editor-panel" style={{ width: `${leftPanelWidth}%`, minWidth: '200px', flexDirection: 'row' }}>
+          <div className="file-explorer">
+            <div className="panel-header explorer-header">
+              <span>Explorer</span>
+              <span className="explorer-actions">
+                <button title="New file" onClick={() => createFile('')}>
+                  <FilePlus size={14} />
+                </button>
+                <button title="New folder" onClick={() => createFolder('')}>
+                  <FolderPlus size={14} />
+                </button>
+              </span>
+            </div>
+            <label className={`contract-name ${contractNameError ? 'invalid' : ''}`} title={contractNameError || 'Name the contract is built and deployed under'}>
+              <span>Contract</span>
+              <input
+                type="text"
+                value={customContractName}
+                placeholder={contractNameFromEntry(entryFile || DEFAULT_ENTRY)}
+                spellCheck={false}
+                onChange={(e) => setCustomContractName(e.target.value.trim())}
+              />
+            </label>
+            <div className="explorer-tree">
+              <FileTreeNode
+                node={buildFileTree(files, folders)}
+                depth={0}
+                activeFile={activeFile}
+                entryFile={entryFile}
+                collapsedFolders={collapsedFolders}
+                actions={explorerActions}
+              />
             </div>
+            {outline && outline.file === activeFile && (
+              <div className="outline">
+                <div className="panel-header outline-header">
+                  <span>Outline</span>
+                  {outline.errors.length > 0 && (
+                    <button
+                      className="outline-errors"
+                      title={outline.errors[0].message}
+                      onClick={() => revealDiagnostic(outline.errors[0].range.start)}
+                    >
+                      <AlertCircle size={12} />
+                      {outline.errors.length}
+                    </button>
+                  )}
+                </div>
+                <div className="outline-tree">
+                  {outline.entries.length === 0 ? (
+                    <div className="outline-empty">No declarations</div>
+                  ) : (
+                    <OutlineNode entries={outline.entries} depth={0} onSelect={revealDiagnostic} />
+                  )}
+                </div>
+              </div>
+            )}
           </div>
-          <div className="editor-container">
-            <Editor
-              height="100%"
-              language={getCurrentLanguage()}
-              value={getCurrentCode()}
-              onChange={handleCodeChange}
-              onMount={handleEditorDidMount}
-              onKeyDown={handleKeyDown}
-              options={{
-                theme: 'compact-midnight-theme',
-                fontSize: 14,
-                lineNumbers: 'on',
-                roundedSelection: false,
-                scrollBeyondLastLine: false,
-                automaticLayout: true,
-                minimap: { enabled: false },
-                wordWrap: 'on',
-                tabSize: 2,
-                insertSpaces: true,
-                quickSuggestions: false,
-                parameterHints: { enabled: false },
-                codeLens: false,
-                contextmenu: false,
-                folding: false,
-                links: false,
-                hover: { enabled: false },
-                // Both tabs are now editable
-              }}
-            />
+          <div className="editor-main">
+            <div className="panel-header">
+              <div className="tab-container">
+                {openFiles.map(file => (
+                  <button
+                    key={file}
+                    className={`tab ${file === activeFile ? 'active' : ''}`}
+                    onClick={() => setActiveFile(file)}
+                    title={file === entryFile ? `${file} (entry contract)` : file}
+                  >
+                    <Code size={14} />
+                    {baseName(file)}
+                    <span
+                      className="tab-close"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        closeFile(file);
+                      }}
+                    >
+                      <X size={12} />
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="editor-container">
+              {activeFile ? (
+                <Editor
+                  height="100%"
+                  path={activeFile}
+                  language={getFileLanguage(activeFile)}
+                  value={files[activeFile]}
+                  onChange={handleCodeChange}
+                  onMount={handleEditorDidMount}
+                  onKeyDown={handleKeyDown}
+                  options={{
+                    theme: 'compact-midnight-theme',
+                    fontSize: 14,
+                    lineNumbers: 'on',
+                    roundedSelection: false,
+                    scrollBeyondLastLine: false,
+                    automaticLayout: true,
+                    minimap: { enabled: false },
+                    wordWrap: 'on',
+                    tabSize: 2,
+                    insertSpaces: true,
+                    quickSuggestions: false,
+                    parameterHints: { enabled: false },
+                    codeLens: false,
+                    contextmenu: false,
+                    folding: false,
+                    links: false,
+                    hover: { enabled: false },
+                    // Every project file is editable
+                  }}
+                />
+              ) : (
+                <div className="editor-empty">Open a file from the explorer</div>
+              )}
+            </div>
           </div>
         </div>
 
@@ -609,14 +2065,14 @@ function App() {
           <div className="panel-header">
             <Terminal size={14} />
             Output
-            {availableFunctions.length > 0 && (
-              <span className="function-count">({availableFunctions.length} functions available)</span>
+            {contractInfo && (
+              <span className="function-count">({contractInfo.circuits.length} circuits available)</span>
             )}
           </div>
           
       
           
-          <div className="output-content">
+          <div className="output-content" ref={outputRef}>
             {output ? (
               <div className={output.startsWith('Error:') ? 'output-error' : 'output-success'}>
                 {output}
@@ -636,12 +2092,59 @@ function App() {
               </div>
             )}
           </div>
+
+          <RunPanel
+            contractInfo={contractInfo}
+            target={runTarget}
+            simulation={simulation}
+            deployment={deployment}
+            deployments={deployments}
+            walletState={walletState}
+            results={circuitResults}
+            error={runError}
+            busy={isRunning || isCompiling || isDeploying}
+            actions={runActions}
+          />
+
+          {diagnostics.length > 0 && (
+            <div className="problems-panel">
+              <div className="panel-header">
+                <AlertCircle size={14} />
+                Problems
+                <span className="function-count">({diagnostics.length})</span>
+              </div>
+              <ul className="problems-list">
+                {diagnostics.map((diagnostic, index) => {
+                  const inProject = diagnostic.file in files;
+                  return (
+                    <li
+                      key={index}
+                      className={`problem-item problem-${diagnostic.severity}${inProject ? '' : ' problem-external'}`}
+                      onClick={() => openDiagnostic(diagnostic)}
+                      title={inProject ? 'Go to problem' : diagnostic.file}
+                    >
+                      {diagnostic.severity === 'warning' ? <AlertTriangle size={14} /> : <AlertCircle size={14} />}
+                      <span className="problem-message">{diagnostic.message}</span>
+                      <span className="problem-location">
+                        {diagnostic.file}:{diagnostic.line}:{diagnostic.column}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
         </div>
       </main>
 
       <div className="status-bar">
         <span>Compact Midnight DSL</span>
-        {lastCompileTime && <span>Last compiled: {lastCompileTime}</span>}
+        {lastCompileTime && (
+          <span>
+            Last {lastCompileMode === 'check' ? 'checked' : 'compiled'}: {lastCompileTime}{lastCompileCached ? ' (cached)' : ''}
+            {lastCompiler ? ` with compactc ${lastCompiler.version}` : ''}
+          </span>
+        )}
         <span>Ready</span>
       </div>
     </div>
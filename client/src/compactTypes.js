@@ -0,0 +1,145 @@
+/**
+ * Display helpers for the contract-info type objects returned by /api/compile,
+ * e.g. { 'type-name': 'Uint', maxval: 65535 } is shown as Uint<16>.
+ */
+
+// Uint<n> is reported through its maximum value, recover n when it is 2^n - 1
+const formatUint = (maxval) => {
+  const bits = Math.log2(Number(maxval) + 1);
+  const roundedBits = Math.round(bits);
+  return Math.abs(bits - roundedBits) < 1e-9 ? `Uint<${roundedBits}>` : `Uint<0..${maxval}>`;
+};
+
+export const formatCompactType = (type) => {
+  if (!type) {
+    return 'unknown';
+  }
+
+  switch (type['type-name']) {
+    case 'Boolean':
+    case 'Field':
+      return type['type-name'];
+    case 'Uint':
+      return formatUint(type.maxval);
+    case 'Bytes':
+      return `Bytes<${type.length}>`;
+    case 'Opaque':
+      return `Opaque<"${type.tsType || type.type || 'unknown'}">`;
+    case 'Vector':
+      return `Vector<${type.length}, ${formatCompactType(type.type)}>`;
+    case 'Tuple':
+      return `[${(type.types || []).map(formatCompactType).join(', ')}]`;
+    case 'Enum':
+      return type.name || 'Enum';
+    case 'Struct': {
+      const elements = type.elements || [];
+      // The standard library's generic structs read better with their type arguments
+      if (type.name === 'Maybe' && elements.length === 2) {
+        return `Maybe<${formatCompactType(elements[1].type)}>`;
+      }
+      if (type.name === 'Either' && elements.length === 3) {
+        return `Either<${formatCompactType(elements[1].type)}, ${formatCompactType(elements[2].type)}>`;
+      }
+      return type.name || 'Struct';
+    }
+    default:
+      return type['type-name'] || 'unknown';
+  }
+};
+
+export const formatSignature = ({ name, arguments: args = [], resultType }) => {
+  const params = args.map(arg => `${arg.name}: ${formatCompactType(arg.type)}`).join(', ');
+  return `${name}(${params}): ${formatCompactType(resultType)}`;
+};
+
+/**
+ * Form helpers for circuit arguments. A form value mirrors the type: text for
+ * numbers, bytes and opaque values, a boolean, an enum member name, an array
+ * for vectors and tuples, and an object keyed by field for structs.
+ */
+export const initialInputValue = (type) => {
+  switch (type && type['type-name']) {
+    case 'Boolean':
+      return false;
+    case 'Enum':
+      return (type.elements || [])[0] || '';
+    case 'Vector':
+      return Array.from({ length: type.length }, () => initialInputValue(type.type));
+    case 'Tuple':
+      return (type.types || []).map(initialInputValue);
+    case 'Struct':
+      return Object.fromEntries((type.elements || []).map(element => [element.name, initialInputValue(element.type)]));
+    default:
+      return '';
+  }
+};
+
+// Integers stay decimal strings, without leading zeros, so any size compares exactly
+const parseUnsigned = (text) => (/^\d+$/.test(text.trim()) ? text.trim().replace(/^0+(?=\d)/, '') : null);
+
+// Bounds arrive as JSON numbers, which print in exponent notation from 1e21 on
+const decimalDigits = (number) =>
+  typeof number === 'number' ? number.toLocaleString('fullwide', { useGrouping: false }) : String(number);
+
+const isGreater = (a, b) => (a.length === b.length ? a > b : a.length > b.length);
+
+/**
+ * Check a form value against its type, returning an error message for the
+ * first problem found or null
+ */
+export const validateInputValue = (type, value, what = 'value') => {
+  switch (type && type['type-name']) {
+    case 'Uint':
+    case 'Field': {
+      const number = parseUnsigned(value);
+      if (number === null) {
+        return `${what} must be an unsigned integer`;
+      }
+      if (type.maxval !== undefined && isGreater(number, decimalDigits(type.maxval))) {
+        return `${what} must be at most ${decimalDigits(type.maxval)}`;
+      }
+      return null;
+    }
+    case 'Bytes': {
+      const hex = value.trim().replace(/^0x/, '');
+      if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+        return `${what} must be hex, two digits per byte`;
+      }
+      return hex.length === type.length * 2 ? null : `${what} must be ${type.length} bytes, got ${hex.length / 2}`;
+    }
+    case 'Vector':
+      return value.map((element, index) => validateInputValue(type.type, element, `${what}[${index}]`)).find(Boolean) || null;
+    case 'Tuple':
+      return (type.types || []).map((elementType, index) => validateInputValue(elementType, value[index], `${what}[${index}]`))
+        .find(Boolean) || null;
+    case 'Struct':
+      return (type.elements || []).map(element => validateInputValue(element.type, value[element.name], `${what}.${element.name}`))
+        .find(Boolean) || null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Turn a checked form value into a circuit argument in the JSON form the
+ * server expects: integers as decimal strings, bytes as hex
+ */
+export const toCircuitArgument = (type, value) => {
+  switch (type && type['type-name']) {
+    case 'Uint':
+    case 'Field':
+    case 'Bytes':
+      return value.trim();
+    case 'Vector':
+      return value.map(element => toCircuitArgument(type.type, element));
+    case 'Tuple':
+      return (type.types || []).map((elementType, index) => toCircuitArgument(elementType, value[index]));
+    case 'Struct':
+      return Object.fromEntries((type.elements || []).map(element => [
+        element.name,
+        toCircuitArgument(element.type, value[element.name])
+      ]));
+    default:
+      return value;
+  }
+};
@@ -0,0 +1,107 @@
+// Helpers for the IDE's project model: a map of file paths to contents,
+// plus folders that have no files yet. Paths are relative to the project root,
+// e.g. 'contract.compact' or 'lib/math.compact', and use '/' as separator.
+
+const FILE_EXTENSIONS = ['.compact', '.ts'];
+
+// Names the server keeps for itself in the project root
+const RESERVED_ROOT_NAMES = ['index.ts', 'managed'];
+
+export const parentOf = (path) => (path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+
+export const baseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+export const joinPath = (dir, name) => (dir ? `${dir}/${name}` : name);
+
+export const isInside = (path, folder) => path.startsWith(`${folder}/`);
+
+export const getFileLanguage = (path) => (path.endsWith('.ts') ? 'typescript' : 'compact');
+
+/**
+ * Check a new file or folder name, returning an error message or null
+ */
+export const validateName = (name, dir, { isFolder = false } = {}) => {
+  if (!name || !/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    return 'Names may only contain letters, digits, "_", "-" and "." and may not start with "."';
+  }
+  if (!dir && RESERVED_ROOT_NAMES.includes(name)) {
+    return `${name} is reserved by the IDE`;
+  }
+  if (!isFolder && !FILE_EXTENSIONS.some(extension => name.endsWith(extension))) {
+    return 'Only .compact and .ts files are supported';
+  }
+  return null;
+};
+
+/**
+ * Move a path along when it, or a folder containing it, is renamed
+ */
+export const renamePath = (path, from, to) => {
+  if (path === from) {
+    return to;
+  }
+  return isInside(path, from) ? `${to}${path.slice(from.length)}` : path;
+};
+
+/**
+ * Nest the flat project into folders for the explorer, sorted by name:
+ * { folders: [{ name, path, ...node }], files: [{ name, path }] }
+ */
+export const buildFileTree = (files, folders) => {
+  const root = { folders: new Map(), files: [] };
+
+  const folderNode = (folderPath) => {
+    let node = root;
+    let currentPath = '';
+    folderPath.split('/').forEach(segment => {
+      currentPath = joinPath(currentPath, segment);
+      if (!node.folders.has(segment)) {
+        node.folders.set(segment, { name: segment, path: currentPath, folders: new Map(), files: [] });
+      }
+      node = node.folders.get(segment);
+    });
+    return node;
+  };
+
+  folders.forEach(folderPath => folderNode(folderPath));
+  Object.keys(files).forEach(filePath => {
+    const dir = parentOf(filePath);
+    (dir ? folderNode(dir) : root).files.push({ name: baseName(filePath), path: filePath });
+  });
+
+  const sortNode = (node) => ({
+    ...node,
+    folders: [...node.folders.values()].sort((a, b) => a.name.localeCompare(b.name)).map(sortNode),
+    files: node.files.sort((a, b) => a.name.localeCompare(b.name))
+  });
+
+  return sortNode(root);
+};
+
+/**
+ * The name a project's contract is built under when none is chosen, taken
+ * from the entry file like the server does, e.g. 'lib/my-token.compact' -> 'my_token'
+ */
+export const contractNameFromEntry = (entry) => {
+  const name = baseName(entry).replace(/\.compact$/, '').replace(/[^A-Za-z0-9_]/g, '_').slice(0, 64);
+  return /^[A-Za-z]/.test(name) ? name : `c${name}`.slice(0, 64);
+};
+
+/**
+ * Check a contract name, returning an error message or null
+ */
+export const validateContractName = (name) => (
+  /^[A-Za-z][A-Za-z0-9_]{0,63}$/.test(name)
+    ? null
+    : 'Contract names may only contain letters, digits and "_" and must start with a letter'
+);
+
+// Module the compiler generates for a contract, as imported from the project root
+export const compiledContractImport = (contractName) => `./managed/${contractName}/contract/index.cjs`;
+
+/**
+ * Point imports of one compiled contract at another, e.g. in witnesses.ts
+ * after the contract was renamed
+ */
+export const retargetContractImports = (content, fromName, toName) =>
+  content.split(`/managed/${fromName}/contract/`).join(`/managed/${toName}/contract/`);
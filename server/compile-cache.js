@@ -0,0 +1,159 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Content-addressed cache of compiler runs, shared by all sessions.
+ *
+ * Each entry lives in `<dir>/<key>/` and holds the compiler output
+ * (`entry.json`) and, for successful runs, a copy of the `managed/` build.
+ * When the cache grows past `maxBytes` the least recently used entries are
+ * evicted.
+ */
+class CompileCache {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.COMPILE_CACHE_DIR || path.join(__dirname, '.compile-cache');
+    this.maxBytes = options.maxBytes || Number(process.env.COMPILE_CACHE_MAX_BYTES) || 512 * 1024 * 1024; // 512MB
+    this.entries = new Map();
+    this.ready = this.load();
+  }
+
+  /**
+   * Cache key for the given inputs, e.g. sources and compiler version
+   */
+  static key(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach(part => hash.update(`${part}\0`));
+    return hash.digest('hex');
+  }
+
+  async load() {
+    await fs.ensureDir(this.dir);
+
+    for (const key of await fs.readdir(this.dir)) {
+      const entryFile = path.join(this.dir, key, 'entry.json');
+      try {
+        const { size, lastAccess } = await fs.readJson(entryFile);
+        this.entries.set(key, { size, lastAccess });
+      } catch (error) {
+        // Incomplete entry, e.g. the server stopped while storing it
+        await fs.remove(path.join(this.dir, key));
+      }
+    }
+
+    console.log(`Compile cache: ${this.entries.size} entries in ${this.dir}`);
+  }
+
+  get totalBytes() {
+    let total = 0;
+    this.entries.forEach(entry => {
+      total += entry.size;
+    });
+    return total;
+  }
+
+  /**
+   * Look up a compiler run. On a hit the cached build is copied to
+   * `managedDir` and the stored run ({ success, stdout, stderr }) is returned.
+   */
+  async restore(key, managedDir) {
+    await this.ready;
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const entryDir = path.join(this.dir, key);
+    try {
+      const stored = await fs.readJson(path.join(entryDir, 'entry.json'));
+      if (stored.run.success) {
+        await fs.remove(managedDir);
+        await fs.copy(path.join(entryDir, 'managed'), managedDir);
+      }
+
+      entry.lastAccess = Date.now();
+      await fs.writeJson(path.join(entryDir, 'entry.json'), { ...stored, lastAccess: entry.lastAccess });
+      return stored.run;
+    } catch (error) {
+      console.warn(`Dropping broken compile cache entry ${key}:`, error.message);
+      this.entries.delete(key);
+      await fs.remove(entryDir);
+      return null;
+    }
+  }
+
+  /**
+   * Store a compiler run, with the build in `managedDir` if it succeeded
+   */
+  async store(key, managedDir, run) {
+    await this.ready;
+
+    if (this.entries.has(key)) {
+      return;
+    }
+
+    // Build the entry next to its final place and move it in at once,
+    // so a concurrent store of the same key never sees half an entry
+    const entryDir = path.join(this.dir, key);
+    const tempDir = path.join(this.dir, `.tmp-${key}-${crypto.randomUUID()}`);
+
+    try {
+      let size = Buffer.byteLength(run.stdout || '') + Buffer.byteLength(run.stderr || '');
+      if (run.success) {
+        await fs.copy(managedDir, path.join(tempDir, 'managed'));
+        size += await directorySize(path.join(tempDir, 'managed'));
+      }
+
+      const lastAccess = Date.now();
+      await fs.outputJson(path.join(tempDir, 'entry.json'), { run, size, lastAccess });
+
+      if (await fs.pathExists(entryDir)) {
+        await fs.remove(tempDir);
+        return;
+      }
+      await fs.move(tempDir, entryDir);
+
+      this.entries.set(key, { size, lastAccess });
+      await this.evict();
+    } catch (error) {
+      console.warn(`Failed to store compile cache entry ${key}:`, error.message);
+      await fs.remove(tempDir);
+    }
+  }
+
+  async evict() {
+    if (this.totalBytes <= this.maxBytes) {
+      return;
+    }
+
+    const byAge = [...this.entries.entries()].sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+    for (const [key] of byAge) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+
+      this.entries.delete(key);
+      await fs.remove(path.join(this.dir, key));
+      console.log(`Evicted compile cache entry ${key}`);
+    }
+  }
+}
+
+// Total size of the files in a directory tree, counting symlinks themselves rather than their targets
+async function directorySize(dir) {
+  let size = 0;
+
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await directorySize(entryPath);
+    } else {
+      size += (await fs.lstat(entryPath)).size;
+    }
+  }
+
+  return size;
+}
+
+module.exports = { CompileCache, directorySize };
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CompileCache, directorySize } from './compile-cache.js';
+
+const SUCCESS = { success: true, stdout: 'Compiling 1 circuit', stderr: '', exitCode: 0 };
+
+let dir;
+
+// A managed/ build of the given size in bytes
+const writeBuild = (name, size) => {
+  const managedDir = path.join(dir, name);
+  fs.mkdirSync(path.join(managedDir, 'contract'), { recursive: true });
+  fs.writeFileSync(path.join(managedDir, 'contract', 'index.cjs'), 'x'.repeat(size));
+  return managedDir;
+};
+
+const entryKeys = (cache) => [...cache.entries.keys()].sort();
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compile-cache-'));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(1000);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('CompileCache.key', () => {
+  it('depends on every part and where the parts are split', () => {
+    const key = CompileCache.key('sources', '0.24.0', 'full');
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(CompileCache.key('sources', '0.24.0', 'full')).toBe(key);
+    expect(CompileCache.key('sources', '0.25.0', 'full')).not.toBe(key);
+    expect(CompileCache.key('sources', '0.24.0', 'skip-zk')).not.toBe(key);
+    expect(CompileCache.key('sources0', '.24.0', 'full')).not.toBe(key);
+  });
+});
+
+describe('CompileCache', () => {
+  it('restores a stored build and its compiler output', async () => {
+    const cache = new CompileCache({ dir: path.join(dir, 'cache') });
+    const key = CompileCache.key('counter', '0.24.0');
+    await cache.store(key, writeBuild('build', 10), SUCCESS);
+
+    const managedDir = path.join(dir, 'restored');
+    fs.mkdirSync(managedDir);
+    fs.writeFileSync(path.join(managedDir, 'stale.txt'), 'old build');
+
+    expect(await cache.restore(key, managedDir)).toEqual(SUCCESS);
+    expect(fs.readdirSync(managedDir)).toEqual(['contract']);
+    expect(fs.readFileSync(path.join(managedDir, 'contract', 'index.cjs'), 'utf8')).toBe('x'.repeat(10));
+    expect(await cache.restore(CompileCache.key('counter', '0.25.0'), managedDir)).toBeNull();
+  });
+
+  it('keeps only the output of a failed run and leaves the build alone', async () => {
+    const cache = new CompileCache({ dir: path.join(dir, 'cache') });
+    const failure = { success: false, stdout: '', stderr: 'Exception: counter.compact line 3 char 1: parse error', exitCode: 255 };
+    await cache.store('failed', writeBuild('build', 10), failure);
+
+    const managedDir = writeBuild('current', 5);
+    expect(await cache.restore('failed', managedDir)).toEqual(failure);
+    expect(fs.readdirSync(path.join(dir, 'cache', 'failed'))).toEqual(['entry.json']);
+    await expect(directorySize(managedDir)).resolves.toBe(5);
+    expect(cache.entries.get('failed').size).toBe(Buffer.byteLength(failure.stderr));
+  });
+
+  it('evicts the least recently used entries past its size limit', async () => {
+    const cache = new CompileCache({ dir: path.join(dir, 'cache'), maxBytes: 300 });
+    for (const key of ['a', 'b', 'c']) {
+      vi.advanceTimersByTime(1000);
+      await cache.store(key, writeBuild(`build-${key}`, 100 - Buffer.byteLength(SUCCESS.stdout)), SUCCESS);
+    }
+    expect(cache.totalBytes).toBe(300);
+
+    // Using a makes b the least recently used entry
+    vi.advanceTimersByTime(1000);
+    await cache.restore('a', path.join(dir, 'restored'));
+    vi.advanceTimersByTime(1000);
+    await cache.store('d', writeBuild('build-d', 100 - Buffer.byteLength(SUCCESS.stdout)), SUCCESS);
+
+    expect(entryKeys(cache)).toEqual(['a', 'c', 'd']);
+    expect(fs.existsSync(path.join(dir, 'cache', 'b'))).toBe(false);
+    expect(cache.totalBytes).toBe(300);
+  });
+
+  it('evicts as many entries as it takes to fit a large one', async () => {
+    const cache = new CompileCache({ dir: path.join(dir, 'cache'), maxBytes: 300 });
+    for (const key of ['a', 'b', 'c']) {
+      vi.advanceTimersByTime(1000);
+      await cache.store(key, writeBuild(`build-${key}`, 50), SUCCESS);
+    }
+    vi.advanceTimersByTime(1000);
+    await cache.store('large', writeBuild('build-large', 200), SUCCESS);
+
+    expect(entryKeys(cache)).toEqual(['c', 'large']);
+  });
+
+  it('loads its entries and their last use from disk and drops incomplete ones', async () => {
+    const cache = new CompileCache({ dir: path.join(dir, 'cache'), maxBytes: 300 });
+    vi.advanceTimersByTime(1000);
+    await cache.store('old', writeBuild('build-old', 100 - Buffer.byteLength(SUCCESS.stdout)), SUCCESS);
+    vi.advanceTimersByTime(1000);
+    await cache.store('new', writeBuild('build-new', 100 - Buffer.byteLength(SUCCESS.stdout)), SUCCESS);
+    fs.mkdirSync(path.join(dir, 'cache', 'incomplete', 'managed'), { recursive: true });
+
+    const reloaded = new CompileCache({ dir: path.join(dir, 'cache'), maxBytes: 300 });
+    await reloaded.ready;
+    expect(entryKeys(reloaded)).toEqual(['new', 'old']);
+    expect(fs.existsSync(path.join(dir, 'cache', 'incomplete'))).toBe(false);
+
+    vi.advanceTimersByTime(1000);
+    await reloaded.store('newest', writeBuild('build-newest', 150), SUCCESS);
+    expect(entryKeys(reloaded)).toEqual(['new', 'newest']);
+  });
+
+  it('stores a key only once', async () => {
+    const cache = new CompileCache({ dir: path.join(dir, 'cache') });
+    await Promise.all([
+      cache.store('same', writeBuild('first', 10), SUCCESS),
+      cache.store('same', writeBuild('second', 20), SUCCESS)
+    ]);
+
+    expect(entryKeys(cache)).toEqual(['same']);
+    expect(fs.readdirSync(path.join(dir, 'cache'))).toEqual(['same']);
+  });
+
+  it('drops an entry it cannot restore', async () => {
+    const cache = new CompileCache({ dir: path.join(dir, 'cache') });
+    await cache.store('broken', writeBuild('build', 10), SUCCESS);
+    fs.rmSync(path.join(dir, 'cache', 'broken', 'managed'), { recursive: true });
+
+    expect(await cache.restore('broken', path.join(dir, 'restored'))).toBeNull();
+    expect(cache.entries.has('broken')).toBe(false);
+    expect(fs.existsSync(path.join(dir, 'cache', 'broken'))).toBe(false);
+  });
+});
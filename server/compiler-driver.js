@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Sandbox } = require('./sandbox');
+
+/**
+ * Runs the build tools of a contract package directly, one stage at a time:
+ *
+ *   compact    compactc <flags> <entry> <output dir>
+ *   typecheck  tsc -p tsconfig.json --noEmit
+ *   build      tsc -p tsconfig.build.json, then copy the compiler output and
+ *              the .compact sources into dist/
+ *
+ * Every stage gets explicit arguments, working directory and environment,
+ * and runs in the sandbox of the session workspace `workDir`, see sandbox.js.
+ * A stage never throws for a failing tool; it resolves to
+ *
+ *   { stage, command, args, success, exitCode, signal, stdout, stderr, error, violation, durationMs }
+ *
+ * where `error` explains failures without an exit code, such as a timeout,
+ * and `violation` names the sandbox limit the tool ran into, if any.
+ */
+
+const STAGE_TIMEOUTS = {
+  compact: 5 * 60 * 1000, // Key generation for large circuits takes minutes
+  typecheck: 60 * 1000,
+  build: 60 * 1000
+};
+
+class CompilerDriver {
+  constructor(options = {}) {
+    this.timeouts = { ...STAGE_TIMEOUTS, ...options.timeouts };
+    this.maxBuffer = options.maxBuffer || 1024 * 1024; // 1MB of output per stream and stage
+    this.tscPath = options.tscPath || null;
+    this.sandbox = options.sandbox || new Sandbox();
+  }
+
+  // TypeScript comes with the server's dependencies, it is only looked up when needed
+  resolveTsc() {
+    if (!this.tscPath) {
+      try {
+        this.tscPath = require.resolve('typescript/bin/tsc');
+      } catch (error) {
+        return null;
+      }
+    }
+    return this.tscPath;
+  }
+
+  async runTsc(stage, args, options) {
+    const tscPath = this.resolveTsc();
+    if (!tscPath) {
+      return {
+        stage, command: 'tsc', args, success: false, exitCode: null, signal: null, stdout: '', stderr: '',
+        error: 'TypeScript is not installed, run npm install in the server directory', violation: null, durationMs: 0
+      };
+    }
+    return this.runStage(stage, process.execPath, [tscPath, ...args], options);
+  }
+
+  async runStage(stage, command, args, { workDir, cwd, env, readOnlyPaths, writablePaths, onOutput }) {
+    const startedAt = Date.now();
+    const result = {
+      stage, command, args, success: false, exitCode: null, signal: null, stdout: '', stderr: '', error: null, violation: null
+    };
+
+    try {
+      const output = await this.sandbox.run(command, args, {
+        workDir,
+        cwd,
+        env,
+        readOnlyPaths,
+        writablePaths,
+        timeout: this.timeouts[stage],
+        maxBuffer: this.maxBuffer,
+        onOutput
+      });
+      Object.assign(result, output, { success: true, exitCode: 0 });
+    } catch (error) {
+      Object.assign(result, {
+        stdout: error.stdout || '',
+        stderr: error.stderr || '',
+        exitCode: typeof error.code === 'number' ? error.code : null,
+        signal: error.signal || null,
+        // The exit code speaks for itself, anything else (limits, missing binary) needs a message
+        error: typeof error.code === 'number' && !error.signal && !error.violation ? null : error.message,
+        violation: error.violation || null
+      });
+    }
+
+    result.durationMs = Date.now() - startedAt;
+    return result;
+  }
+
+  /**
+   * Compile `entry` into `outDir`, both relative to the contract package in
+   * `cwd`. An absolute `outDir` outside the workspace must be prepared with
+   * the sandbox's prepareOutput().
+   */
+  async compact({ compilerPath, workDir, cwd, entry, outDir, flags = [], env, onOutput }) {
+    const outputDir = path.resolve(cwd, outDir);
+    const insideWorkspace = !path.relative(workDir, outputDir).startsWith('..');
+    const result = await this.runStage('compact', compilerPath, [...flags, entry, outDir], {
+      workDir,
+      cwd,
+      env,
+      // The compiler lives outside the workspace, next to its own support files
+      readOnlyPaths: [path.dirname(compilerPath), path.dirname(await fs.realpath(compilerPath))],
+      writablePaths: insideWorkspace ? [] : [outputDir],
+      onOutput
+    });
+    // User code run earlier, such as witnesses, may have left links among the sources
+    return this.checkOutput(result, outputDir, path.join(cwd, 'src'));
+  }
+
+  // Fail a successful stage whose output, or sources, link outside the workspace
+  async checkOutput(result, ...dirs) {
+    for (const dir of dirs) {
+      const violation = result.success && (await this.sandbox.checkOutput(dir));
+      if (violation) {
+        Object.assign(result, { success: false, error: violation.message, violation: violation.violation });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Type-check the package's TypeScript (the witnesses) against the generated contract
+   */
+  typecheck({ workDir, cwd, env, onOutput }) {
+    return this.runTsc('typecheck', ['-p', 'tsconfig.json', '--noEmit'], { workDir, cwd, env, onOutput });
+  }
+
+  /**
+   * Build the package into dist/ the way its build script does
+   */
+  async build({ workDir, cwd, env, onOutput }) {
+    const distDir = path.join(cwd, 'dist');
+    const srcDir = path.join(cwd, 'src');
+    await fs.remove(distDir);
+
+    // The sources are copied into dist/ below
+    const result = await this.checkOutput(
+      await this.runTsc('build', ['--project', 'tsconfig.build.json'], { workDir, cwd, env, onOutput }),
+      distDir,
+      srcDir
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    try {
+      const managedDir = path.join(srcDir, 'managed');
+      await fs.copy(managedDir, path.join(distDir, 'managed'));
+      // The contract's sources ship alongside the JS, with their folder structure
+      await fs.copy(srcDir, distDir, {
+        filter: async (src) => ((await fs.stat(src)).isDirectory() ? src !== managedDir : src.endsWith('.compact'))
+      });
+    } catch (error) {
+      Object.assign(result, { success: false, error: `Copying build output failed: ${error.message}` });
+    }
+    return result;
+  }
+}
+
+module.exports = { CompilerDriver };
@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+const { parseCompact } = require('./workspace/compact-parser');
+
+/**
+ * The Compact compilers available to the server.
+ *
+ * Compilers are installed side by side in `<dir>/<name>/compactc`, e.g.
+ * `compilers/0.24.0/compactc`, each directory laid out like the workspace's
+ * `contract/compcomp`, which is always available as the bundled compiler.
+ * The directory is scanned again on every listing, so versions can be added
+ * or removed without restarting the server.
+ *
+ * A compiler is described as { version, languageVersion, path, bundled },
+ * where `version` is the compiler's own version and `languageVersion` the
+ * Compact language version it implements, which is what a contract's
+ * `pragma language_version` constrains.
+ */
+
+const CONSTRAINT_PATTERN = /^(>=|<=|>|<|==|!=)?\s*(\d+(?:\.\d+){0,2})$/;
+
+const parseVersion = (version) => version.split('.').map(Number);
+
+/**
+ * Compare two dotted versions, only up to the components of `b` when
+ * `partial` is set, so that 0.17.2 equals 0.17 but not 0.16
+ */
+const compareVersions = (a, b, { partial = false } = {}) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  const length = partial ? right.length : Math.max(left.length, right.length);
+  for (let i = 0; i < length; i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) {
+      return Math.sign(difference);
+    }
+  }
+  return 0;
+};
+
+/**
+ * Find the `pragma language_version` of a contract:
+ * { constraint, line, column, terms: [[{ operator, version }]] }, where
+ * terms are alternatives (||) of conditions that must all hold (&&).
+ * `terms` is null when the constraint cannot be understood.
+ */
+function parsePragma(source) {
+  // e.g. "pragma language_version >= 0.16 && <= 0.17;"
+  const pragma = parseCompact(source).items.find(item => item.kind === 'pragma' && item.name === 'language_version');
+  if (!pragma) {
+    return null;
+  }
+
+  const { line, column } = pragma.range.start;
+  const constraint = pragma.value;
+
+  const terms = constraint.split('||').map(alternative => alternative.split('&&').map(condition => {
+    const conditionMatch = condition.trim().match(CONSTRAINT_PATTERN);
+    return conditionMatch && { operator: conditionMatch[1] || '==', version: conditionMatch[2] };
+  }));
+
+  return {
+    constraint,
+    line,
+    column,
+    terms: terms.some(conditions => conditions.some(condition => !condition)) ? null : terms
+  };
+}
+
+/**
+ * Whether a language version satisfies a parsed pragma
+ */
+function satisfiesPragma(languageVersion, pragma) {
+  return pragma.terms.some(conditions => conditions.every(({ operator, version }) => {
+    const comparison = compareVersions(languageVersion, version, { partial: true });
+    switch (operator) {
+      case '>=': return comparison >= 0;
+      case '<=': return comparison <= 0;
+      case '>': return comparison > 0;
+      case '<': return comparison < 0;
+      case '!=': return comparison !== 0;
+      default: return comparison === 0;
+    }
+  }));
+}
+
+const probe = (compilerPath, flag) => new Promise((resolve) => {
+  execFile(compilerPath, [flag], { timeout: 10000 }, (error, stdout) => {
+    const version = !error && stdout.trim().match(/\d+(?:\.\d+)+/);
+    resolve(version ? version[0] : null);
+  });
+});
+
+class CompilerRegistry {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.COMPACT_COMPILERS_DIR || path.join(__dirname, 'compilers');
+    this.bundledDir = options.bundledDir || path.join(__dirname, 'workspace', 'contract', 'compcomp');
+    // Probed versions by compiler path, refreshed when the binary changes
+    this.probes = new Map();
+  }
+
+  async describe(compilerDir, bundled) {
+    const compilerPath = path.join(compilerDir, 'compactc');
+    let stats;
+    try {
+      stats = await fs.stat(compilerPath);
+    } catch (error) {
+      return null;
+    }
+
+    const known = this.probes.get(compilerPath);
+    if (known && known.mtimeMs === stats.mtimeMs) {
+      return known.compiler;
+    }
+
+    const version = await probe(compilerPath, '--version');
+    if (!version) {
+      console.warn(`Ignoring compiler ${compilerPath}: could not determine its version`);
+      return null;
+    }
+
+    const compiler = {
+      version,
+      languageVersion: await probe(compilerPath, '--language-version'),
+      path: compilerPath,
+      bundled
+    };
+    this.probes.set(compilerPath, { mtimeMs: stats.mtimeMs, compiler });
+    return compiler;
+  }
+
+  /**
+   * All usable compilers, newest first. An installed compiler takes
+   * precedence over the bundled one of the same version.
+   */
+  async list() {
+    const installedDirs = (await fs.pathExists(this.dir))
+      ? (await fs.readdir(this.dir, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => path.join(this.dir, entry.name))
+      : [];
+
+    const compilers = new Map();
+    for (const compilerDir of installedDirs) {
+      const compiler = await this.describe(compilerDir, false);
+      if (compiler && !compilers.has(compiler.version)) {
+        compilers.set(compiler.version, compiler);
+      }
+    }
+
+    const bundled = await this.describe(this.bundledDir, true);
+    if (bundled && !compilers.has(bundled.version)) {
+      compilers.set(bundled.version, bundled);
+    }
+
+    return [...compilers.values()].sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  async get(version) {
+    return (await this.list()).find(compiler => compiler.version === version) || null;
+  }
+
+  /**
+   * Pick the compiler for a contract. An explicitly requested version is
+   * used as is; otherwise the newest compiler whose language version
+   * satisfies the contract's pragma, falling back to the newest overall.
+   *
+   * Resolves to { compiler, pragma, warnings } with a warning message for
+   * every way the pragma and the chosen compiler don't fit together.
+   */
+  async select(source, requestedVersion = null) {
+    const compilers = await this.list();
+    if (compilers.length === 0) {
+      throw new Error('No Compact compiler is installed');
+    }
+
+    const pragma = parsePragma(source);
+    const warnings = [];
+    const compatible = (compiler) => !pragma || !pragma.terms ||
+      (compiler.languageVersion !== null && satisfiesPragma(compiler.languageVersion, pragma));
+
+    let compiler;
+    if (requestedVersion) {
+      compiler = compilers.find(candidate => candidate.version === requestedVersion);
+      if (!compiler) {
+        throw Object.assign(new Error(`Compiler version ${requestedVersion} is not installed`), { status: 400 });
+      }
+    } else {
+      compiler = compilers.find(compatible) || compilers[0];
+    }
+
+    const describeCompiler = `compactc ${compiler.version}` +
+      (compiler.languageVersion ? ` (language version ${compiler.languageVersion})` : '');
+    if (pragma && !pragma.terms) {
+      warnings.push(`Could not understand pragma language_version ${pragma.constraint}, compiling with ${describeCompiler}`);
+    } else if (pragma && compiler.languageVersion === null) {
+      warnings.push(`${describeCompiler} does not report its language version, cannot check pragma language_version ${pragma.constraint}`);
+    } else if (!compatible(compiler)) {
+      warnings.push(requestedVersion
+        ? `Contract requires language_version ${pragma.constraint}, but the selected ${describeCompiler} does not match`
+        : `No installed compiler supports language_version ${pragma.constraint}, falling back to ${describeCompiler}`);
+    }
+
+    return { compiler, pragma, warnings };
+  }
+}
+
+module.exports = { CompilerRegistry, parsePragma, satisfiesPragma, compareVersions };
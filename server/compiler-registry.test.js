@@ -0,0 +1,172 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { CompilerRegistry, compareVersions, parsePragma, satisfiesPragma } from './compiler-registry.js';
+
+const satisfies = (languageVersion, source) => satisfiesPragma(languageVersion, parsePragma(source));
+
+describe('compareVersions', () => {
+  it('compares dotted versions component by component', () => {
+    expect(compareVersions('0.16.0', '0.17.0')).toBe(-1);
+    expect(compareVersions('0.10.0', '0.9.1')).toBe(1);
+    expect(compareVersions('0.17', '0.17.0')).toBe(0);
+  });
+
+  it('only compares the components of the second version when partial', () => {
+    expect(compareVersions('0.17.2', '0.17', { partial: true })).toBe(0);
+    expect(compareVersions('0.17.2', '0.17')).toBe(1);
+    expect(compareVersions('0.16.9', '0.17', { partial: true })).toBe(-1);
+  });
+});
+
+describe('parsePragma', () => {
+  it('reads the alternatives and conditions of the language version', () => {
+    expect(parsePragma('import CompactStandardLibrary;\npragma language_version >= 0.16 && < 0.18 || 0.20;')).toEqual({
+      constraint: '>= 0.16 && < 0.18 || 0.20',
+      line: 2,
+      column: 1,
+      terms: [
+        [{ operator: '>=', version: '0.16' }, { operator: '<', version: '0.18' }],
+        [{ operator: '==', version: '0.20' }]
+      ]
+    });
+  });
+
+  it('gives null without a pragma and no terms for a constraint it does not understand', () => {
+    expect(parsePragma('export ledger count: Counter;')).toBeNull();
+    expect(parsePragma('// pragma language_version 0.16;\nledger count: Counter;')).toBeNull();
+    expect(parsePragma('pragma language_version ~0.16;')).toMatchObject({ constraint: '~0.16', terms: null });
+  });
+});
+
+describe('satisfiesPragma', () => {
+  it('matches a bare version on its given components only', () => {
+    expect(satisfies('0.16.0', 'pragma language_version 0.16;')).toBe(true);
+    expect(satisfies('0.16.3', 'pragma language_version 0.16;')).toBe(true);
+    expect(satisfies('0.17.0', 'pragma language_version 0.16;')).toBe(false);
+  });
+
+  it('applies every operator', () => {
+    const pragma = (constraint) => `pragma language_version ${constraint};`;
+    expect(satisfies('0.17.0', pragma('> 0.16'))).toBe(true);
+    expect(satisfies('0.16.1', pragma('> 0.16'))).toBe(false);
+    expect(satisfies('0.15.0', pragma('< 0.16'))).toBe(true);
+    expect(satisfies('0.16.2', pragma('<= 0.16'))).toBe(true);
+    expect(satisfies('0.16.0', pragma('!= 0.16'))).toBe(false);
+    expect(satisfies('0.16.0', pragma('== 0.16.0'))).toBe(true);
+  });
+
+  it('needs every condition of one alternative', () => {
+    const pragma = 'pragma language_version >= 0.14 && <= 0.15 || >= 0.17 && < 0.18;';
+    expect(satisfies('0.15.4', pragma)).toBe(true);
+    expect(satisfies('0.16.0', pragma)).toBe(false);
+    expect(satisfies('0.17.1', pragma)).toBe(true);
+    expect(satisfies('0.18.0', pragma)).toBe(false);
+  });
+});
+
+describe('CompilerRegistry', () => {
+  let dir;
+
+  // A compactc that only reports its versions, like the real one does
+  const installCompiler = (directory, version, languageVersion) => {
+    fs.mkdirSync(directory, { recursive: true });
+    const compilerPath = path.join(directory, 'compactc');
+    fs.writeFileSync(compilerPath, [
+      '#!/bin/sh',
+      `[ "$1" = --version ] && echo "compactc ${version}"`,
+      languageVersion ? `[ "$1" = --language-version ] && echo "${languageVersion}"` : '',
+      'exit 0'
+    ].join('\n'));
+    fs.chmodSync(compilerPath, 0o755);
+  };
+
+  const registry = () => new CompilerRegistry({
+    dir: path.join(dir, 'compilers'),
+    bundledDir: path.join(dir, 'bundled')
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compiler-registry-'));
+    installCompiler(path.join(dir, 'bundled'), '0.22.0', '0.15.0');
+    installCompiler(path.join(dir, 'compilers', '0.24.0'), '0.24.0', '0.16.0');
+    installCompiler(path.join(dir, 'compilers', '0.25.0'), '0.25.0', '0.17.0');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lists the installed and bundled compilers newest first', async () => {
+    expect((await registry().list()).map(({ version, languageVersion, bundled }) => [version, languageVersion, bundled])).toEqual([
+      ['0.25.0', '0.17.0', false],
+      ['0.24.0', '0.16.0', false],
+      ['0.22.0', '0.15.0', true]
+    ]);
+  });
+
+  it('prefers an installed compiler to the bundled one of the same version', async () => {
+    installCompiler(path.join(dir, 'compilers', 'bundled-copy'), '0.22.0', '0.15.0');
+
+    const compiler = await registry().get('0.22.0');
+    expect(compiler).toMatchObject({ bundled: false, path: path.join(dir, 'compilers', 'bundled-copy', 'compactc') });
+  });
+
+  it('picks the newest compiler whose language version satisfies the pragma', async () => {
+    const { compiler, pragma, warnings } = await registry().select('pragma language_version >= 0.15 && <= 0.16;');
+
+    expect(compiler.version).toBe('0.24.0');
+    expect(pragma.constraint).toBe('>= 0.15 && <= 0.16');
+    expect(warnings).toEqual([]);
+  });
+
+  it('picks the newest compiler without a pragma', async () => {
+    const { compiler, pragma, warnings } = await registry().select('export ledger count: Counter;');
+
+    expect(compiler.version).toBe('0.25.0');
+    expect(pragma).toBeNull();
+    expect(warnings).toEqual([]);
+  });
+
+  it('falls back to the newest compiler with a warning when none satisfies the pragma', async () => {
+    const { compiler, warnings } = await registry().select('pragma language_version 0.12;');
+
+    expect(compiler.version).toBe('0.25.0');
+    expect(warnings).toEqual([
+      'No installed compiler supports language_version 0.12, falling back to compactc 0.25.0 (language version 0.17.0)'
+    ]);
+  });
+
+  it('uses a requested version and warns when it does not match the pragma', async () => {
+    const { compiler, warnings } = await registry().select('pragma language_version 0.17;', '0.22.0');
+
+    expect(compiler).toMatchObject({ version: '0.22.0', bundled: true });
+    expect(warnings).toEqual([
+      'Contract requires language_version 0.17, but the selected compactc 0.22.0 (language version 0.15.0) does not match'
+    ]);
+    await expect(registry().select('', '9.9.9')).rejects.toMatchObject({
+      message: 'Compiler version 9.9.9 is not installed',
+      status: 400
+    });
+  });
+
+  it('warns when the pragma or the language version of the compiler cannot be checked', async () => {
+    expect((await registry().select('pragma language_version ^0.16;')).warnings).toEqual([
+      'Could not understand pragma language_version ^0.16, compiling with compactc 0.25.0 (language version 0.17.0)'
+    ]);
+
+    installCompiler(path.join(dir, 'compilers', '0.26.0'), '0.26.0', null);
+    const { compiler, warnings } = await registry().select('pragma language_version 0.16;', '0.26.0');
+    expect(compiler.languageVersion).toBeNull();
+    expect(warnings).toEqual([
+      'compactc 0.26.0 does not report its language version, cannot check pragma language_version 0.16'
+    ]);
+  });
+
+  it('fails without any compiler', async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    await expect(registry().select('')).rejects.toThrow('No Compact compiler is installed');
+  });
+});
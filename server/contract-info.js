@@ -0,0 +1,67 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseProject, findDeclarations, formatType } = require('./workspace/compact-parser');
+const { readSourceFile } = require('./project');
+
+const mapArguments = (args) => (Array.isArray(args) ? args : []).map(arg => ({
+  name: arg.name,
+  type: arg.type
+}));
+
+// Older compilers write "result type" for witnesses, newer ones "result-type"
+const resultTypeOf = (entry) => entry['result-type'] || entry['result type'] || null;
+
+/**
+ * The ledger fields of a project's contract, declared in the entry file or
+ * any file it includes or imports
+ */
+function parseLedgerFields(files, entry) {
+  const { items } = parseProject(files, entry);
+
+  return findDeclarations(items, 'ledger').map(field => ({
+    name: field.name,
+    type: formatType(field.type),
+    exported: field.exported,
+    sealed: field.sealed,
+    file: field.file,
+    line: field.range.start.line
+  }));
+}
+
+/**
+ * Read the interface of a compiled contract: circuits and witnesses from the
+ * compiler's contract-info.json, ledger fields from the project's sources.
+ * Circuit and witness types are passed on as contract-info type objects.
+ *
+ * Returns null when the contract has not been compiled, or its
+ * contract-info.json is not a regular file.
+ */
+async function readContractInfo(managedContractDir, { files, entry }) {
+  const contractInfoPath = path.join(managedContractDir, 'compiler', 'contract-info.json');
+  if (!(await fs.pathExists(contractInfoPath))) {
+    return null;
+  }
+
+  const content = await readSourceFile(contractInfoPath, await fs.realpath(managedContractDir));
+  if (content === null) {
+    return null;
+  }
+  const contractInfo = JSON.parse(content);
+
+  return {
+    circuits: (contractInfo.circuits || []).map(circuit => ({
+      name: circuit.name,
+      pure: circuit.pure === true,
+      arguments: mapArguments(circuit.arguments),
+      resultType: resultTypeOf(circuit)
+    })),
+    witnesses: (contractInfo.witnesses || []).map(witness => ({
+      name: witness.name,
+      arguments: mapArguments(witness.arguments),
+      resultType: resultTypeOf(witness)
+    })),
+    ledger: parseLedgerFields(files, entry)
+  };
+}
+
+module.exports = { readContractInfo, parseLedgerFields };
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { readContractInfo } from './contract-info.js';
+
+const project = { files: { 'counter.compact': 'export ledger round: Counter;\n' }, entry: 'counter.compact' };
+
+const CONTRACT_INFO = {
+  circuits: [{ name: 'increment', pure: false, arguments: [], 'result-type': { 'type-name': 'Tuple', types: [] } }],
+  witnesses: []
+};
+
+let dir;
+let managedDir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-info-'));
+  managedDir = path.join(dir, 'managed', 'counter');
+  fs.mkdirSync(path.join(managedDir, 'compiler'), { recursive: true });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('readContractInfo', () => {
+  it('reads the circuits of the compiler output and the ledger of the sources', async () => {
+    fs.writeFileSync(path.join(managedDir, 'compiler', 'contract-info.json'), JSON.stringify(CONTRACT_INFO));
+
+    expect(await readContractInfo(managedDir, project)).toEqual({
+      circuits: [{ name: 'increment', pure: false, arguments: [], resultType: { 'type-name': 'Tuple', types: [] } }],
+      witnesses: [],
+      ledger: [expect.objectContaining({ name: 'round', type: 'Counter', exported: true })]
+    });
+  });
+
+  it('does not read a contract-info.json linked from elsewhere', async () => {
+    const outside = path.join(dir, 'secret.json');
+    fs.writeFileSync(outside, JSON.stringify(CONTRACT_INFO));
+
+    fs.symlinkSync(outside, path.join(managedDir, 'compiler', 'contract-info.json'));
+    expect(await readContractInfo(managedDir, project)).toBeNull();
+
+    fs.rmSync(path.join(managedDir, 'compiler', 'contract-info.json'));
+    fs.linkSync(outside, path.join(managedDir, 'compiler', 'contract-info.json'));
+    expect(await readContractInfo(managedDir, project)).toBeNull();
+  });
+
+  it('gives null before the contract is compiled', async () => {
+    expect(await readContractInfo(managedDir, project)).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Turns raw compactc and tsc output into structured diagnostics:
+ * { file, line, column, severity, message, source, code }
+ *
+ * `file` is relative to the contract package's src directory, which is
+ * where both the contract and the witnesses live.
+ */
+
+// compactc: "Exception: src/bboard.compact line 12 char 5:" followed by an indented message
+const COMPACT_HEADER = /^(Exception|Error|Warning):\s+(.+?\.compact)\s+line\s+(\d+)\s+char\s+(\d+):?\s*(.*)$/;
+
+// tsc without --pretty: "src/witnesses.ts(3,10): error TS2305: Module has no exported member"
+const TSC_PLAIN = /^(.+?\.[cm]?[jt]sx?)\((\d+),(\d+)\):\s+(error|warning)\s+(TS\d+):\s*(.*)$/;
+
+// tsc with --pretty: "src/witnesses.ts:3:10 - error TS2305: Module has no exported member"
+const TSC_PRETTY = /^(.+?\.[cm]?[jt]sx?):(\d+):(\d+)\s+-\s+(error|warning)\s+(TS\d+):\s*(.*)$/;
+
+// Strip ANSI colour codes that may survive in captured output
+const stripAnsi = (text) => text.replace(/\u001b\[[0-9;]*m/g, '');
+
+const normalizeFile = (file) => {
+  const normalized = file.trim().replace(/\\/g, '/');
+  const srcIndex = normalized.lastIndexOf('src/');
+  return srcIndex === -1 ? normalized.replace(/^\.\//, '') : normalized.slice(srcIndex + 'src/'.length);
+};
+
+const isContinuation = (line) => /^\s+\S/.test(line);
+
+function parseCompactDiagnostics(output) {
+  const diagnostics = [];
+  const lines = stripAnsi(output || '').split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].trim().match(COMPACT_HEADER);
+    if (!match) {
+      continue;
+    }
+
+    const [, kind, file, line, column, inlineMessage] = match;
+    const messageLines = inlineMessage ? [inlineMessage] : [];
+    while (i + 1 < lines.length && isContinuation(lines[i + 1])) {
+      messageLines.push(lines[++i].trim());
+    }
+
+    diagnostics.push({
+      file: normalizeFile(file),
+      line: Number(line),
+      column: Number(column),
+      severity: kind === 'Warning' ? 'warning' : 'error',
+      message: messageLines.join('\n') || kind,
+      source: 'compactc',
+      code: null
+    });
+  }
+
+  return diagnostics;
+}
+
+function parseTscDiagnostics(output) {
+  const diagnostics = [];
+  const lines = stripAnsi(output || '').split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].trim().match(TSC_PLAIN) || lines[i].trim().match(TSC_PRETTY);
+    if (!match) {
+      continue;
+    }
+
+    const [, file, line, column, severity, code, message] = match;
+    const messageLines = [message];
+    // Plain output indents the follow-up lines of a chained message
+    while (i + 1 < lines.length && isContinuation(lines[i + 1]) && !lines[i + 1].trim().match(TSC_PLAIN)) {
+      messageLines.push(lines[++i].trim());
+    }
+
+    diagnostics.push({
+      file: normalizeFile(file),
+      line: Number(line),
+      column: Number(column),
+      severity,
+      message: messageLines.join('\n'),
+      source: 'tsc',
+      code
+    });
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Parse every diagnostic found in the combined output of a compile or build,
+ * dropping duplicates that appear on both stdout and stderr
+ */
+function parseDiagnostics(output) {
+  const seen = new Set();
+
+  return [...parseCompactDiagnostics(output), ...parseTscDiagnostics(output)].filter(diagnostic => {
+    const key = `${diagnostic.source}:${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = { parseDiagnostics, parseCompactDiagnostics, parseTscDiagnostics };
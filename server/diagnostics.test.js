@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { parseCompactDiagnostics, parseDiagnostics, parseTscDiagnostics } from './diagnostics.js';
+
+describe('parseCompactDiagnostics', () => {
+  it('reads the file, line and column of an exception and its indented message', () => {
+    const output = [
+      'Compiling 2 circuits:',
+      'Exception: /tmp/session/contract/src/bboard.compact line 12 char 5:',
+      '  potential witness-value disclosure must be declared',
+      '    via disclose()',
+      'done'
+    ].join('\n');
+
+    expect(parseCompactDiagnostics(output)).toEqual([{
+      file: 'bboard.compact',
+      line: 12,
+      column: 5,
+      severity: 'error',
+      message: 'potential witness-value disclosure must be declared\nvia disclose()',
+      source: 'compactc',
+      code: null
+    }]);
+  });
+
+  it('keeps an inline message, tells warnings apart and paths below src/', () => {
+    const output = [
+      'Warning: src/lib/util.compact line 3 char 1: unused circuit helper',
+      'Error: ./token.compact line 7 char 14',
+      'Exception: C:\\work\\contract\\src\\main.compact line 1 char 1: parse error'
+    ].join('\r\n');
+
+    expect(parseCompactDiagnostics(output).map(({ file, line, column, severity, message }) =>
+      [file, line, column, severity, message])).toEqual([
+      ['lib/util.compact', 3, 1, 'warning', 'unused circuit helper'],
+      ['token.compact', 7, 14, 'error', 'Error'],
+      ['main.compact', 1, 1, 'error', 'parse error']
+    ]);
+  });
+
+  it('ignores colour codes and anything else', () => {
+    expect(parseCompactDiagnostics('\u001b[31mException: src/a.compact line 2 char 3: bad\u001b[0m')).toMatchObject([
+      { file: 'a.compact', line: 2, column: 3, message: 'bad' }
+    ]);
+    expect(parseCompactDiagnostics('Compactc version 0.24.0\nline 3 char 4')).toEqual([]);
+    expect(parseCompactDiagnostics(undefined)).toEqual([]);
+  });
+});
+
+describe('parseTscDiagnostics', () => {
+  it('reads plain output with the follow-up lines of a chained message', () => {
+    const output = [
+      "src/witnesses.ts(3,10): error TS2322: Type 'string' is not assignable to type 'Uint8Array'.",
+      "  Type 'string' is missing the following properties from type 'Uint8Array': BYTES_PER_ELEMENT",
+      "src/index.ts(1,21): error TS2305: Module './managed/bboard/contract' has no exported member 'Ledger'."
+    ].join('\n');
+
+    expect(parseTscDiagnostics(output)).toEqual([
+      {
+        file: 'witnesses.ts',
+        line: 3,
+        column: 10,
+        severity: 'error',
+        message: "Type 'string' is not assignable to type 'Uint8Array'.\n" +
+          "Type 'string' is missing the following properties from type 'Uint8Array': BYTES_PER_ELEMENT",
+        source: 'tsc',
+        code: 'TS2322'
+      },
+      {
+        file: 'index.ts',
+        line: 1,
+        column: 21,
+        severity: 'error',
+        message: "Module './managed/bboard/contract' has no exported member 'Ledger'.",
+        source: 'tsc',
+        code: 'TS2305'
+      }
+    ]);
+  });
+
+  it('reads pretty output without its code excerpt', () => {
+    const output = [
+      '\u001b[96msrc/witnesses.ts\u001b[0m:\u001b[93m8\u001b[0m:\u001b[93m7\u001b[0m - \u001b[91merror\u001b[0m\u001b[90m TS6133: \u001b[0m\'unused\' is declared but its value is never read.',
+      '',
+      '8 const unused = 1;',
+      '        ~~~~~~',
+      '',
+      'Found 1 error in src/witnesses.ts:8'
+    ].join('\n');
+
+    expect(parseTscDiagnostics(output)).toEqual([{
+      file: 'witnesses.ts',
+      line: 8,
+      column: 7,
+      severity: 'error',
+      message: "'unused' is declared but its value is never read.",
+      source: 'tsc',
+      code: 'TS6133'
+    }]);
+  });
+});
+
+describe('parseDiagnostics', () => {
+  it('combines both tools and drops diagnostics printed twice', () => {
+    const compact = 'Exception: src/bboard.compact line 4 char 2: unbound identifier x';
+    const tsc = 'src/witnesses.ts(2,1): error TS1005: \';\' expected.';
+
+    expect(parseDiagnostics([compact, tsc, compact, tsc].join('\n')).map(({ source, file, line }) => [source, file, line])).toEqual([
+      ['compactc', 'bboard.compact', 4],
+      ['tsc', 'witnesses.ts', 2]
+    ]);
+  });
+});
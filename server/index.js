@@ -1,7 +1,11 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { WorkspaceManager } = require('./workspace-manager');
+const { JobQueue } = require('./job-queue');
+const { normalizeProject } = require('./project');
+const { parseCompact, outline } = require('./workspace/compact-parser');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -21,35 +25,113 @@ app.use(bodyParser.json({ limit: '10mb' }));
 // Initialize Workspace Manager
 const workspaceManager = new WorkspaceManager();
 
+// Compile and deploy requests run as queued jobs with a limited number of workers
+const jobQueue = new JobQueue();
+
+// Contract addresses are hex, the CLI checks the exact format when joining
+const CONTRACT_ADDRESS_PATTERN = /^(?:[0-9a-fA-F]{2})+$/;
+
+// Largest source /api/parse accepts, parsing runs on the request thread
+const MAX_PARSE_LENGTH = 1024 * 1024;
+
+// Every IDE tab sends its session id, which selects its isolated workspace.
+// EventSource cannot send headers, so it is also accepted as a query parameter.
+const requireSession = (req, res, next) => {
+  const sessionId = req.get('X-Session-Id') || req.query.session;
+
+  if (!WorkspaceManager.isValidSessionId(sessionId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing or invalid session id'
+    });
+  }
+
+  req.sessionId = sessionId;
+  next();
+};
+
+// Deployments and wallets belong to a browser: the IDE sends a client id that,
+// unlike the session id, outlives the tab. Only its hash is stored.
+const getClientOwner = (req) => {
+  const clientId = req.get('X-Client-Id');
+  return WorkspaceManager.isValidSessionId(clientId) ? crypto.createHash('sha256').update(clientId).digest('hex') : null;
+};
+
+const requireClientOwner = (req, res, next) => {
+  req.clientOwner = getClientOwner(req);
+  if (!req.clientOwner) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing or invalid client id'
+    });
+  }
+  next();
+};
+
+// A compiler version picked in the IDE, or null to select one from the contract's pragma
+const getRequestedCompiler = async (compilerVersion) => {
+  if (compilerVersion === undefined || compilerVersion === null || compilerVersion === 'auto') {
+    return null;
+  }
+  if (typeof compilerVersion !== 'string' || !(await workspaceManager.compilerRegistry.get(compilerVersion))) {
+    throw Object.assign(new Error(`Compiler version ${compilerVersion} is not installed`), { status: 400 });
+  }
+  return compilerVersion;
+};
+
 // Routes
-app.post('/api/compile', async (req, res) => {
+app.post('/api/compile', requireSession, async (req, res) => {
   try {
-    const { contractCode, witnessesCode } = req.body;
+    // 'check' skips the slow proving key generation, 'full' builds everything
+    const { contractCode, witnessesCode, mode = 'full' } = req.body;
+    const project = req.body.files ? normalizeProject(req.body) : null;
+    const compilerVersion = await getRequestedCompiler(req.body.compilerVersion);
     
-    if (!contractCode) {
+    if (!project && !contractCode) {
       return res.status(400).json({ 
         success: false, 
         error: 'No contract code provided' 
       });
     }
+    if (!WorkspaceManager.isValidCompileMode(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown compile mode: ${mode} (use "check" or "full")`
+      });
+    }
 
-    console.log('Compiling contract...');
-    console.log('Contract code length:', contractCode.length);
-    console.log('Witnesses code length:', witnessesCode ? witnessesCode.length : 0);
-    
-    // Update both contract and witnesses files
-    await workspaceManager.updateContract(contractCode);
-    if (witnessesCode) {
-      await workspaceManager.updateWitnesses(witnessesCode);
+    console.log(`Compiling contract for session ${req.sessionId}...`);
+    if (project) {
+      console.log(`Project files: ${Object.keys(project.files).length}, entry: ${project.entry}`);
+    } else {
+      console.log('Contract code length:', contractCode.length);
+      console.log('Witnesses code length:', witnessesCode ? witnessesCode.length : 0);
     }
     
-    // Then compile
-    const result = await workspaceManager.compile();
+    const job = jobQueue.submit('compile', req.sessionId, async (onOutput) => {
+      if (project) {
+        // Write the whole project tree
+        await workspaceManager.updateProject(req.sessionId, project);
+      } else {
+        // Update both contract and witnesses files
+        await workspaceManager.updateContract(req.sessionId, contractCode);
+        if (witnessesCode) {
+          await workspaceManager.updateWitnesses(req.sessionId, witnessesCode);
+        }
+      }
+
+      // Then compile
+      return workspaceManager.compile(req.sessionId, { onOutput, compilerVersion, mode });
+    });
     
-    res.json(result);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
   } catch (error) {
     console.error('Compilation error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
       timestamp: Date.now()
@@ -73,33 +155,559 @@ app.get('/api/examples', (req, res) => {
   }
 });
 
+// List the installed Compact compilers, newest first
+app.get('/api/compilers', async (req, res) => {
+  try {
+    const compilers = await workspaceManager.compilerRegistry.list();
+    res.json({
+      success: true,
+      compilers: compilers.map(({ version, languageVersion, bundled }) => ({ version, languageVersion, bundled }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Deploy contract (compile and deploy to testnet)
-app.post('/api/deploy', async (req, res) => {
+app.post('/api/deploy', requireSession, async (req, res) => {
   try {
     const { contractCode, witnessesCode } = req.body;
+    const project = req.body.files ? normalizeProject(req.body) : null;
+    const compilerVersion = await getRequestedCompiler(req.body.compilerVersion);
     
-    if (contractCode) {
-      // Update the contract code first
-      await workspaceManager.updateContract(contractCode);
-    }
-    if (witnessesCode) {
-      // Update the witnesses code
-      await workspaceManager.updateWitnesses(witnessesCode);
-    }
+    console.log(`Deploying contract to testnet for session ${req.sessionId}...`);
+    const job = jobQueue.submit('deploy', req.sessionId, async (onOutput) => {
+      if (project) {
+        // Write the whole project tree
+        await workspaceManager.updateProject(req.sessionId, project);
+      } else {
+        if (contractCode) {
+          // Update the contract code first
+          await workspaceManager.updateContract(req.sessionId, contractCode);
+        }
+        if (witnessesCode) {
+          // Update the witnesses code
+          await workspaceManager.updateWitnesses(req.sessionId, witnessesCode);
+        }
+      }
 
-    console.log('Deploying contract to testnet...');
-    const result = await workspaceManager.deploy();
+      return workspaceManager.deploy(req.sessionId, { onOutput, compilerVersion });
+    });
     
-    res.json(result);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
   } catch (error) {
     console.error('Deployment error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Call a circuit of the session's compiled contract on testnet
+app.post('/api/execute', requireSession, async (req, res) => {
+  try {
+    const { circuit, args = [] } = req.body;
+
+    if (typeof circuit !== 'string' || !circuit) {
+      return res.status(400).json({
+        success: false,
+        error: 'No circuit name provided'
+      });
+    }
+    if (args === null || typeof args !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Circuit arguments must be an array or an object keyed by parameter name'
+      });
+    }
+
+    console.log(`Executing circuit ${circuit} for session ${req.sessionId}...`);
+    const job = jobQueue.submit('execute', req.sessionId, (onOutput) =>
+      workspaceManager.executeFunction(req.sessionId, circuit, args, { onOutput, owner: getClientOwner(req) })
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Execution error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Connect the session to a contract deployed earlier, instead of deploying a new one
+app.post('/api/join', requireSession, async (req, res) => {
+  try {
+    const { contractAddress } = req.body;
+
+    if (typeof contractAddress !== 'string' || !CONTRACT_ADDRESS_PATTERN.test(contractAddress.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'The contract address must be a hex string'
+      });
+    }
+
+    const job = jobQueue.submit('join', req.sessionId, (onOutput) =>
+      workspaceManager.joinContract(req.sessionId, contractAddress.trim(), { onOutput })
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Join error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Contracts deployed from this browser, newest first, optionally of one contract name
+app.get('/api/deployments', requireClientOwner, async (req, res) => {
+  try {
+    const { contractName } = req.query;
+    const deployments = await workspaceManager.deploymentRegistry.list({
+      contractName: typeof contractName === 'string' && contractName ? contractName : undefined,
+      owner: req.clientOwner
+    });
+
+    res.json({
+      success: true,
+      deployments
+    });
+  } catch (error) {
+    console.error('Error listing deployments:', error);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
+// A recorded deployment with the project it was deployed from
+app.get('/api/deployments/:id', requireClientOwner, async (req, res) => {
+  try {
+    const deployment = await workspaceManager.deploymentRegistry.get(req.params.id, { owner: req.clientOwner });
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+
+    const sources = await workspaceManager.deploymentRegistry.readSources(deployment.sourceHash);
+    res.json({
+      success: true,
+      deployment,
+      project: sources && { files: sources.files, entry: sources.entry, name: sources.contractName }
+    });
+  } catch (error) {
+    console.error('Error reading deployment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Reopen a recorded deployment: build the sources it was deployed from and join it
+app.post('/api/deployments/:id/rejoin', requireSession, requireClientOwner, async (req, res) => {
+  try {
+    const deployment = await workspaceManager.deploymentRegistry.get(req.params.id, { owner: req.clientOwner });
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+
+    console.log(`Rejoining deployment ${deployment.id} for session ${req.sessionId}...`);
+    const job = jobQueue.submit('rejoin', req.sessionId, (onOutput) =>
+      workspaceManager.rejoinDeployment(req.sessionId, deployment, { onOutput })
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Rejoin error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Wallets of this browser, and the one the session runs with
+app.get('/api/wallets', requireSession, requireClientOwner, async (req, res) => {
+  try {
+    const wallets = await workspaceManager.walletStore.list(req.clientOwner);
+    const active = await workspaceManager.getActiveWallet(req.sessionId);
+
+    res.json({
+      success: true,
+      wallets,
+      activeWalletId: active && wallets.some(wallet => wallet.id === active.id) ? active.id : null
+    });
+  } catch (error) {
+    console.error('Error listing wallets:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a wallet from a new recovery phrase, answered only this once, or import
+// one given its recovery phrase or seed. The seed is stored encrypted with the
+// passphrase, which the server does not keep.
+app.post('/api/wallets', requireClientOwner, async (req, res) => {
+  try {
+    const { name, passphrase } = req.body;
+    const seed = req.body.seed || undefined;
+    const mnemonic = req.body.mnemonic || undefined;
+    const owner = req.clientOwner;
+
+    if (seed === undefined && mnemonic === undefined) {
+      const created = await workspaceManager.walletStore.create({ name, passphrase, owner });
+      return res.status(201).json({
+        success: true,
+        wallet: created.wallet,
+        mnemonic: created.mnemonic
+      });
+    }
+
+    const wallet = await workspaceManager.walletStore.import({ name, seed, mnemonic, passphrase, owner });
+    res.status(201).json({
+      success: true,
+      wallet
+    });
+  } catch (error) {
+    console.error('Error storing wallet:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Unlock a wallet for the session: its deploys and calls use it from now on
+app.post('/api/wallets/active', requireSession, requireClientOwner, async (req, res) => {
+  try {
+    const { walletId, passphrase } = req.body;
+    const wallet = await workspaceManager.activateWallet(req.sessionId, walletId, passphrase, req.clientOwner);
+
+    res.json({
+      success: true,
+      wallet
+    });
+  } catch (error) {
+    console.error('Error activating wallet:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/wallets/active', requireSession, async (req, res) => {
+  try {
+    await workspaceManager.deactivateWallet(req.sessionId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deactivating wallet:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Address and balance of the session's wallet, which has to sync with testnet first
+app.post('/api/wallets/active/balance', requireSession, async (req, res) => {
+  try {
+    if (!(await workspaceManager.getActiveWallet(req.sessionId))) {
+      return res.status(409).json({
+        success: false,
+        error: 'No wallet is active in this session'
+      });
+    }
+
+    const job = jobQueue.submit('wallet', req.sessionId, (onOutput) =>
+      workspaceManager.walletInfo(req.sessionId, { onOutput })
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Wallet balance error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete a stored wallet, sessions that unlocked it no longer use it
+app.delete('/api/wallets/:id', requireClientOwner, async (req, res) => {
+  try {
+    await workspaceManager.removeWallet(req.params.id, req.clientOwner);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting wallet:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Simulate the compiled contract locally: no wallet, proof server or network.
+// Calls are quick, so unlike execute they are answered directly.
+app.post('/api/simulator/start', requireSession, async (req, res) => {
+  try {
+    if (jobQueue.hasJobs(req.sessionId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A compile is still running or queued, start the simulator once it has finished'
+      });
+    }
+
+    console.log(`Starting simulation for session ${req.sessionId}...`);
+    res.json(await workspaceManager.startSimulation(req.sessionId));
+  } catch (error) {
+    console.error('Simulator error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/simulator/call', requireSession, async (req, res) => {
+  try {
+    const { circuit, args = [] } = req.body;
+
+    if (typeof circuit !== 'string' || !circuit) {
+      return res.status(400).json({
+        success: false,
+        error: 'No circuit name provided'
+      });
+    }
+    if (args === null || typeof args !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Circuit arguments must be an array or an object keyed by parameter name'
+      });
+    }
+
+    res.json(await workspaceManager.simulateCircuit(req.sessionId, circuit, args));
+  } catch (error) {
+    console.error('Simulator error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/simulator', requireSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      simulation: await workspaceManager.getSimulation(req.sessionId)
+    });
+  } catch (error) {
+    console.error('Simulator error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/simulator', requireSession, async (req, res) => {
+  try {
+    await workspaceManager.endSimulation(req.sessionId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Simulator error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Parse a Compact file into its declarations, for the IDE's outline
+app.post('/api/parse', (req, res) => {
+  const { source, file } = req.body;
+
+  if (typeof source !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'No source provided'
+    });
+  }
+  if (source.length > MAX_PARSE_LENGTH) {
+    return res.status(413).json({
+      success: false,
+      error: 'The source is too large to parse'
+    });
+  }
+
+  const program = parseCompact(source, { file: typeof file === 'string' ? file : null });
+  res.json({
+    success: true,
+    outline: outline(program.items),
+    errors: program.errors
+  });
+});
+
+// Download the build artifacts of the session's last compile as a zip
+app.get('/api/artifacts', requireSession, async (req, res) => {
+  try {
+    if (jobQueue.hasJobs(req.sessionId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A compile is still running or queued, download the artifacts once it has finished'
+      });
+    }
+
+    const artifacts = await workspaceManager.createArtifactsArchive(req.sessionId);
+    if (!artifacts) {
+      return res.status(404).json({
+        success: false,
+        error: 'No build artifacts found, compile the contract first'
+      });
+    }
+
+    const { archive, manifest } = artifacts;
+    archive.on('error', (error) => {
+      console.error('Artifacts archive error:', error);
+      res.destroy(error);
+    });
+    // Stop archiving for clients that go away before the download completes
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        archive.destroy();
+      }
+    });
+
+    res.attachment(`${manifest.contractName}-artifacts.zip`);
+    archive.pipe(res);
+  } catch (error) {
+    console.error('Artifacts error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get the status and, once finished, the result of a compile or deploy job
+app.get('/api/jobs/:id', requireSession, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  // Jobs are only visible to the session that submitted them
+  if (!job || job.sessionId !== req.sessionId) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobQueue.describe(job)
+  });
+});
+
+// Stream the output and status changes of a job as Server-Sent Events
+app.get('/api/jobs/:id/events', requireSession, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job || job.sessionId !== req.sessionId) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data, id) => {
+    if (id !== undefined) {
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onLog = (logJob, entry) => {
+    if (logJob === job) {
+      send('log', { stream: entry.stream, text: entry.text }, entry.seq);
+    }
+  };
+
+  const onStatus = (statusJob) => {
+    if (statusJob !== job) {
+      return;
+    }
+
+    if (jobQueue.isFinished(job)) {
+      send('done', jobQueue.describe(job));
+      close();
+    } else {
+      send('status', jobQueue.describe(job));
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    jobQueue.off('log', onLog);
+    jobQueue.off('status', onStatus);
+    res.end();
+  };
+
+  // Replay the lines the client has not seen yet, e.g. after a reconnect
+  jobQueue.logsSince(job, parseInt(req.get('Last-Event-ID'), 10)).forEach(entry => onLog(job, entry));
+
+  jobQueue.on('log', onLog);
+  jobQueue.on('status', onStatus);
+  req.on('close', close);
+
+  onStatus(job);
+});
+
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Compact Midnight IDE Server with create-midnight-app integration running' });
 });
@@ -107,6 +715,7 @@ app.get('/api/health', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`🌙 Compact Midnight IDE Server running on port ${PORT}`);
-  console.log(`📦 Using workspace deployment with npm run deploy`);
+  console.log(`📦 Session workspaces in ${workspaceManager.sessionsDir}`);
+  console.log(`⚙️  Running up to ${jobQueue.concurrency} compile jobs in parallel`);
   console.log(`🚀 Ready to compile and deploy Compact contracts`);
 });
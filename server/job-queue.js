@@ -0,0 +1,179 @@
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * In-memory queue for long running workspace jobs (compile, deploy).
+ *
+ * At most `concurrency` jobs run at the same time, and jobs of the same
+ * session never run in parallel because they share one workspace.
+ * Finished jobs are kept for `retention` ms so clients can fetch the result.
+ *
+ * Output lines of running jobs are buffered on the job and emitted as
+ * `log` events; every status change is emitted as a `status` event.
+ */
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.concurrency = options.concurrency || Number(process.env.JOB_CONCURRENCY) || 2;
+    this.maxPendingPerSession = options.maxPendingPerSession || Number(process.env.JOB_MAX_PENDING_PER_SESSION) || 3;
+    this.retention = options.retention || Number(process.env.JOB_RETENTION_MS) || 15 * 60 * 1000; // 15 minutes
+    this.maxLogLines = options.maxLogLines || 5000;
+    this.jobs = new Map();
+    this.pending = [];
+    this.runningSessions = new Set();
+    this.running = 0;
+
+    this.pruneTimer = setInterval(() => this.pruneFinishedJobs(), Math.min(this.retention, 60 * 1000));
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Queue a job. `task` is an async function whose return value becomes the
+   * job result; a result with `success: false` marks the job as failed.
+   * It is called with an `onOutput(stream, line)` callback for its output.
+   */
+  submit(type, sessionId, task) {
+    const pendingForSession = this.pending.filter(job => job.sessionId === sessionId).length;
+    if (pendingForSession >= this.maxPendingPerSession) {
+      const error = new Error(`Too many pending jobs for this session (limit ${this.maxPendingPerSession})`);
+      error.status = 429;
+      throw error;
+    }
+
+    const job = {
+      id: randomUUID(),
+      type,
+      sessionId,
+      status: 'queued',
+      result: null,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      logs: [],
+      nextLogSeq: 0,
+      task
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    console.log(`Queued ${type} job ${job.id} for session ${sessionId}`);
+
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Whether a job of the session is running or waiting to run
+   */
+  hasJobs(sessionId) {
+    return this.runningSessions.has(sessionId) || this.pending.some(job => job.sessionId === sessionId);
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  isFinished(job) {
+    return job.status === 'succeeded' || job.status === 'failed';
+  }
+
+  /**
+   * The buffered log lines of a job after the one numbered `lastSeq`, all of
+   * them without one, to replay to a client that (re)connects
+   */
+  logsSince(job, lastSeq) {
+    return Number.isInteger(lastSeq) ? job.logs.filter(entry => entry.seq > lastSeq) : job.logs.slice();
+  }
+
+  appendLog(job, stream, text) {
+    const entry = { seq: job.nextLogSeq++, stream, text };
+
+    job.logs.push(entry);
+    if (job.logs.length > this.maxLogLines) {
+      job.logs.shift();
+    }
+
+    this.emit('log', job, entry);
+  }
+
+  setStatus(job, status) {
+    job.status = status;
+    this.emit('status', job);
+  }
+
+  /**
+   * Public view of a job, as returned by the API
+   */
+  describe(job) {
+    const queuePosition = this.pending.indexOf(job);
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      queuePosition: queuePosition === -1 ? null : queuePosition + 1,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  pump() {
+    while (this.running < this.concurrency) {
+      const index = this.pending.findIndex(job => !this.runningSessions.has(job.sessionId));
+      if (index === -1) {
+        return;
+      }
+
+      const [job] = this.pending.splice(index, 1);
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    this.runningSessions.add(job.sessionId);
+    job.startedAt = Date.now();
+    this.setStatus(job, 'running');
+    console.log(`Running ${job.type} job ${job.id}`);
+
+    let status;
+    try {
+      const result = await job.task((stream, line) => this.appendLog(job, stream, line));
+      job.result = result;
+      status = result && result.success === false ? 'failed' : 'succeeded';
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.error = error.message;
+      status = 'failed';
+    } finally {
+      job.task = null;
+      job.finishedAt = Date.now();
+      this.running--;
+      this.runningSessions.delete(job.sessionId);
+    }
+
+    this.setStatus(job, status);
+    console.log(`Finished ${job.type} job ${job.id}: ${job.status}`);
+
+    // Queue positions of the remaining jobs change as well
+    this.pump();
+    this.pending.forEach(pendingJob => this.emit('status', pendingJob));
+  }
+
+  pruneFinishedJobs() {
+    const now = Date.now();
+
+    for (const job of this.jobs.values()) {
+      if (job.finishedAt && now - job.finishedAt > this.retention) {
+        this.jobs.delete(job.id);
+      }
+    }
+  }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,162 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { JobQueue } from './job-queue.js';
+
+// A task that runs until the test finishes it
+const controlledTask = () => {
+  const task = { started: false };
+  task.run = vi.fn((onOutput) => {
+    task.started = true;
+    task.onOutput = onOutput;
+    return new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+  });
+  return task;
+};
+
+// Let finished tasks settle and the queue start the next ones
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const queues = [];
+const createQueue = (options) => {
+  const queue = new JobQueue(options);
+  queues.push(queue);
+  return queue;
+};
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  queues.splice(0).forEach(queue => clearInterval(queue.pruneTimer));
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('JobQueue', () => {
+  it('runs no more jobs at once than its concurrency', async () => {
+    const queue = createQueue({ concurrency: 2 });
+    const tasks = [controlledTask(), controlledTask(), controlledTask()];
+    const jobs = tasks.map((task, index) => queue.submit('compile', `session-${index}`, task.run));
+
+    expect(tasks.map(task => task.started)).toEqual([true, true, false]);
+    expect(jobs.map(job => queue.describe(job).status)).toEqual(['running', 'running', 'queued']);
+    expect(queue.describe(jobs[2]).queuePosition).toBe(1);
+
+    tasks[1].resolve({ success: true });
+    await settle();
+    expect(tasks[2].started).toBe(true);
+    expect(queue.running).toBe(2);
+  });
+
+  it('runs the jobs of one session one after the other, letting other sessions pass', async () => {
+    const queue = createQueue({ concurrency: 3 });
+    const [first, second, other] = [controlledTask(), controlledTask(), controlledTask()];
+    queue.submit('compile', 'session-a', first.run);
+    const secondJob = queue.submit('deploy', 'session-a', second.run);
+    queue.submit('compile', 'session-b', other.run);
+
+    expect([first.started, second.started, other.started]).toEqual([true, false, true]);
+    expect(queue.hasJobs('session-a')).toBe(true);
+
+    first.reject(new Error('compactc crashed'));
+    await settle();
+    expect(second.started).toBe(true);
+    expect(queue.describe(secondJob).status).toBe('running');
+
+    second.resolve({ success: true });
+    await settle();
+    expect(queue.hasJobs('session-a')).toBe(false);
+  });
+
+  it('records results, failed results and errors', async () => {
+    const queue = createQueue();
+    const jobs = [
+      queue.submit('compile', 'session-a', async () => ({ success: true, output: 'ok' })),
+      queue.submit('compile', 'session-b', async () => ({ success: false, errors: ['parse error'] })),
+      queue.submit('compile', 'session-c', async () => {
+        throw new Error('no compiler');
+      })
+    ];
+    await settle();
+
+    expect(jobs.map(job => [job.status, job.error])).toEqual([
+      ['succeeded', null],
+      ['failed', null],
+      ['failed', 'no compiler']
+    ]);
+    expect(jobs[0].result).toEqual({ success: true, output: 'ok' });
+    expect(jobs.every(job => queue.isFinished(job) && job.task === null)).toBe(true);
+  });
+
+  it('refuses more pending jobs per session than its limit with 429', () => {
+    const queue = createQueue({ concurrency: 1, maxPendingPerSession: 2 });
+    queue.submit('compile', 'session-a', controlledTask().run);
+    queue.submit('compile', 'session-a', controlledTask().run);
+    queue.submit('compile', 'session-a', controlledTask().run);
+
+    expect(() => queue.submit('compile', 'session-a', controlledTask().run)).toThrow(
+      expect.objectContaining({ message: 'Too many pending jobs for this session (limit 2)', status: 429 })
+    );
+    expect(() => queue.submit('compile', 'session-b', controlledTask().run)).not.toThrow();
+  });
+
+  it('forgets finished jobs after their retention', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const queue = createQueue({ retention: 60 * 1000 });
+    const running = controlledTask();
+    const finishedJob = queue.submit('compile', 'session-a', async () => ({ success: true }));
+    const runningJob = queue.submit('compile', 'session-b', running.run);
+    await settle();
+
+    vi.advanceTimersByTime(60 * 1000);
+    queue.pruneFinishedJobs();
+    expect(queue.get(finishedJob.id)).toBe(finishedJob);
+
+    vi.advanceTimersByTime(1);
+    queue.pruneFinishedJobs();
+    expect(queue.get(finishedJob.id)).toBeNull();
+    expect(queue.get(runningJob.id)).toBe(runningJob);
+  });
+
+  it('numbers and buffers output lines and emits them with status changes', async () => {
+    const queue = createQueue({ maxLogLines: 3 });
+    const events = [];
+    queue.on('log', (job, entry) => events.push(['log', entry.seq, entry.text]));
+    queue.on('status', job => events.push(['status', job.status]));
+
+    const task = controlledTask();
+    const job = queue.submit('compile', 'session-a', task.run);
+    ['one', 'two', 'three', 'four'].forEach(line => task.onOutput('stdout', line));
+    task.resolve({ success: true });
+    await settle();
+
+    expect(events).toEqual([
+      ['status', 'running'],
+      ['log', 0, 'one'],
+      ['log', 1, 'two'],
+      ['log', 2, 'three'],
+      ['log', 3, 'four'],
+      ['status', 'succeeded']
+    ]);
+    expect(job.logs.map(entry => entry.text)).toEqual(['two', 'three', 'four']);
+  });
+
+  it('replays the buffered output after the last line a client saw', () => {
+    const queue = createQueue();
+    const task = controlledTask();
+    const job = queue.submit('compile', 'session-a', task.run);
+    ['one', 'two', 'three'].forEach(line => task.onOutput('stderr', line));
+
+    expect(queue.logsSince(job, NaN)).toEqual([
+      { seq: 0, stream: 'stderr', text: 'one' },
+      { seq: 1, stream: 'stderr', text: 'two' },
+      { seq: 2, stream: 'stderr', text: 'three' }
+    ]);
+    expect(queue.logsSince(job, 0).map(entry => entry.text)).toEqual(['two', 'three']);
+    expect(queue.logsSince(job, 2)).toEqual([]);
+  });
+});
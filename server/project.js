@@ -0,0 +1,214 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * A Compact project is a tree of source files with one entry contract:
+ * { files: { 'contract.compact': '...', 'lib/math.compact': '...', 'witnesses.ts': '...' }, entry: 'contract.compact' }
+ *
+ * and optionally a contract name. The name picks the compiler output
+ * directory (managed/<name>) and the private state ID, and defaults to the
+ * entry file's name, here `contract`.
+ *
+ * Paths are relative to the contract package's src directory, where the
+ * project is written out before compiling. That directory also holds files
+ * the project must never replace, such as the compiler output.
+ */
+
+const SOURCE_EXTENSIONS = new Set(['.compact', '.ts']);
+
+// Entries of the src directory that belong to the contract package, not the project
+const PROTECTED_ENTRIES = new Set(['index.ts', 'managed']);
+
+const MAX_FILES = 100;
+const MAX_PATH_LENGTH = 200;
+
+const CONTRACT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Check a project path and return it normalized, throwing a 400 error
+ * for anything that could escape the source directory
+ */
+function normalizeProjectPath(filePath) {
+  if (typeof filePath !== 'string' || !filePath || filePath.length > MAX_PATH_LENGTH) {
+    throw invalid(`Invalid file path: ${filePath}`);
+  }
+
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+  const segments = normalized.split('/');
+  if (
+    path.posix.isAbsolute(normalized) ||
+    segments.some(segment => !segment || segment === '..' || segment.startsWith('.') || !/^[\w.-]+$/.test(segment))
+  ) {
+    throw invalid(`Invalid file path: ${filePath}`);
+  }
+  if (PROTECTED_ENTRIES.has(segments[0])) {
+    throw invalid(`${segments[0]} is managed by the IDE and cannot be part of the project`);
+  }
+  if (!SOURCE_EXTENSIONS.has(path.posix.extname(normalized))) {
+    throw invalid(`Unsupported file type: ${filePath} (only .compact and .ts files)`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Derive a contract name from the entry file, e.g. 'lib/my-token.compact' -> 'my_token'
+ */
+function contractNameFromEntry(entry) {
+  const name = path.posix.basename(entry, '.compact').replace(/[^A-Za-z0-9_]/g, '_').slice(0, 64);
+  return /^[A-Za-z]/.test(name) ? name : `c${name}`.slice(0, 64);
+}
+
+/**
+ * Check a user-chosen contract name, throwing a 400 error if it cannot
+ * be used as a directory name and in identifiers
+ */
+function normalizeContractName(name) {
+  if (typeof name !== 'string' || !CONTRACT_NAME_PATTERN.test(name)) {
+    throw invalid(`Invalid contract name: ${name} (letters, digits and "_", starting with a letter)`);
+  }
+  return name;
+}
+
+/**
+ * Validate a project sent by the IDE, returning it with normalized paths
+ * and the contract name to build it under
+ */
+function normalizeProject({ files, entry, name } = {}) {
+  if (!files || typeof files !== 'object' || Array.isArray(files)) {
+    throw invalid('No project files provided');
+  }
+
+  const entries = Object.entries(files);
+  if (entries.length > MAX_FILES) {
+    throw invalid(`Too many files in project (limit ${MAX_FILES})`);
+  }
+
+  const normalizedFiles = {};
+  for (const [filePath, content] of entries) {
+    if (typeof content !== 'string') {
+      throw invalid(`Content of ${filePath} must be a string`);
+    }
+    normalizedFiles[normalizeProjectPath(filePath)] = content;
+  }
+
+  const normalizedEntry = normalizeProjectPath(entry);
+  if (!normalizedEntry.endsWith('.compact') || !(normalizedEntry in normalizedFiles)) {
+    throw invalid(`Entry contract ${entry} must be one of the project's .compact files`);
+  }
+
+  return {
+    files: normalizedFiles,
+    entry: normalizedEntry,
+    name: name ? normalizeContractName(name) : contractNameFromEntry(normalizedEntry)
+  };
+}
+
+/**
+ * Replace the project in `srcDir` with the given files, removing every
+ * earlier project file and folder so the tree matches exactly
+ */
+async function writeProjectTree(srcDir, files) {
+  for (const entry of await fs.readdir(srcDir)) {
+    if (!PROTECTED_ENTRIES.has(entry)) {
+      await fs.remove(path.join(srcDir, entry));
+    }
+  }
+
+  for (const [filePath, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(srcDir, ...filePath.split('/')), content, 'utf8');
+  }
+}
+
+/**
+ * Write the contract package's index.ts, which re-exports the compiled
+ * contract from its output directory along with the project's witnesses
+ */
+async function writeContractIndex(srcDir, contractName) {
+  await fs.writeFile(
+    path.join(srcDir, 'index.ts'),
+    `export * from "./managed/${contractName}/contract/index.cjs";\nexport * from "./witnesses";\n`,
+    'utf8'
+  );
+}
+
+/**
+ * Read a file of a session without following links: sandboxed user code can
+ * write to the src and managed directories, and must not make the server read
+ * its files. Resolves with null for anything but a regular file with a single
+ * link inside `root`, the real path of the directory it was looked up in.
+ */
+async function readSourceFile(filePath, root) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, fs.constants.O_RDONLY | fs.constants.O_NOFOLLOW);
+  } catch (error) {
+    if (error.code === 'ELOOP') {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    const stats = await handle.stat();
+    if (!stats.isFile() || stats.nlink !== 1) {
+      return null;
+    }
+    // A directory on the way may have been swapped for a link since it was
+    // listed, so check where the opened file really is where Linux tells
+    const openedPath = await fs.promises.readlink(`/proc/self/fd/${handle.fd}`).catch(() => null);
+    if (openedPath !== null && !openedPath.startsWith(`${root}${path.sep}`)) {
+      return null;
+    }
+    return await handle.readFile('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+async function readTree(root, relativeDir) {
+  const files = {};
+
+  // Dirents describe the entries themselves, links are not followed
+  const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (!relativeDir && PROTECTED_ENTRIES.has(entry.name)) {
+      continue;
+    }
+
+    if (entry.isDirectory()) {
+      Object.assign(files, await readTree(root, relativePath));
+    } else if (entry.isFile() && SOURCE_EXTENSIONS.has(path.extname(entry.name))) {
+      const content = await readSourceFile(path.join(root, relativePath), root);
+      if (content !== null) {
+        files[relativePath] = content;
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read the project files currently in `srcDir`, keyed by path and sorted.
+ * Symbolic links, hard links and other special files are left out.
+ */
+async function readProjectTree(srcDir) {
+  return readTree(await fs.realpath(srcDir), '');
+}
+
+module.exports = {
+  normalizeProject,
+  normalizeProjectPath,
+  normalizeContractName,
+  contractNameFromEntry,
+  writeProjectTree,
+  writeContractIndex,
+  readProjectTree,
+  readSourceFile
+};
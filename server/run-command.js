@@ -0,0 +1,112 @@
+const { spawn } = require('child_process');
+
+/**
+ * Spawn a command and report its output line by line while it runs.
+ * Resolves with the collected output; rejects the way `exec` does, with
+ * `stdout`, `stderr` and `code` attached to the error.
+ *
+ * `uid` and `gid` run the command as another user, and aborting `abortSignal`
+ * stops it, failing with the abort reason. `onSpawn` is given the child
+ * process once it started.
+ */
+const runCommand = (command, args, { cwd, env, input, uid, gid, abortSignal, timeout = 60000, maxBuffer = 1024 * 1024, onSpawn, onOutput } = {}) =>
+  new Promise((resolve, reject) => {
+    // Run in its own process group so a timeout also stops anything the command spawned
+    const child = spawn(command, args, {
+      cwd,
+      env,
+      uid,
+      gid,
+      detached: true,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe']
+    });
+    if (onSpawn && child.pid !== undefined) {
+      onSpawn(child);
+    }
+    if (input !== undefined) {
+      child.stdin.on('error', () => {}); // The process may exit before reading everything
+      child.stdin.end(input);
+    }
+    const output = { stdout: '', stderr: '' };
+    const partialLines = { stdout: '', stderr: '' };
+    let failure = null;
+    let settled = false;
+
+    const stop = (error) => {
+      failure = failure || error;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (killError) {
+        // Already exited
+      }
+    };
+
+    const collect = (stream) => (data) => {
+      const text = data.toString();
+      if (output[stream].length + text.length > maxBuffer) {
+        stop(Object.assign(new Error(`${stream} maxBuffer length exceeded`), { reason: 'output' }));
+        return;
+      }
+      output[stream] += text;
+
+      if (onOutput) {
+        const lines = (partialLines[stream] + text).split(/\r\n|\r|\n/);
+        partialLines[stream] = lines.pop();
+        lines.forEach(line => onOutput(stream, line));
+      }
+    };
+
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    const timer = setTimeout(
+      () => stop(Object.assign(new Error(`Command timed out after ${timeout}ms`), { reason: 'timeout' })),
+      timeout
+    );
+    const abort = () => stop(abortSignal.reason instanceof Error ? abortSignal.reason : new Error('Command aborted'));
+    if (abortSignal) {
+      if (abortSignal.aborted) {
+        abort();
+      } else {
+        abortSignal.addEventListener('abort', abort, { once: true });
+      }
+    }
+    // Signals can outlive the command, e.g. one shared by several commands of a job
+    const finish = () => {
+      clearTimeout(timer);
+      if (abortSignal) {
+        abortSignal.removeEventListener('abort', abort);
+      }
+    };
+
+    child.on('error', (error) => {
+      finish();
+      if (!settled) {
+        settled = true;
+        reject(Object.assign(error, output));
+      }
+    });
+
+    child.on('close', (code, signal) => {
+      finish();
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      if (onOutput) {
+        Object.entries(partialLines)
+          .filter(([, line]) => line)
+          .forEach(([stream, line]) => onOutput(stream, line));
+      }
+
+      if (code === 0 && !failure) {
+        resolve(output);
+      } else {
+        const error = failure || new Error(`Command failed: ${[command, ...args].join(' ')}\n${output.stderr}`);
+        reject(Object.assign(error, output, { code, signal }));
+      }
+    });
+  });
+
+module.exports = { runCommand };
@@ -0,0 +1,39 @@
+import { getEventListeners } from 'events';
+import { describe, expect, it } from 'vitest';
+import { runCommand } from './run-command.js';
+
+const node = (script) => [process.execPath, ['-e', script]];
+
+describe('runCommand', () => {
+  it('resolves with the output and reports it line by line', async () => {
+    const lines = [];
+    const output = await runCommand(...node('console.log("one\\ntwo"); console.error("three")'), {
+      onOutput: (stream, line) => lines.push([stream, line])
+    });
+
+    expect(output).toEqual({ stdout: 'one\ntwo\n', stderr: 'three\n' });
+    expect(lines).toEqual(expect.arrayContaining([['stdout', 'one'], ['stdout', 'two'], ['stderr', 'three']]));
+  });
+
+  it('rejects with the exit code and output of a failing command', async () => {
+    await expect(runCommand(...node('console.error("bad"); process.exit(3)'))).rejects.toMatchObject({ code: 3, stderr: 'bad\n' });
+  });
+
+  it('stops the command when its signal aborts', async () => {
+    const controller = new AbortController();
+    const running = runCommand(...node('setTimeout(() => {}, 60000)'), {
+      abortSignal: controller.signal,
+      onSpawn: () => controller.abort(Object.assign(new Error('Disk limit exceeded'), { reason: 'disk' }))
+    });
+
+    await expect(running).rejects.toMatchObject({ message: 'Disk limit exceeded', reason: 'disk', signal: 'SIGKILL' });
+  });
+
+  it('leaves no listener on a signal that outlives the command', async () => {
+    const controller = new AbortController();
+    await runCommand(...node(''), { abortSignal: controller.signal });
+    await expect(runCommand(...node('process.exit(1)'), { abortSignal: controller.signal })).rejects.toMatchObject({ code: 1 });
+
+    expect(getEventListeners(controller.signal, 'abort')).toEqual([]);
+  });
+});
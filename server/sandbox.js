@@ -0,0 +1,391 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const { runCommand } = require('./run-command');
+const { directorySize } = require('./compile-cache');
+
+/**
+ * Runs tools on user-submitted code (compactc, tsc and the CLI with the
+ * user's witnesses) in a restricted child environment:
+ *
+ * - Environment: only a few harmless variables of the server's environment
+ *   are passed on, plus what the caller hands over explicitly. Secrets such
+ *   as WALLET_SEED are never inherited.
+ * - Working directory: the session workspace, with HOME and TMPDIR inside it
+ *   (`.sandbox/`), optionally owned by an unprivileged user (SANDBOX_UID and
+ *   SANDBOX_GID) the commands then run as.
+ * - Limits: address space, CPU time and file size through rlimits,
+ *   wall-clock time and output size in the server, and the resident memory
+ *   of the command's processes and the workspace's disk usage by watching
+ *   them while the command runs.
+ * - Filesystem: with bubblewrap installed, the command only sees system
+ *   directories, the Node.js installation, the server's node_modules and the
+ *   paths it is given, read-only, and its workspace. The rest of the server,
+ *   including its .env files and other sessions, does not exist for it.
+ *   Without bubblewrap commands fail, unless SANDBOX_ISOLATION=none
+ *   explicitly allows running them without filesystem isolation.
+ *
+ * A command breaking a limit fails with an error whose `violation` is one of
+ * 'time', 'cpu', 'memory', 'disk' or 'output', and whose message says which
+ * limit it hit. Output linking outside the workspace is a 'filesystem'
+ * violation, see checkOutput().
+ */
+
+// The only variables taken over from the server's environment
+const INHERITED_ENV = ['PATH', 'LANG', 'LC_ALL', 'TZ'];
+
+// System paths made visible inside bubblewrap, read-only, where they exist
+const SYSTEM_PATHS = [
+  '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64',
+  '/etc/resolv.conf', '/etc/hosts', '/etc/nsswitch.conf', '/etc/passwd', '/etc/group', '/etc/localtime',
+  '/etc/ssl', '/etc/ca-certificates', '/etc/pki'
+];
+
+const SANDBOX_DIR = '.sandbox';
+const CPU_GRACE_SECONDS = 5;
+const DISK_CHECK_INTERVAL = 2000;
+const MEMORY_CHECK_INTERVAL = 1000;
+
+// V8 reserves about 10 GB of address space for every WebAssembly memory and
+// the Midnight libraries create several, so the address space limit leaves
+// room for them. Memory actually used is bounded by watching it instead.
+const RESERVED_ADDRESS_SPACE_MB = 64 * 1024;
+
+// Exit codes of a shell reporting a child killed by SIGXCPU and SIGXFSZ
+const SIGXCPU_EXIT_CODE = 128 + 24;
+const SIGXFSZ_EXIT_CODE = 128 + 25;
+
+const OUT_OF_MEMORY = /heap out of memory|Cannot allocate memory|std::bad_alloc|out of memory/i;
+
+const findExecutable = (name) => (process.env.PATH || '')
+  .split(path.delimiter)
+  .map(dir => path.join(dir, name))
+  .find(candidate => fs.existsSync(candidate)) || null;
+
+const optionalId = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+class Sandbox {
+  constructor(options = {}) {
+    this.limits = {
+      memoryMb: Number(process.env.SANDBOX_MEMORY_MB) || 2048,
+      cpuSeconds: Number(process.env.SANDBOX_CPU_SECONDS) || 600,
+      diskMb: Number(process.env.SANDBOX_DISK_MB) || 1024,
+      ...options.limits
+    };
+    this.uid = options.uid !== undefined ? options.uid : optionalId(process.env.SANDBOX_UID);
+    this.gid = options.gid !== undefined ? options.gid : optionalId(process.env.SANDBOX_GID);
+
+    // Bubblewrap is required, unless 'none' opts out of filesystem isolation
+    this.isolation = options.isolation || process.env.SANDBOX_ISOLATION || 'bwrap';
+    this.bwrapPath = this.isolation === 'none' ? null : findExecutable('bwrap');
+
+    // Tools run with the server's Node.js and resolve packages from its node_modules
+    this.sharedPaths = [
+      path.dirname(path.dirname(process.execPath)),
+      path.join(__dirname, 'node_modules'),
+      ...(options.sharedPaths || [])
+    ];
+
+    if (this.bwrapPath) {
+      console.log(`🔒 Sandbox: filesystem isolation with ${this.bwrapPath}`);
+    } else if (this.isolation === 'none') {
+      console.warn('⚠️  Sandbox: SANDBOX_ISOLATION=none, user code runs without filesystem isolation');
+    } else {
+      console.error('❌ Sandbox: bubblewrap not found, user code cannot run until it is installed');
+    }
+  }
+
+  /**
+   * Get a workspace ready for sandboxed commands, handing it to the
+   * sandbox user when one is configured
+   */
+  async prepare(workDir) {
+    await fs.ensureDir(path.join(workDir, SANDBOX_DIR, 'home'));
+    await fs.ensureDir(path.join(workDir, SANDBOX_DIR, 'tmp'));
+
+    if (this.uid !== undefined) {
+      await chownRecursive(workDir, this.uid, this.gid !== undefined ? this.gid : this.uid);
+    }
+  }
+
+  /**
+   * Create a directory outside any workspace for a command to write its
+   * output to, such as the compiler's build, through `writablePaths`.
+   * Only that command sees it, not the user code other commands run.
+   */
+  async prepareOutput(dir) {
+    await fs.ensureDir(dir);
+
+    if (this.uid !== undefined) {
+      await fs.chown(dir, this.uid, this.gid !== undefined ? this.gid : this.uid);
+    }
+  }
+
+  environment(workDir, env = {}) {
+    const base = {};
+    INHERITED_ENV.filter(name => process.env[name] !== undefined).forEach(name => {
+      base[name] = process.env[name];
+    });
+
+    const sandboxDir = path.join(workDir, SANDBOX_DIR);
+    return {
+      ...base,
+      HOME: path.join(sandboxDir, 'home'),
+      TMPDIR: this.bwrapPath ? '/tmp' : path.join(sandboxDir, 'tmp'),
+      // Let Node.js fail cleanly before it runs into the memory rlimit
+      NODE_OPTIONS: `--max-old-space-size=${Math.floor(this.limits.memoryMb * 0.75)}`,
+      ...env
+    };
+  }
+
+  /**
+   * Rlimits are applied by a shell that then replaces itself with the command.
+   * `ulimit -v` and `ulimit -f` count kilobytes and 512-byte blocks in POSIX
+   * shells. The hard CPU limit
+   * lies a little above the soft one, so that the command first gets a
+   * SIGXCPU that can be told apart from other kills.
+   */
+  limitedCommand(command, args) {
+    const { memoryMb, cpuSeconds, diskMb } = this.limits;
+    const script = `ulimit -v ${(memoryMb + RESERVED_ADDRESS_SPACE_MB) * 1024} && ulimit -S -t ${cpuSeconds} && ` +
+      `ulimit -H -t ${cpuSeconds + CPU_GRACE_SECONDS} && ulimit -f ${diskMb * 2048} && exec "$@"`;
+    return ['/bin/sh', ['-c', script, 'sandbox', command, ...args]];
+  }
+
+  isolatedCommand(command, args, { workDir, cwd, readOnlyPaths, writablePaths, network }) {
+    const bind = (flag, paths) => paths.flatMap(bindPath => [flag, bindPath, bindPath]);
+    const bwrapArgs = [
+      '--die-with-parent',
+      '--new-session',
+      '--unshare-all',
+      ...(network ? ['--share-net'] : []),
+      ...bind('--ro-bind-try', SYSTEM_PATHS),
+      '--proc', '/proc',
+      '--dev', '/dev',
+      ...bind('--ro-bind-try', [...new Set([...this.sharedPaths, ...readOnlyPaths])]),
+      '--bind', workDir, workDir,
+      ...bind('--bind', writablePaths),
+      '--bind', path.join(workDir, SANDBOX_DIR, 'tmp'), '/tmp',
+      '--chdir', cwd,
+      '--',
+      command,
+      ...args
+    ];
+    return [this.bwrapPath, bwrapArgs];
+  }
+
+  /**
+   * Run a command on behalf of a session. `workDir` is the session's
+   * workspace, the only place the command may write to, and `cwd` lies
+   * inside it. Only `env` and a few locale variables reach the command.
+   * `readOnlyPaths` are extra paths it needs to see, such as the compiler,
+   * `writablePaths` directories outside the workspace it may write to, see
+   * prepareOutput(), and `network` allows network access (needed by the CLI).
+   *
+   * Resolves and rejects like runCommand, with `violation` set on the error
+   * when a limit was exceeded.
+   */
+  async run(command, args, { workDir, cwd = workDir, env, readOnlyPaths = [], writablePaths = [], network = false, input, timeout, maxBuffer, onOutput } = {}) {
+    const [spawnCommand, spawnArgs] = this.sandboxedCommand(command, args, { workDir, cwd, readOnlyPaths, writablePaths, network });
+
+    const limitWatch = new AbortController();
+    const diskLimit = this.limits.diskMb * 1024 * 1024;
+    const diskTimer = setInterval(async () => {
+      try {
+        const sizes = await Promise.all([workDir, ...writablePaths].map(dir => directorySize(dir)));
+        if (sizes.reduce((total, size) => total + size, 0) > diskLimit) {
+          limitWatch.abort(Object.assign(new Error('Disk limit exceeded'), { reason: 'disk' }));
+        }
+      } catch (error) {
+        // Files come and go while the command runs, check again next time
+      }
+    }, DISK_CHECK_INTERVAL);
+    let stopMemoryWatch = () => {};
+
+    try {
+      return await runCommand(spawnCommand, spawnArgs, {
+        cwd,
+        env: this.environment(workDir, env),
+        uid: this.uid,
+        gid: this.gid,
+        input,
+        timeout,
+        maxBuffer,
+        abortSignal: limitWatch.signal,
+        onSpawn: (child) => {
+          stopMemoryWatch = this.watchMemory(child.pid, (error) => limitWatch.abort(error));
+        },
+        onOutput
+      });
+    } catch (error) {
+      throw this.describeViolation(error, { timeout, maxBuffer });
+    } finally {
+      clearInterval(diskTimer);
+      stopMemoryWatch();
+    }
+  }
+
+  /**
+   * Start a long-running command, such as the simulator, with the same
+   * environment and isolation as run() and stdin, stdout and stderr piped.
+   * Returns the child process, which runs in its own process group. The
+   * rlimits apply, but neither time, output, memory nor disk usage are
+   * watched: that is up to the caller, see watchMemory() and
+   * describeViolation().
+   */
+  spawn(command, args, { workDir, cwd = workDir, env, readOnlyPaths = [], writablePaths = [], network = false } = {}) {
+    const [spawnCommand, spawnArgs] = this.sandboxedCommand(command, args, { workDir, cwd, readOnlyPaths, writablePaths, network });
+    return spawn(spawnCommand, spawnArgs, {
+      cwd,
+      env: this.environment(workDir, env),
+      uid: this.uid,
+      gid: this.gid,
+      detached: true,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  }
+
+  sandboxedCommand(command, args, { workDir, cwd, readOnlyPaths, writablePaths, network }) {
+    if (!this.bwrapPath && this.isolation !== 'none') {
+      throw Object.assign(new Error('Sandbox unavailable: bubblewrap is not installed, install it or set SANDBOX_ISOLATION=none to run user code without filesystem isolation'), {
+        violation: 'sandbox'
+      });
+    }
+
+    const [limitedCommand, limitedArgs] = this.limitedCommand(command, args);
+    return this.bwrapPath
+      ? this.isolatedCommand(limitedCommand, limitedArgs, { workDir, cwd, readOnlyPaths, writablePaths, network })
+      : [limitedCommand, limitedArgs];
+  }
+
+  /**
+   * Watch the resident memory of process `pid` and everything it started,
+   * which the address space limit does not bound. Calls `onExceeded` with
+   * an error once they use more than the memory limit. Returns a function
+   * that stops watching.
+   */
+  watchMemory(pid, onExceeded) {
+    const memoryLimit = this.limits.memoryMb * 1024 * 1024;
+    const timer = setInterval(async () => {
+      try {
+        if (await residentMemory(pid) > memoryLimit) {
+          clearInterval(timer);
+          onExceeded(Object.assign(new Error('Memory limit exceeded'), { reason: 'memory' }));
+        }
+      } catch (error) {
+        // Processes come and go while the command runs, check again next time
+      }
+    }, MEMORY_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * The server reads what sandboxed commands write, e.g. the compiler output
+   * or files the user's witnesses created among the sources, so none of it
+   * may link to files outside the workspace. Resolves with an error
+   * describing the first symlink found in `dir`, or null.
+   */
+  async checkOutput(dir) {
+    const symlink = await findSymlink(dir);
+    if (!symlink) {
+      return null;
+    }
+    return Object.assign(new Error(`Sandbox violation: ${path.basename(dir)} contains a symbolic link (${path.relative(dir, symlink)})`), {
+      violation: 'filesystem'
+    });
+  }
+
+  /**
+   * Turn a failure caused by one of the limits into a clear error
+   */
+  describeViolation(error, { timeout, maxBuffer } = {}) {
+    const { memoryMb, cpuSeconds, diskMb } = this.limits;
+    let violation = null;
+    let message = null;
+
+    if (error.reason === 'timeout') {
+      violation = 'time';
+      message = `Time limit exceeded: stopped after ${Math.round(timeout / 1000)}s`;
+    } else if (error.reason === 'output') {
+      violation = 'output';
+      message = `Output limit exceeded: more than ${Math.round(maxBuffer / 1024)} KB of output`;
+    } else if (error.reason === 'memory') {
+      violation = 'memory';
+      message = `Memory limit exceeded: more than ${memoryMb} MB`;
+    } else if (error.reason === 'disk') {
+      violation = 'disk';
+      message = `Disk limit exceeded: the workspace grew past ${diskMb} MB`;
+    } else if (error.signal === 'SIGXCPU' || error.code === SIGXCPU_EXIT_CODE) {
+      violation = 'cpu';
+      message = `CPU time limit exceeded: more than ${cpuSeconds}s of CPU time`;
+    } else if (error.signal === 'SIGXFSZ' || error.code === SIGXFSZ_EXIT_CODE) {
+      violation = 'disk';
+      message = `Disk limit exceeded: a file grew past ${diskMb} MB`;
+    } else if (OUT_OF_MEMORY.test(error.stderr || '')) {
+      violation = 'memory';
+      message = `Memory limit exceeded: more than ${memoryMb} MB`;
+    }
+
+    if (violation) {
+      error.message = message;
+      error.violation = violation;
+    }
+    return error;
+  }
+}
+
+async function chownRecursive(target, uid, gid) {
+  await fs.lchown(target, uid, gid);
+  const stats = await fs.lstat(target);
+  if (stats.isDirectory()) {
+    for (const entry of await fs.readdir(target)) {
+      await chownRecursive(path.join(target, entry), uid, gid);
+    }
+  }
+}
+
+// Resident memory of a process and its descendants, in bytes
+async function residentMemory(rootPid) {
+  const children = new Map();
+  for (const entry of await fs.readdir('/proc')) {
+    const stat = /^\d+$/.test(entry) && (await fs.readFile(`/proc/${entry}/stat`, 'utf8').catch(() => null));
+    if (stat) {
+      // The fields after the command name, which may contain spaces: state, ppid, ...
+      const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+      children.set(ppid, [...(children.get(ppid) || []), Number(entry)]);
+    }
+  }
+
+  let total = 0;
+  const pending = [rootPid];
+  while (pending.length > 0) {
+    const pid = pending.pop();
+    const status = await fs.readFile(`/proc/${pid}/status`, 'utf8').catch(() => '');
+    const match = status.match(/^VmRSS:\s+(\d+) kB/m);
+    total += match ? Number(match[1]) * 1024 : 0;
+    pending.push(...(children.get(pid) || []));
+  }
+  return total;
+}
+
+async function findSymlink(dir) {
+  if (!(await fs.pathExists(dir))) {
+    return null;
+  }
+
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isSymbolicLink()) {
+      return entryPath;
+    }
+    if (entry.isDirectory()) {
+      const nested = await findSymlink(entryPath);
+      if (nested) {
+        return nested;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { Sandbox };
@@ -0,0 +1,183 @@
+/**
+ * A running simulator of a session's contract: the CLI package's
+ * `simulator` script, which executes the compiled contract and the user's
+ * witnesses through compact-runtime and keeps the ledger and private state
+ * in memory. It runs in the sandbox and is driven with the CLI's NDJSON
+ * command protocol (bboard-cli/src/command-protocol.ts).
+ *
+ * Every command is limited in time and output. A command breaking a limit,
+ * or the simulator stopping on its own, ends the simulation: the pending
+ * and all later requests fail with a clear error.
+ */
+
+const STARTUP_TIMEOUT = 2 * 60 * 1000; // ts-node compiles the CLI sources first
+const COMMAND_TIMEOUT = 30 * 1000;
+const MAX_LINE_LENGTH = 1024 * 1024;
+const STDERR_TAIL_LENGTH = 16 * 1024;
+
+class SimulatorProcess {
+  /**
+   * Start the simulator in `cwd`, the session's CLI package, and wait
+   * until it is ready for commands
+   */
+  static async start(sandbox, { workDir, cwd, env }) {
+    const simulator = new SimulatorProcess(sandbox, sandbox.spawn('npm', ['run', '--silent', 'simulator'], {
+      workDir,
+      cwd,
+      env: {
+        ...env,
+        // The sources were type-checked when the contract was compiled
+        TS_NODE_TRANSPILE_ONLY: 'true'
+      }
+    }));
+
+    try {
+      await simulator.waitFor(simulator.ready, STARTUP_TIMEOUT);
+    } catch (error) {
+      await simulator.stop();
+      throw error;
+    }
+    return simulator;
+  }
+
+  constructor(sandbox, child) {
+    this.sandbox = sandbox;
+    this.child = child;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.stderr = '';
+    this.partialLine = '';
+    this.failure = null;
+
+    this.ready = new Promise((resolve) => {
+      this.markReady = resolve;
+    });
+    // Ends, whatever the reason, reject the requests waiting for an answer
+    this.exited = new Promise((resolve, reject) => {
+      this.markExited = reject;
+    });
+    this.exited.catch(() => {});
+    // Settles once the process is gone, see stop()
+    this.closed = new Promise((resolve) => {
+      child.once('close', resolve);
+      child.once('error', resolve);
+    });
+
+    child.stdin.on('error', () => {}); // Writes after the process exited
+    child.stdout.on('data', (data) => this.receive(data.toString()));
+    child.stderr.on('data', (data) => {
+      this.stderr = (this.stderr + data.toString()).slice(-STDERR_TAIL_LENGTH);
+    });
+    this.stopMemoryWatch = sandbox.watchMemory(child.pid, (error) => this.fail(error));
+    child.on('error', (error) => this.fail(error));
+    child.on('close', (code, signal) => {
+      const stderr = this.stderr.trim();
+      this.fail(Object.assign(
+        new Error(`The simulator stopped (${signal || `exit code ${code}`})${stderr ? `: ${stderr}` : ''}`),
+        { code, signal, stderr }
+      ));
+    });
+  }
+
+  get running() {
+    return this.failure === null;
+  }
+
+  /**
+   * Send a command and resolve with its result message,
+   * { success, result } or { success: false, error }
+   */
+  async request(command, payload = {}) {
+    if (this.failure) {
+      throw this.failure;
+    }
+
+    const id = this.nextId++;
+    const answer = new Promise((resolve) => {
+      this.pending.set(id, resolve);
+    });
+    this.child.stdin.write(`${JSON.stringify({ ...payload, id, command })}\n`);
+
+    try {
+      return await this.waitFor(answer, COMMAND_TIMEOUT);
+    } finally {
+      this.pending.delete(id);
+    }
+  }
+
+  /**
+   * Stop the simulator, resolving once its process has exited and the
+   * user's code no longer runs
+   */
+  async stop() {
+    if (this.running) {
+      this.fail(new Error('The simulator was stopped'));
+    }
+    try {
+      process.kill(-this.child.pid, 'SIGKILL');
+    } catch (error) {
+      // Already exited
+    }
+    await this.closed;
+  }
+
+  async waitFor(promise, timeout) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(this.fail(Object.assign(new Error('The simulator did not answer in time'), { reason: 'timeout' }), { timeout }));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([promise, timedOut, this.exited]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  receive(text) {
+    const lines = (this.partialLine + text).split(/\r?\n/);
+    this.partialLine = lines.pop();
+    if (this.partialLine.length > MAX_LINE_LENGTH) {
+      this.fail(Object.assign(new Error('The simulator wrote too much output'), { reason: 'output' }), {
+        maxBuffer: MAX_LINE_LENGTH
+      });
+      return;
+    }
+
+    lines.forEach((line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        return; // Not part of the protocol
+      }
+
+      if (message.type === 'event' && message.event === 'ready') {
+        this.markReady();
+      } else if (message.type === 'result' && this.pending.has(message.id)) {
+        this.pending.get(message.id)(message);
+      }
+    });
+  }
+
+  // End the simulation for good, stopping the process
+  fail(error, limits = {}) {
+    if (this.failure) {
+      return this.failure;
+    }
+
+    this.stopMemoryWatch();
+    this.failure = this.sandbox.describeViolation(error, limits);
+    this.markExited(this.failure);
+    try {
+      process.kill(-this.child.pid, 'SIGKILL');
+    } catch (killError) {
+      // Already exited
+    }
+    return this.failure;
+  }
+}
+
+module.exports = { SimulatorProcess };
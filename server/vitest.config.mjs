@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// The server's modules and the CommonJS packages it shares with the CLI
+export default defineConfig({
+  test: {
+    include: ['*.test.js', 'workspace/{compact-parser,deployment-registry,wallet-keys}/*.test.js'],
+    environment: 'node'
+  }
+});
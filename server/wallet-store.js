@@ -0,0 +1,208 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { generateMnemonic, validateMnemonic, mnemonicToSeed, isValidSeed, deriveAddress } = require('./workspace/wallet-keys');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Named wallets, with their seeds encrypted at rest.
+ *
+ * Each wallet is a file `<dir>/<id>.json`:
+ *
+ *   { id, name, owner, address, network, imported, createdAt,
+ *     encryption: { kdf: 'scrypt', N, r, p, salt, cipher: 'aes-256-gcm', iv, tag },
+ *     seed }
+ *
+ * where `seed` is the encrypted seed in hex. The key is derived from the
+ * wallet's passphrase with scrypt and the wallet id is authenticated along
+ * with the seed, so the server can only use a seed once the passphrase is
+ * given. `owner` scopes wallets to one client of the IDE, like deployments.
+ *
+ * New wallets get a recovery phrase, which is only handed out once: the
+ * store keeps the seed derived from it. Addresses are derived offline, for
+ * the network the CLI runs on.
+ *
+ * Wallets are described to callers without their encrypted seed, see
+ * `describe`.
+ */
+
+// Headless mode and wallet-info run against testnet
+const WALLET_NETWORK = 'TestNet';
+const NAME_PATTERN = /^[\w .-]{1,64}$/;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// scrypt cost: 64MB of memory per derivation
+const SCRYPT_PARAMS = { N: 2 ** 16, r: 8, p: 1 };
+const scryptOptions = ({ N, r, p }) => ({ N, r, p, maxmem: 256 * N * r });
+
+const KEY_LENGTH = 32;
+
+const fail = (message, status) => Object.assign(new Error(message), { status });
+
+const describe = ({ id, name, address, network, imported, createdAt }) => ({ id, name, address, network, imported, createdAt });
+
+class WalletStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.WALLET_STORE_DIR || path.join(__dirname, '.wallets');
+  }
+
+  /**
+   * The owner's wallets, by name
+   */
+  async list(owner) {
+    return (await this.readWallets())
+      .filter(wallet => wallet.owner === owner)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(describe);
+  }
+
+  async get(id, owner) {
+    return describe(await this.read(id, owner));
+  }
+
+  /**
+   * Create a wallet from a new recovery phrase. Resolves with the wallet
+   * and the phrase, which cannot be read again later.
+   */
+  async create({ name, passphrase, owner }) {
+    const mnemonic = generateMnemonic();
+    const wallet = await this.store({ name, passphrase, owner, seed: mnemonicToSeed(mnemonic), imported: false });
+    return { wallet, mnemonic };
+  }
+
+  /**
+   * Add an existing wallet from its recovery phrase, or its 32-byte hex seed
+   */
+  async import({ name, seed, mnemonic, passphrase, owner }) {
+    if (mnemonic !== undefined) {
+      if (!validateMnemonic(mnemonic)) {
+        throw fail('The recovery phrase is not valid, check the words and their order', 400);
+      }
+      return this.store({ name, passphrase, owner, seed: mnemonicToSeed(mnemonic), imported: true });
+    }
+    if (typeof seed !== 'string' || !isValidSeed(seed.trim())) {
+      throw fail('The seed must be 64 hex characters', 400);
+    }
+    return this.store({ name, passphrase, owner, seed: seed.trim().toLowerCase(), imported: true });
+  }
+
+  /**
+   * Decrypt a wallet's seed with its passphrase
+   */
+  async unlock(id, passphrase, owner) {
+    const wallet = await this.read(id, owner);
+    const { encryption } = wallet;
+
+    const key = await scrypt(String(passphrase || ''), Buffer.from(encryption.salt, 'hex'), KEY_LENGTH, scryptOptions(encryption));
+    const decipher = crypto.createDecipheriv(encryption.cipher, key, Buffer.from(encryption.iv, 'hex'));
+    decipher.setAAD(Buffer.from(wallet.id));
+    decipher.setAuthTag(Buffer.from(encryption.tag, 'hex'));
+    try {
+      return Buffer.concat([decipher.update(Buffer.from(wallet.seed, 'hex')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw fail('Wrong passphrase', 403);
+    }
+  }
+
+  /**
+   * Remember the address a wallet was found to have on a network
+   */
+  async setAddress(id, owner, { address, network }) {
+    const wallet = { ...(await this.read(id, owner)), address, network };
+    await this.write(wallet);
+    return describe(wallet);
+  }
+
+  async remove(id, owner) {
+    await this.read(id, owner);
+    await fs.remove(this.file(id));
+  }
+
+  async store({ name, passphrase, owner, seed, imported }) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name.trim())) {
+      throw fail('Wallet names are 1 to 64 letters, digits, spaces, dots, dashes or underscores', 400);
+    }
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw fail(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 400);
+    }
+    const trimmedName = name.trim();
+    if ((await this.list(owner)).some(wallet => wallet.name === trimmedName)) {
+      throw fail(`A wallet named ${trimmedName} already exists`, 409);
+    }
+
+    const id = crypto.randomUUID();
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await scrypt(passphrase, salt, KEY_LENGTH, scryptOptions(SCRYPT_PARAMS));
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(id));
+    const encryptedSeed = Buffer.concat([cipher.update(seed, 'utf8'), cipher.final()]);
+
+    // Reading the balance later finds the address as well
+    const address = await deriveAddress(seed, WALLET_NETWORK).catch(error => {
+      console.warn(`Could not derive the address of wallet ${trimmedName}:`, error.message);
+      return null;
+    });
+
+    const wallet = {
+      id,
+      name: trimmedName,
+      owner,
+      address,
+      network: address && WALLET_NETWORK,
+      imported,
+      createdAt: new Date().toISOString(),
+      encryption: {
+        kdf: 'scrypt',
+        ...SCRYPT_PARAMS,
+        salt: salt.toString('hex'),
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex')
+      },
+      seed: encryptedSeed.toString('hex')
+    };
+    await this.write(wallet);
+    console.log(`🔐 Stored wallet ${wallet.name} (${wallet.id})`);
+    return describe(wallet);
+  }
+
+  file(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async read(id, owner) {
+    let wallet = null;
+    if (typeof id === 'string' && /^[0-9a-f-]{36}$/.test(id)) {
+      wallet = await fs.readJson(this.file(id)).catch(() => null);
+    }
+    if (!wallet || wallet.owner !== owner) {
+      throw fail('Wallet not found', 404);
+    }
+    return wallet;
+  }
+
+  async readWallets() {
+    if (!(await fs.pathExists(this.dir))) {
+      return [];
+    }
+    const wallets = await Promise.all((await fs.readdir(this.dir))
+      .filter(file => file.endsWith('.json'))
+      .map(file => fs.readJson(path.join(this.dir, file)).catch(() => null)));
+    return wallets.filter(Boolean);
+  }
+
+  // Only the server's user may read the files, the seeds are encrypted but still secrets
+  async write(wallet) {
+    await fs.ensureDir(this.dir, { mode: 0o700 });
+    const tempFile = `${this.file(wallet.id)}.${process.pid}.tmp`;
+    await fs.writeJson(tempFile, wallet, { spaces: 2, mode: 0o600 });
+    await fs.move(tempFile, this.file(wallet.id), { overwrite: true });
+  }
+}
+
+module.exports = {
+  WalletStore
+};
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { WalletStore } from './wallet-store.js';
+import { mnemonicToSeed } from './workspace/wallet-keys/index.js';
+
+const PASSPHRASE = 'correct horse battery';
+const SEED = '92933dd3dff04c57c9f8950d6e08bd5c6f295655c03627a658e09b0726558cad';
+
+// Owners are the hashed X-Client-Id of the IDE, as the server computes them
+const ownerOf = (clientId) => crypto.createHash('sha256').update(clientId).digest('hex');
+const ALICE = ownerOf('client-alice-1234');
+const BOB = ownerOf('client-bob-5678');
+
+let dir;
+let store;
+
+const walletFiles = () => fs.readdirSync(dir).map(file => path.join(dir, file));
+
+beforeEach(() => {
+  dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-store-')), 'wallets');
+  store = new WalletStore({ dir });
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+});
+
+describe('WalletStore', () => {
+  it('unlocks a created wallet to the seed of its recovery phrase', async () => {
+    const { wallet, mnemonic } = await store.create({ name: ' Test wallet ', passphrase: PASSPHRASE, owner: ALICE });
+
+    expect(mnemonic.split(' ')).toHaveLength(24);
+    expect(wallet).toEqual({
+      id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      name: 'Test wallet',
+      address: expect.stringMatching(/^mn_shield-addr_test1/),
+      network: 'TestNet',
+      imported: false,
+      createdAt: expect.any(String)
+    });
+    expect(await store.unlock(wallet.id, PASSPHRASE, ALICE)).toBe(mnemonicToSeed(mnemonic));
+    expect(await store.list(ALICE)).toEqual([wallet]);
+    expect(await new WalletStore({ dir }).get(wallet.id, ALICE)).toEqual(wallet);
+  });
+
+  it('imports wallets from a seed or a recovery phrase', async () => {
+    const fromSeed = await store.import({ name: 'seed', seed: ` ${SEED.toUpperCase()} `, passphrase: PASSPHRASE, owner: ALICE });
+    const fromPhrase = await store.import({
+      name: 'phrase',
+      mnemonic: 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+      passphrase: PASSPHRASE,
+      owner: ALICE
+    });
+
+    expect(fromSeed.imported).toBe(true);
+    expect(await store.unlock(fromSeed.id, PASSPHRASE, ALICE)).toBe(SEED);
+    expect(await store.unlock(fromPhrase.id, PASSPHRASE, ALICE)).toBe(SEED);
+
+    await expect(store.import({ name: 'bad', seed: 'abc', passphrase: PASSPHRASE, owner: ALICE })).rejects.toMatchObject({ status: 400 });
+    await expect(store.import({ name: 'bad', mnemonic: 'abandon about', passphrase: PASSPHRASE, owner: ALICE })).rejects.toMatchObject({
+      status: 400
+    });
+  });
+
+  it('refuses a wrong passphrase and keeps no plaintext on disk', async () => {
+    const { wallet, mnemonic } = await store.create({ name: 'secret', passphrase: PASSPHRASE, owner: ALICE });
+
+    await expect(store.unlock(wallet.id, 'wrong passphrase', ALICE)).rejects.toMatchObject({ message: 'Wrong passphrase', status: 403 });
+    await expect(store.unlock(wallet.id, undefined, ALICE)).rejects.toMatchObject({ status: 403 });
+
+    const [file] = walletFiles();
+    const content = fs.readFileSync(file, 'utf8');
+    expect(content).not.toContain(mnemonicToSeed(mnemonic));
+    expect(content).not.toContain(mnemonic);
+    expect(content).not.toContain(PASSPHRASE);
+    expect(JSON.parse(content).encryption).toMatchObject({ kdf: 'scrypt', cipher: 'aes-256-gcm' });
+  });
+
+  it('refuses a seed moved to another wallet file', async () => {
+    const first = await store.import({ name: 'first', seed: SEED, passphrase: PASSPHRASE, owner: ALICE });
+    const second = await store.import({ name: 'second', seed: SEED, passphrase: PASSPHRASE, owner: ALICE });
+
+    // The wallet id is authenticated along with the seed
+    const secondFile = path.join(dir, `${second.id}.json`);
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, `${first.id}.json`), 'utf8'));
+    fs.writeFileSync(secondFile, JSON.stringify({ ...stored, id: second.id }));
+
+    await expect(store.unlock(second.id, PASSPHRASE, ALICE)).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('only shows, unlocks and removes wallets for their owner', async () => {
+    const { wallet } = await store.create({ name: 'mine', passphrase: PASSPHRASE, owner: ALICE });
+
+    expect(await store.list(BOB)).toEqual([]);
+    expect(await store.list(null)).toEqual([]);
+    await expect(store.get(wallet.id, BOB)).rejects.toMatchObject({ message: 'Wallet not found', status: 404 });
+    await expect(store.unlock(wallet.id, PASSPHRASE, BOB)).rejects.toMatchObject({ status: 404 });
+    await expect(store.remove(wallet.id, BOB)).rejects.toMatchObject({ status: 404 });
+    await expect(store.get('../mine', ALICE)).rejects.toMatchObject({ status: 404 });
+
+    await store.remove(wallet.id, ALICE);
+    expect(await store.list(ALICE)).toEqual([]);
+  });
+
+  it('refuses a second wallet of the same name for one owner', async () => {
+    await store.import({ name: 'main', seed: SEED, passphrase: PASSPHRASE, owner: ALICE });
+
+    await expect(store.import({ name: ' main', seed: SEED, passphrase: PASSPHRASE, owner: ALICE })).rejects.toMatchObject({
+      message: 'A wallet named main already exists',
+      status: 409
+    });
+    await store.import({ name: 'main', seed: SEED, passphrase: PASSPHRASE, owner: BOB });
+    expect((await store.list(BOB)).map(wallet => wallet.name)).toEqual(['main']);
+  });
+
+  it('checks names and passphrases', async () => {
+    await expect(store.create({ name: '../etc', passphrase: PASSPHRASE, owner: ALICE })).rejects.toMatchObject({ status: 400 });
+    await expect(store.create({ name: 'short', passphrase: 'short', owner: ALICE })).rejects.toMatchObject({
+      message: 'The passphrase must be at least 8 characters',
+      status: 400
+    });
+    expect(fs.existsSync(dir)).toBe(false);
+  });
+
+  it('writes the store readable by the server user only', async () => {
+    const wallet = await store.import({ name: 'main', seed: SEED, passphrase: PASSPHRASE, owner: ALICE });
+    await store.setAddress(wallet.id, ALICE, { address: 'mn_shield-addr_dev1example', network: 'DevNet' });
+
+    expect(fs.statSync(dir).mode & 0o777).toBe(0o700);
+    expect(walletFiles()).toEqual([path.join(dir, `${wallet.id}.json`)]);
+    expect(fs.statSync(walletFiles()[0]).mode & 0o777).toBe(0o600);
+    expect(await store.get(wallet.id, ALICE)).toMatchObject({ address: 'mn_shield-addr_dev1example', network: 'DevNet' });
+  });
+});
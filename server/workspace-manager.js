@@ -1,22 +1,265 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { parseDiagnostics } = require('./diagnostics');
+const { readContractInfo } = require('./contract-info');
+const { CompileCache } = require('./compile-cache');
+const { CompilerRegistry } = require('./compiler-registry');
+const { CompilerDriver } = require('./compiler-driver');
+const { Sandbox } = require('./sandbox');
+const { SimulatorProcess } = require('./simulator');
+const { normalizeProject, writeProjectTree, writeContractIndex, readProjectTree } = require('./project');
+const { DeploymentRegistry, hashArtifacts, hashFiles } = require('./workspace/deployment-registry');
+const { WalletStore } = require('./wallet-store');
 
-const execAsync = promisify(exec);
+// Session IDs are generated by the client and used as directory names
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Template entries that are never copied into a session workspace
+const TEMPLATE_EXCLUDES = new Set([
+  'node_modules',
+  'dist',
+  'managed',
+  'logs',
+  'reports',
+  'midnight-level-db',
+  'compcomp',
+  'deployments',
+  'package-lock.json',
+  '.env'
+]);
+
+// Results of the CLI's headless mode, keyed by command id, from its NDJSON output
+const parseHeadlessResults = (stdout) => {
+  const results = new Map();
+  (stdout || '').split(/\r?\n/).forEach(line => {
+    try {
+      const message = JSON.parse(line);
+      if (message.type === 'result') {
+        results.set(message.id, message);
+      }
+    } catch (error) {
+      // Not part of the protocol
+    }
+  });
+  return results;
+};
+
+// Why the headless commands with the given ids did not all succeed, or null
+const headlessFailure = (results, ids) => {
+  for (const id of ids) {
+    const result = results.get(id);
+    if (!result) {
+      return 'The CLI did not report a result';
+    }
+    if (!result.success) {
+      return `${result.command} failed: ${result.error}`;
+    }
+  }
+  return null;
+};
+
+// Compiler flags of each compile mode: a quick check that only type-checks the
+// contract and generates its JS, or a full build that also produces the ZK keys
+const COMPILE_MODE_FLAGS = {
+  check: ['--skip-zk'],
+  full: []
+};
+
+const STAGE_ORDER = ['compact', 'typecheck', 'build'];
+
+// Output of all stages that ran, in order
+const combineStages = (stages) => {
+  const ran = STAGE_ORDER.filter(name => stages[name]).map(name => stages[name]);
+  return {
+    stdout: ran.map(stage => stage.stdout).join(''),
+    stderr: ran.map(stage => stage.stderr).join('')
+  };
+};
+
+// Per-stage results for the API, without the command lines
+const summarizeStages = (stages) => Object.fromEntries(
+  Object.entries(stages).map(([name, { success, exitCode, signal, stdout, stderr, error, violation = null, durationMs, cached = false }]) => [
+    name,
+    { success, exitCode, signal, stdout, stderr, error, violation, durationMs, cached }
+  ])
+);
+
+const stageError = (stage) => Object.assign(
+  new Error(stage.error || `${stage.stage} failed with exit code ${stage.exitCode}`),
+  { stage: stage.stage, code: stage.exitCode, signal: stage.signal, violation: stage.violation }
+);
 
 class WorkspaceManager {
-  constructor() {
-    this.workspaceDir = path.join(__dirname, 'workspace');
-    this.contractFile = path.join(this.workspaceDir, 'bboard.compact');
-    this.witnessesFile = path.join(this.workspaceDir, 'contract', 'src', 'witnesses.ts');
+  constructor(options = {}) {
+    this.templateDir = path.join(__dirname, 'workspace');
+    this.sessionsDir = options.sessionsDir || process.env.WORKSPACE_SESSIONS_DIR || path.join(__dirname, 'sessions');
+    // Compiler output on its way into the compile cache, out of reach of every workspace
+    this.buildsDir = path.join(this.sessionsDir, '.builds');
+    this.idleTimeout = options.idleTimeout || Number(process.env.WORKSPACE_IDLE_TIMEOUT_MS) || 30 * 60 * 1000; // 30 minutes
+    this.sessions = new Map();
+    this.compileCache = options.compileCache || new CompileCache();
+    // Contracts deployed from sessions, which outlive the sessions themselves
+    this.deploymentRegistry = options.deploymentRegistry ||
+      new DeploymentRegistry(process.env.DEPLOYMENT_REGISTRY_DIR || path.join(__dirname, '.deployments'));
+    // Named wallets, whose seeds are encrypted until a session unlocks one
+    this.walletStore = options.walletStore || new WalletStore();
+    this.compilerRegistry = options.compilerRegistry ||
+      new CompilerRegistry({ bundledDir: path.join(this.templateDir, 'contract', 'compcomp') });
+    // Everything built from user-submitted sources runs in the sandbox
+    this.sandbox = options.sandbox || new Sandbox();
+    this.compilerDriver = options.compilerDriver || new CompilerDriver({ sandbox: this.sandbox });
+
+    this.removeStaleSessions();
+
+    // Periodically remove workspaces of sessions that went idle
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupIdleSessions().catch(error => console.error('Session cleanup failed:', error));
+    }, Math.min(this.idleTimeout, 5 * 60 * 1000));
+    this.cleanupTimer.unref();
+  }
+
+  static isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+  }
+
+  static isValidCompileMode(mode) {
+    return Object.prototype.hasOwnProperty.call(COMPILE_MODE_FLAGS, mode);
+  }
+
+  /**
+   * Get the workspace of a session, creating it from the template on first use
+   */
+  async getSession(sessionId) {
+    if (!WorkspaceManager.isValidSessionId(sessionId)) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      const workspaceDir = path.join(this.sessionsDir, sessionId);
+      session = {
+        id: sessionId,
+        workspaceDir,
+        contractDir: path.join(workspaceDir, 'contract'),
+        // The project lives in the contract package's sources, starting out as the template's
+        srcDir: path.join(workspaceDir, 'contract', 'src'),
+        entry: 'bboard.compact',
+        contractName: 'bboard',
+        simulation: null,
+        startingSimulation: null,
+        // The unlocked wallet the CLI runs with, { id, name, owner, seed }, only kept in memory
+        wallet: null,
+        activeOperations: 0,
+        lastUsed: Date.now(),
+        ready: null
+      };
+      session.ready = this.createSessionWorkspace(session);
+      this.sessions.set(sessionId, session);
+    }
+
+    session.lastUsed = Date.now();
+    try {
+      await session.ready;
+    } catch (error) {
+      this.sessions.delete(sessionId);
+      throw error;
+    }
+    return session;
+  }
+
+  async createSessionWorkspace(session) {
+    console.log(`Creating workspace for session ${session.id}`);
+
+    await fs.copy(this.templateDir, session.workspaceDir, {
+      filter: (src) => !TEMPLATE_EXCLUDES.has(path.basename(src))
+    });
+
+    // The compiler is shared between sessions, only link it
+    await fs.ensureSymlink(
+      path.join(this.templateDir, 'contract', 'compcomp'),
+      path.join(session.contractDir, 'compcomp')
+    );
+
+    await this.sandbox.prepare(session.workspaceDir);
+  }
+
+  /**
+   * Run an operation against a session workspace, keeping the session
+   * alive (and safe from idle cleanup) until it finishes
+   */
+  async withSession(sessionId, operation) {
+    const session = await this.getSession(sessionId);
+    session.activeOperations++;
+    try {
+      return await operation(session);
+    } finally {
+      session.activeOperations--;
+      session.lastUsed = Date.now();
+    }
+  }
+
+  async cleanupIdleSessions() {
+    const now = Date.now();
+
+    for (const session of [...this.sessions.values()]) {
+      if (session.activeOperations > 0 || now - session.lastUsed < this.idleTimeout) {
+        continue;
+      }
+
+      this.sessions.delete(session.id);
+      try {
+        await this.stopSimulation(session);
+        await fs.remove(session.workspaceDir);
+        console.log(`Removed idle workspace for session ${session.id}`);
+      } catch (error) {
+        console.warn(`Failed to remove workspace for session ${session.id}:`, error);
+      }
+    }
+  }
+
+  // Workspaces and builds left behind by a previous server run are never reused
+  removeStaleSessions() {
+    if (!fs.pathExistsSync(this.sessionsDir)) {
+      return;
+    }
+
+    fs.removeSync(this.buildsDir);
+
+    for (const entry of fs.readdirSync(this.sessionsDir)) {
+      if (SESSION_ID_PATTERN.test(entry)) {
+        fs.removeSync(path.join(this.sessionsDir, entry));
+      }
+    }
+  }
+
+  /**
+   * Replace the session's project with the given (normalized) files and
+   * entry contract, see project.js
+   */
+  async updateProject(sessionId, { files, entry, name }) {
+    return this.withSession(sessionId, async (session) => {
+      await writeProjectTree(session.srcDir, files);
+      if (name !== session.contractName) {
+        // Build output of the previous name would otherwise end up in the contract package
+        await fs.remove(path.join(session.srcDir, 'managed'));
+        await writeContractIndex(session.srcDir, name);
+        session.contractName = name;
+      }
+      session.entry = entry;
+      console.log(`Project ${name} updated for session ${session.id}: ${Object.keys(files).length} files, entry ${entry}`);
+      return true;
+    });
   }
 
-  async updateContract(compactCode) {
+  async updateContract(sessionId, compactCode) {
     try {
-      // Write the new compact code to the workspace
-      await fs.writeFile(this.contractFile, compactCode, 'utf8');
-      console.log(`Contract updated: ${this.contractFile}`);
+      const session = await this.getSession(sessionId);
+      // Write the new compact code over the project's entry contract
+      const contractFile = path.join(session.srcDir, session.entry);
+      await fs.writeFile(contractFile, compactCode, 'utf8');
+      console.log(`Contract updated: ${contractFile}`);
       return true;
     } catch (error) {
       console.error('Failed to update contract:', error);
@@ -24,11 +267,13 @@ class WorkspaceManager {
     }
   }
 
-  async updateWitnesses(witnessesCode) {
+  async updateWitnesses(sessionId, witnessesCode) {
     try {
+      const session = await this.getSession(sessionId);
       // Write the new witnesses code to the contract src directory
-      await fs.writeFile(this.witnessesFile, witnessesCode, 'utf8');
-      console.log(`Witnesses updated: ${this.witnessesFile}`);
+      const witnessesFile = path.join(session.srcDir, 'witnesses.ts');
+      await fs.writeFile(witnessesFile, witnessesCode, 'utf8');
+      console.log(`Witnesses updated: ${witnessesFile}`);
       return true;
     } catch (error) {
       console.error('Failed to update witnesses:', error);
@@ -36,345 +281,772 @@ class WorkspaceManager {
     }
   }
 
-  async compile() {
-    try {
-      console.log('Starting compilation...');
-      
-      // Compile the contract using npm run compile (now runs from server directory)
-      const compileResult = await execAsync('npm run compile', {
-        cwd: __dirname, // Run from server directory instead of workspace
-        timeout: 60000, // 1 minute timeout
-        maxBuffer: 1024 * 1024 // 1MB buffer for output
-      });
+  /**
+   * Compiler output directory of the session's contract
+   */
+  getManagedDir(session) {
+    return path.join(session.srcDir, 'managed', session.contractName);
+  }
+
+  /**
+   * Key identifying the session's sources: every project file, the entry and the contract name
+   */
+  async getSourceKey(session) {
+    const files = await readProjectTree(session.srcDir);
+    return CompileCache.key(session.contractName, session.entry, ...Object.entries(files).map(([filePath, content]) => `${filePath}\0${content}`));
+  }
 
-      console.log('Contract compiled successfully');
+  /**
+   * Compile the session's contract and type-check its witnesses. `mode` is
+   * 'full' to build everything including proving and verifying keys, or
+   * 'check' to skip key generation.
+   */
+  async compile(sessionId, { onOutput, compilerVersion, mode = 'full' } = {}) {
+    return this.withSession(sessionId, async (session) => {
+      const stages = {};
+      try {
+        console.log(`Starting ${mode === 'check' ? 'check-only ' : ''}compilation for session ${session.id}...`);
 
-      // Parse the output to extract function information
-      const functions = await this.parseFunctionsFromContract();
-      
-      return {
-        success: true,
-        // output: compileResult.stdout,
-        // errors: compileResult.stderr ? [compileResult.stderr] : [],
-        // contractInfo: null,
-        // timestamp: Date.now()
-      };
+        // Compile the contract inside the session's copy of the contract package
+        const compactRun = await this.runCompact(session, { onOutput, compilerVersion, mode, stages });
+        await this.runStage(session, 'typecheck', { onOutput, stages, compactRun });
 
-    } catch (error) {
-      console.error('Compilation failed:', error);
-      
-      // Extract detailed error information
-      let errorMessages = [];
-      if (error.stderr) {
-        errorMessages.push(error.stderr);
+        console.log(`Contract compiled successfully${compactRun.cached ? ' (cached)' : ''}`);
+
+        // Read the compiled contract's interface from the compiler output
+        const contractInfo = await this.readContractInfo(session);
+        const { stdout, stderr } = combineStages(stages);
+
+        return {
+          success: true,
+          output: stdout,
+          diagnostics: [...compactRun.warnings, ...parseDiagnostics(`${stdout}\n${stderr}`)],
+          contractName: session.contractName,
+          contractInfo,
+          compiler: compactRun.compiler,
+          mode,
+          cached: compactRun.cached,
+          stages: summarizeStages(stages),
+          timestamp: Date.now()
+        };
+
+      } catch (error) {
+        console.error('Compilation failed:', error.message);
+        const { stdout, stderr } = combineStages(stages);
+
+        // Extract detailed error information
+        let errorMessages = [];
+        if (error.violation) {
+          errorMessages.push(error.message);
+        }
+        if (stderr) {
+          errorMessages.push(stderr);
+        }
+        if (stdout.includes('Exception:')) {
+          errorMessages.push(stdout);
+        }
+        if (errorMessages.length === 0) {
+          errorMessages.push(error.message);
+        }
+
+        return {
+          success: false,
+          output: stdout,
+          errors: errorMessages,
+          diagnostics: [...(error.warnings || []), ...parseDiagnostics(`${stdout}\n${stderr}`)],
+          contractInfo: null,
+          compiler: error.compiler || null,
+          mode,
+          cached: error.cached === true,
+          stages: summarizeStages(stages),
+          timestamp: Date.now()
+        };
       }
-      if (error.stdout && error.stdout.includes('Exception:')) {
-        errorMessages.push(error.stdout);
+    });
+  }
+
+  async deploy(sessionId, { onOutput, compilerVersion } = {}) {
+    return this.withSession(sessionId, async (session) => {
+      const stages = {};
+      try {
+        console.log(`Starting deployment for session ${session.id}...`);
+
+        // First compile the contract, then build the contract package
+        const compactRun = await this.runCompact(session, { onOutput, compilerVersion, stages });
+        await this.runStage(session, 'build', { onOutput, stages, compactRun });
+
+        console.log('Contract compiled & built successfully');
+        const { stdout, stderr } = combineStages(stages);
+
+        return {
+          success: true,
+          output: stdout,
+          diagnostics: [...compactRun.warnings, ...parseDiagnostics(`${stdout}\n${stderr}`)],
+          contractName: session.contractName,
+          contractInfo: await this.readContractInfo(session),
+          compiler: compactRun.compiler,
+          cached: compactRun.cached,
+          stages: summarizeStages(stages)
+        };
+
+      } catch (error) {
+        console.error('Deployment failed:', error.message);
+        const { stdout, stderr } = combineStages(stages);
+        return {
+          success: false,
+          output: stdout,
+          errors: error.violation ? [error.message, ...(stderr ? [stderr] : [])] : [stderr || error.message],
+          diagnostics: [...(error.warnings || []), ...parseDiagnostics(`${stdout}\n${stderr}`)],
+          compiler: error.compiler || null,
+          functions: [],
+          stages: summarizeStages(stages),
+          timestamp: Date.now()
+        };
       }
-      if (errorMessages.length === 0) {
-        errorMessages.push(error.message);
+    });
+  }
+
+  /**
+   * Compile the session's contract, reusing the result of an earlier run for
+   * the same project sources, compiler version and mode from the compile cache.
+   *
+   * The compiler is the requested version, or else picked from the entry
+   * contract's pragma by the compiler registry. A running simulation of the
+   * session is stopped first. The compact stage is recorded
+   * in `stages`. Resolves with { cached, compiler, warnings }, where warnings
+   * are diagnostics for a pragma that doesn't match the compiler, and rejects
+   * with the same fields set on the error.
+   */
+  async runCompact(session, { onOutput, compilerVersion, mode = 'full', stages }) {
+    const entrySource = await fs.readFile(path.join(session.srcDir, session.entry), 'utf8');
+    const selection = await this.compilerRegistry.select(entrySource, compilerVersion);
+    const compiler = { version: selection.compiler.version, languageVersion: selection.compiler.languageVersion };
+    const warnings = selection.warnings.map(message => ({
+      file: session.entry,
+      line: selection.pragma.line,
+      column: selection.pragma.column,
+      severity: 'warning',
+      message,
+      source: 'compactc',
+      code: null
+    }));
+
+    session.compilerVersion = compiler.version;
+    session.compileMode = mode;
+    if (onOutput) {
+      onOutput('stdout', `🧰 Using compactc ${compiler.version}${compilerVersion ? '' : ' (selected from pragma)'}`);
+      if (mode === 'check') {
+        onOutput('stdout', '⚡ Check only, skipping proving and verifying key generation');
       }
-      
-      return {
-        success: false,
-        output: error.stdout || '',
-        errors: errorMessages,
-        contractInfo: null,
-        timestamp: Date.now()
-      };
+      selection.warnings.forEach(message => onOutput('stderr', `⚠️  ${message}`));
     }
-  }
 
-  async deploy() {
+    // The simulator runs the user's witnesses, which must not touch the build
+    await this.stopSimulation(session);
+
+    const managedDir = this.getManagedDir(session);
+    const cacheKey = CompileCache.key(await this.getSourceKey(session), compiler.version, mode);
+
+    const cachedRun = await this.compileCache.restore(cacheKey, managedDir);
+    if (cachedRun) {
+      console.log(`Compile cache hit for session ${session.id}`);
+      if (onOutput) {
+        onOutput('stdout', '♻️  Unchanged since an earlier compile, reusing cached build');
+      }
+
+      const { success, stdout, stderr, exitCode = success ? 0 : 1 } = cachedRun;
+      stages.compact = { stage: 'compact', success, exitCode, signal: null, stdout, stderr, error: null, durationMs: 0, cached: true };
+      if (!success) {
+        throw Object.assign(new Error('Compilation failed (cached)'), { cached: true, compiler, warnings });
+      }
+      return { cached: true, compiler, warnings };
+    }
+
+    // Keys of an earlier full build must not outlive a check-only run
+    await fs.remove(managedDir);
+
+    // The compiler writes to a directory of its own, which no user code can
+    // change before the build goes into the compile cache shared by all sessions
+    const buildDir = path.join(this.buildsDir, `${session.id}-${crypto.randomUUID()}`);
+    await this.sandbox.prepareOutput(buildDir);
     try {
-      console.log('Starting deployment...');
-      
-       // First compile the contract
-      const compileResult = await execAsync('npm run contract', {
-        cwd: __dirname, // Run from server directory instead of workspace
-        timeout: 60000, // 1 minute timeout
-        maxBuffer: 1024 * 1024 // 1MB buffer for output
+      const stage = await this.compilerDriver.compact({
+        compilerPath: selection.compiler.path,
+        workDir: session.workspaceDir,
+        cwd: session.contractDir,
+        entry: path.posix.join('src', session.entry),
+        outDir: buildDir,
+        flags: COMPILE_MODE_FLAGS[mode],
+        onOutput
       });
+      stages.compact = stage;
 
-      console.log('Contract compiled & built successfully');
+      const { success, stdout, stderr, exitCode } = stage;
+      if (success) {
+        await this.compileCache.store(cacheKey, buildDir, { success, stdout, stderr, exitCode });
+        await fs.copy(buildDir, managedDir);
+        return { cached: false, compiler, warnings };
+      }
 
-      // Then run the CLI with automatic exit
-      //const cliResult = await this.runCLIWithAutoExit();
+      // Only cache failures reported by the compiler itself, not timeouts or crashes
+      if (exitCode && !stage.signal && !stage.violation && parseDiagnostics(`${stdout}\n${stderr}`).length > 0) {
+        await this.compileCache.store(cacheKey, buildDir, { success, stdout, stderr, exitCode });
+      }
+      throw Object.assign(stageError(stage), { compiler, warnings });
+    } finally {
+      await fs.remove(buildDir);
+    }
+  }
 
-      // Parse the output to extract function information
-      //const functions = this.parseFunctionsFromOutput(cliResult.output);
-      
-      return {
-        success: true,
-        // output: `Contract Compilation:\n${compileResult.stdout}\n\nDeployment & CLI:\n${cliResult.output}`,
-        // errors: cliResult.errors,
-        // functions: functions,
-      };
+  /**
+   * Run the typecheck or build stage on the session's contract package,
+   * recording it in `stages` and rejecting when it fails
+   */
+  async runStage(session, stageName, { onOutput, stages, compactRun }) {
+    const stage = await this.compilerDriver[stageName]({
+      workDir: session.workspaceDir,
+      cwd: session.contractDir,
+      onOutput
+    });
+    stages[stageName] = stage;
+    if (!stage.success) {
+      throw Object.assign(stageError(stage), { compiler: compactRun.compiler, warnings: compactRun.warnings });
+    }
+  }
 
+  async readContractInfo(session) {
+    try {
+      // Ledger fields may be declared in any file the entry contract includes
+      const files = await readProjectTree(session.srcDir);
+      return await readContractInfo(this.getManagedDir(session), { files, entry: session.entry });
     } catch (error) {
-      console.error('Deployment failed:', error);
-      return {
-        success: false,
-        output: error.stdout || '',
-        errors: [error.stderr || error.message],
-        functions: [],
-        timestamp: Date.now()
-      };
+      console.warn('Error reading contract info:', error);
+      return null;
     }
   }
 
-  async runCLIWithAutoExit() {
-    return new Promise((resolve, reject) => {
-      const { spawn } = require('child_process');
-      
-      // Run the CLI command
-      const cliProcess = spawn('npm', ['run', 'testnet-remote'], {
-        cwd: path.join(this.workspaceDir, 'bboard-cli'),
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
+  /**
+   * Package the build output of a session, its sources and a manifest into
+   * a zip archive. Returns null when the session has nothing compiled yet.
+   * The session stays busy until the archive ends, errors or is destroyed,
+   * so a caller not reading it to the end must destroy it.
+   */
+  async createArtifactsArchive(sessionId) {
+    return this.withSession(sessionId, async (session) => {
+      const managedDir = this.getManagedDir(session);
+      if (!(await fs.pathExists(managedDir))) {
+        return null;
+      }
 
-      let output = '';
-      let errors = [];
+      // The CLI and simulator run user code that can write here since the build
+      const violation = await this.sandbox.checkOutput(session.srcDir);
+      if (violation) {
+        throw Object.assign(violation, { status: 409 });
+      }
+
+      const sources = await readProjectTree(session.srcDir);
 
-      cliProcess.stdout.on('data', (data) => {
-        const text = data.toString();
-        output += text;
-        console.log('CLI Output:', text);
+      const manifest = {
+        contractName: session.contractName,
+        entry: `source/${session.entry}`,
+        compilerVersion: session.compilerVersion || null,
+        // Check-only builds come without proving and verifying keys
+        mode: session.compileMode || null,
+        // The same hash the deployment registry records
+        sourceHash: hashFiles(sources),
+        sources: Object.keys(sources).map(name => `source/${name}`),
+        artifacts: `${session.contractName}/`,
+        createdAt: new Date().toISOString()
+      };
 
-        // Auto-exit when we see the menu
-        if (text.includes('Which would you like to do?')) {
-          console.log('Auto-exiting CLI...');
-          cliProcess.stdin.write('6\n'); // Exit option
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+      Object.entries(sources).forEach(([name, content]) => archive.append(content, { name: `source/${name}` }));
+      archive.directory(managedDir, session.contractName);
+
+      // The workspace is read while the archive streams, keep it from idle cleanup until then
+      session.activeOperations++;
+      let released = false;
+      const release = () => {
+        if (!released) {
+          released = true;
+          session.activeOperations--;
+          session.lastUsed = Date.now();
         }
-      });
+      };
+      ['end', 'error', 'close'].forEach(event => archive.once(event, release));
+      archive.finalize();
 
-      cliProcess.stderr.on('data', (data) => {
-        const text = data.toString();
-        console.log('CLI Error:', text);
-        errors.push(text);
-      });
+      return { archive, manifest };
+    });
+  }
 
-      cliProcess.on('close', (code) => {
-        console.log(`CLI process exited with code ${code}`);
-        resolve({
-          output,
-          errors,
-          exitCode: code
-        });
+  /**
+   * Call a circuit of the session's compiled contract on testnet by driving
+   * the CLI in headless mode. The first call deploys the
+   * contract, later calls join that deployment until the sources change.
+   * New deployments are recorded in the deployment registry for `owner`.
+   *
+   * `args` is an array in parameter order or an object keyed by parameter name.
+   */
+  async executeFunction(sessionId, functionName, args = [], { onOutput, owner = null } = {}) {
+    return this.withSession(sessionId, async (session) => {
+      const failure = (message, output = '') => ({
+        success: false,
+        output,
+        errors: [message],
+        circuit: functionName,
+        timestamp: Date.now()
       });
 
-      cliProcess.on('error', (error) => {
-        console.error('CLI process error:', error);
-        reject(error);
-      });
+      const contractInfo = await this.readContractInfo(session);
+      if (!contractInfo) {
+        return failure('The contract has not been compiled yet, compile it before executing circuits');
+      }
+      if (!contractInfo.circuits.some(circuit => circuit.name === functionName)) {
+        return failure(`Circuit ${functionName} not found in the compiled contract`);
+      }
+      // Check-only builds have no proving keys to prove the call, nor verifier keys to deploy
+      if (!(await fs.pathExists(path.join(this.getManagedDir(session), 'keys')))) {
+        return failure('Executing circuits needs proving and verifier keys, do a full build of the contract first');
+      }
 
-      // Timeout after 2 minutes
-      setTimeout(() => {
-        console.log('CLI timeout, killing process...');
-        cliProcess.kill();
-        resolve({
-          output,
-          errors: [...errors, 'CLI process timed out'],
-          exitCode: -1
-        });
-      }, 120000);
-    });
-  }
+      // Reuse the session's deployment only while it matches the compiled sources
+      const sourceKey = await this.getSourceKey(session);
+      const deployment = session.deployment && session.deployment.sourceKey === sourceKey ? session.deployment : null;
 
-  parseFunctionsFromOutput(output) {
-    const functions = [];
-    
-    try {
-      // Look for function listings in the CLI output
-      const lines = output.split('\n');
-      
-      for (const line of lines) {
-        // Look for the menu items like "1. ⚡ Increment (1 param)"
-        const menuMatch = line.match(/^\s*\d+\.\s+[⚡📖]\s+(\w+)(\s+\(.*\))?/);
-        if (menuMatch) {
-          const functionName = menuMatch[1].toLowerCase();
-          // Skip non-function items
-          if (functionName !== 'exit' && functionName !== 'display') {
-            functions.push({
-              name: functionName,
-              displayName: menuMatch[1],
-              description: `Execute ${functionName} function`,
-              hasParams: menuMatch[2] && menuMatch[2].includes('param')
-            });
-          }
+      console.log(`Executing circuit ${functionName} for session ${session.id}...`);
+
+      try {
+        const { results, stderr } = await this.runHeadless(session, [
+          deployment ? { id: 'contract', command: 'join', contractAddress: deployment.contractAddress } : { id: 'contract', command: 'deploy' },
+          { id: 'call', command: 'call', circuit: functionName, args }
+        ], { onOutput });
+
+        const failed = headlessFailure(results, ['contract', 'call']);
+        if (failed) {
+          return failure(failed, stderr);
         }
-      }
 
-      // Also look for detected circuits
-      const circuitMatch = output.match(/🔍 Detected circuits:\s*\[\s*([^\]]+)\s*\]/);
-      if (circuitMatch && functions.length === 0) {
-        const circuits = circuitMatch[1].split(',').map(c => c.trim().replace(/['"]/g, ''));
-        circuits.forEach(circuit => {
-          functions.push({
-            name: circuit,
-            displayName: circuit.charAt(0).toUpperCase() + circuit.slice(1),
-            description: `Execute ${circuit} circuit`
-          });
-        });
+        const { result } = results.get('call');
+        if (!deployment) {
+          await this.recordDeployment(session, results.get('contract').result, owner);
+        }
+        session.deployment = { contractAddress: result.contractAddress, sourceKey };
+
+        return {
+          success: true,
+          output: stderr,
+          circuit: result.circuit,
+          contractAddress: result.contractAddress,
+          returnValue: result.returnValue,
+          txHash: result.txHash,
+          blockHeight: result.blockHeight,
+          evaluatedLocally: result.evaluatedLocally,
+          ledgerState: result.ledgerState,
+          timestamp: Date.now()
+        };
+      } catch (error) {
+        console.error(`Executing ${functionName} failed:`, error);
+        return failure(error.message, error.stderr || '');
       }
+    });
+  }
 
-      // Fallback: parse from the contract file if no functions found in output
-      if (functions.length === 0) {
-        return this.parseFunctionsFromContract();
+  /**
+   * Join the contract deployed at `contractAddress` with the session's
+   * compiled contract, so later calls go to that deployment. The CLI
+   * refuses a contract whose circuits or verifier keys differ from the
+   * compiled ones.
+   */
+  async joinContract(sessionId, contractAddress, { onOutput } = {}) {
+    return this.withSession(sessionId, async (session) => {
+      const failure = (message, output = '') => ({
+        success: false,
+        output,
+        errors: [message],
+        contractAddress,
+        timestamp: Date.now()
+      });
+
+      const contractInfo = await this.readContractInfo(session);
+      if (!contractInfo) {
+        return failure('The contract has not been compiled yet, compile it before joining a deployment');
+      }
+      // Check-only builds have no verifier keys to compare with the deployed ones
+      if (!(await fs.pathExists(path.join(this.getManagedDir(session), 'keys')))) {
+        return failure('Joining compares verifier keys, do a full build of the contract first');
       }
 
-      console.log(`Found ${functions.length} functions:`, functions.map(f => f.name));
-      return functions;
+      console.log(`Joining contract ${contractAddress} for session ${session.id}...`);
 
-    } catch (error) {
-      console.warn('Error parsing functions from output:', error);
-      return this.parseFunctionsFromContract();
-    }
+      try {
+        const { results, stderr } = await this.runHeadless(session, [
+          { id: 'join', command: 'join', contractAddress },
+          { id: 'ledger', command: 'queryLedger' }
+        ], { onOutput });
+
+        const failed = headlessFailure(results, ['join', 'ledger']);
+        if (failed) {
+          return failure(failed, stderr);
+        }
+
+        const { result } = results.get('join');
+        session.deployment = { contractAddress: result.contractAddress, sourceKey: await this.getSourceKey(session) };
+
+        return {
+          success: true,
+          output: stderr,
+          contractAddress: result.contractAddress,
+          txHash: result.txHash,
+          blockHeight: result.blockHeight,
+          ledgerState: results.get('ledger').result.ledgerState,
+          timestamp: Date.now()
+        };
+      } catch (error) {
+        console.error(`Joining ${contractAddress} failed:`, error);
+        return failure(error.message, error.stderr || '');
+      }
+    });
   }
 
-  async parseFunctionsFromContract() {
+  /**
+   * Record a contract the CLI deployed for the session, with the project's
+   * sources and the compiler that built it. `deployed` is the result of the
+   * CLI's deploy command. A deployment that cannot be recorded is only
+   * logged, it still happened.
+   */
+  async recordDeployment(session, deployed, owner) {
+    const cliRecord = deployed.deployment || {};
     try {
-      if (await fs.pathExists(this.contractFile)) {
-        const compactCode = await fs.readFile(this.contractFile, 'utf8');
-        const functionMatches = compactCode.match(/export\s+circuit\s+(\w+)/g) || [];
-        
-        return functionMatches.map(match => {
-          const name = match.replace(/export\s+circuit\s+/, '').split('(')[0];
-          return {
-            name: name,
-            displayName: name.charAt(0).toUpperCase() + name.slice(1),
-            description: `Execute ${name} function`
-          };
-        });
-      }
-      return [];
+      const record = await this.deploymentRegistry.record({
+        contractAddress: deployed.contractAddress,
+        // Headless mode runs against testnet
+        network: cliRecord.network || 'TestNet',
+        contractName: session.contractName,
+        artifactHash: hashArtifacts(this.getManagedDir(session)),
+        compilerVersion: session.compilerVersion || null,
+        txHash: deployed.txHash,
+        blockHeight: deployed.blockHeight,
+        privateStateId: cliRecord.privateStateId || null,
+        privateStateStore: cliRecord.privateStateStore || null,
+        owner
+      }, { sources: { files: await readProjectTree(session.srcDir), entry: session.entry } });
+      console.log(`Recorded deployment ${record.id} of ${record.contractAddress} for session ${session.id}`);
     } catch (error) {
-      console.warn('Error parsing functions from contract:', error);
-      return [];
+      console.warn(`Failed to record the deployment of ${deployed.contractAddress}:`, error.message);
     }
   }
 
-  async executeFunction(functionName, args = []) {
-    try {
-      console.log(`Executing function: ${functionName} with args:`, args);
-      
-      // For function execution, we need to run the CLI and automatically select the function
-      const cliResult = await this.runCLIWithFunctionSelection(functionName, args);
-      
-      return {
-        success: cliResult.exitCode === 0,
-        output: `Function ${functionName} executed:\n${cliResult.output}`,
-        errors: cliResult.errors,
-        functionName: functionName,
-        timestamp: Date.now()
-      };
-
-    } catch (error) {
+  /**
+   * Reopen a recorded deployment in the session: replace the project with
+   * the sources it was deployed from, build them with the same compiler
+   * when it is installed, and join the contract. Resolves with the join
+   * result plus the `project` and the build's `contractInfo`.
+   */
+  async rejoinDeployment(sessionId, deployment, { onOutput } = {}) {
+    const sources = await this.deploymentRegistry.readSources(deployment.sourceHash);
+    if (!sources) {
       return {
         success: false,
         output: '',
-        errors: [error.message],
-        functionName: functionName,
+        errors: ['The sources of this deployment were not recorded'],
+        contractAddress: deployment.contractAddress,
         timestamp: Date.now()
       };
     }
+
+    const project = normalizeProject({ files: sources.files, entry: sources.entry, name: sources.contractName });
+    await this.updateProject(sessionId, project);
+
+    const installed = await this.compilerRegistry.list();
+    let compilerVersion;
+    if (installed.some(compiler => compiler.version === deployment.compilerVersion)) {
+      compilerVersion = deployment.compilerVersion;
+    } else if (deployment.compilerVersion && onOutput) {
+      onOutput('stderr', `⚠️  compactc ${deployment.compilerVersion} built this deployment but is not installed, the verifier keys may differ`);
+    }
+
+    const build = await this.compile(sessionId, { onOutput, compilerVersion, mode: 'full' });
+    if (!build.success) {
+      return { ...build, project };
+    }
+
+    const joined = await this.joinContract(sessionId, deployment.contractAddress, { onOutput });
+    return { ...joined, project, contractInfo: build.contractInfo, diagnostics: build.diagnostics, compiler: build.compiler };
   }
 
-  async runCLIWithFunctionSelection(functionName, args = []) {
-    return new Promise((resolve, reject) => {
-      const { spawn } = require('child_process');
-      
-      // Run the CLI command
-      const cliProcess = spawn('npm', ['run', 'testnet-remote'], {
-        cwd: path.join(this.workspaceDir, 'bboard-cli'),
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
+  /**
+   * Run the CLI in headless mode for the session, sending it `commands` and
+   * then exit. Resolves with the results keyed by command id and the CLI's
+   * log output.
+   */
+  async runHeadless(session, commands, { onOutput } = {}) {
+    const { stdout, stderr } = await this.sandbox.run('npm', ['run', '--silent', 'headless'], {
+      workDir: session.workspaceDir,
+      cwd: path.join(session.workspaceDir, 'bboard-cli'),
+      env: this.getCLIEnvironment(session),
+      network: true,
+      input: [...commands, { id: 'exit', command: 'exit' }].map(command => JSON.stringify(command)).join('\n') + '\n',
+      timeout: 10 * 60 * 1000, // Wallet sync and proving take a while
+      maxBuffer: 5 * 1024 * 1024,
+      // Headless mode logs to stderr and keeps stdout for its protocol
+      onOutput: onOutput && ((stream, line) => stream === 'stderr' && onOutput(stream, line))
+    });
 
-      let output = '';
-      let errors = [];
-      let menuShown = false;
-
-      cliProcess.stdout.on('data', (data) => {
-        const text = data.toString();
-        output += text;
-        console.log('CLI Output:', text);
-
-        // When we see the menu, select the function
-        if (text.includes('Which would you like to do?') && !menuShown) {
-          menuShown = true;
-          console.log(`Auto-selecting function: ${functionName}`);
-          
-          // Find the function number in the menu
-          const lines = output.split('\n');
-          let functionNumber = null;
-          
-          for (const line of lines) {
-            const match = line.match(/^\s*(\d+)\.\s+[⚡📖]\s+(\w+)/);
-            if (match && match[2].toLowerCase() === functionName.toLowerCase()) {
-              functionNumber = match[1];
-              break;
-            }
-          }
-          
-          if (functionNumber) {
-            console.log(`Selecting option ${functionNumber} for ${functionName}`);
-            cliProcess.stdin.write(`${functionNumber}\n`);
-            
-            // If the function needs parameters, provide them
-            if (args.length > 0) {
-              setTimeout(() => {
-                args.forEach(arg => {
-                  console.log(`Sending argument: ${arg}`);
-                  cliProcess.stdin.write(`${arg}\n`);
-                });
-              }, 1000);
-            }
-            
-            // Exit after execution
-            setTimeout(() => {
-              console.log('Auto-exiting CLI...');
-              cliProcess.stdin.write('6\n'); // Exit option
-            }, 3000);
-          } else {
-            console.log(`Function ${functionName} not found in menu, exiting...`);
-            cliProcess.stdin.write('6\n'); // Exit option
-          }
-        }
-      });
+    return { results: parseHeadlessResults(stdout), stderr };
+  }
 
-      cliProcess.stderr.on('data', (data) => {
-        const text = data.toString();
-        console.log('CLI Error:', text);
-        errors.push(text);
-      });
+  /**
+   * Environment for CLI runs, on top of what the sandbox passes on. The CLI
+   * runs the user's witnesses, so it never sees the server's WALLET_SEED:
+   * it gets the seed of the wallet the session unlocked, or else of a
+   * wallet set aside for sandboxed runs in SANDBOX_WALLET_SEED. Without
+   * either it only uses the genesis wallet when the server allows it with
+   * ALLOW_GENESIS_WALLET=true.
+   */
+  getCLIEnvironment(session) {
+    const env = { CONTRACT_ENTRY: session.entry, CONTRACT_NAME: session.contractName };
+    if (session.wallet) {
+      env.WALLET_SEED = session.wallet.seed;
+    } else if (process.env.SANDBOX_WALLET_SEED) {
+      env.WALLET_SEED = process.env.SANDBOX_WALLET_SEED;
+    } else if (process.env.ALLOW_GENESIS_WALLET === 'true') {
+      env.ALLOW_GENESIS_WALLET = 'true';
+    }
+    return env;
+  }
 
-      cliProcess.on('close', (code) => {
-        console.log(`CLI process exited with code ${code}`);
-        resolve({
-          output,
-          errors,
-          exitCode: code
+  /**
+   * Unlock a stored wallet of `owner` with its passphrase and run the
+   * session's CLI calls with it from now on. Resolves with the wallet's
+   * description.
+   */
+  async activateWallet(sessionId, walletId, passphrase, owner) {
+    const seed = await this.walletStore.unlock(walletId, passphrase, owner);
+    const wallet = await this.walletStore.get(walletId, owner);
+    const session = await this.getSession(sessionId);
+    session.wallet = { id: wallet.id, name: wallet.name, owner, seed };
+    console.log(`Session ${session.id} uses wallet ${wallet.name} (${wallet.id})`);
+    return wallet;
+  }
+
+  async deactivateWallet(sessionId) {
+    const session = await this.getSession(sessionId);
+    session.wallet = null;
+  }
+
+  // Delete a stored wallet and lock it in the sessions that use it
+  async removeWallet(walletId, owner) {
+    await this.walletStore.remove(walletId, owner);
+    for (const session of this.sessions.values()) {
+      if (session.wallet && session.wallet.id === walletId) {
+        session.wallet = null;
+      }
+    }
+  }
+
+  // The id and name of the session's active wallet, or null
+  async getActiveWallet(sessionId) {
+    const { wallet } = await this.getSession(sessionId);
+    return wallet && { id: wallet.id, name: wallet.name };
+  }
+
+  /**
+   * Sync the session's active wallet and read its address and balance
+   * (a string, in the smallest unit). The address is remembered in the
+   * wallet store.
+   */
+  async walletInfo(sessionId, { onOutput } = {}) {
+    return this.withSession(sessionId, async (session) => {
+      const wallet = session.wallet;
+      if (!wallet) {
+        return { success: false, output: '', errors: ['No wallet is active in this session'], timestamp: Date.now() };
+      }
+
+      try {
+        const { stdout, stderr } = await this.sandbox.run('npm', ['run', '--silent', 'wallet-info'], {
+          workDir: session.workspaceDir,
+          cwd: path.join(session.workspaceDir, 'bboard-cli'),
+          env: this.getCLIEnvironment(session),
+          network: true,
+          timeout: 10 * 60 * 1000, // A fresh wallet syncs for a while
+          maxBuffer: 5 * 1024 * 1024,
+          onOutput: onOutput && ((stream, line) => stream === 'stderr' && onOutput(stream, line))
         });
-      });
 
-      cliProcess.on('error', (error) => {
-        console.error('CLI process error:', error);
-        reject(error);
-      });
+        const results = parseHeadlessResults(stdout);
+        const failed = headlessFailure(results, ['walletInfo']);
+        if (failed) {
+          return { success: false, output: stderr, errors: [failed], walletId: wallet.id, timestamp: Date.now() };
+        }
 
-      // Timeout after 3 minutes
-      setTimeout(() => {
-        console.log('CLI timeout, killing process...');
-        cliProcess.kill();
-        resolve({
-          output,
-          errors: [...errors, 'CLI process timed out'],
-          exitCode: -1
+        const { address, balance, network } = results.get('walletInfo').result;
+        await this.walletStore.setAddress(wallet.id, wallet.owner, { address, network })
+          .catch(error => console.warn(`Failed to store the address of wallet ${wallet.id}:`, error.message));
+
+        return { success: true, output: stderr, walletId: wallet.id, address, balance, network, timestamp: Date.now() };
+      } catch (error) {
+        console.error(`Reading wallet ${wallet.id} failed:`, error);
+        const results = parseHeadlessResults(error.stdout);
+        const failed = results.has('walletInfo') && headlessFailure(results, ['walletInfo']);
+        return { success: false, output: error.stderr || '', errors: [failed || error.message], walletId: wallet.id, timestamp: Date.now() };
+      }
+    });
+  }
+
+  /**
+   * Start simulating the session's compiled contract, replacing an earlier
+   * simulation: runs the constructor with fresh ledger and private state
+   */
+  async startSimulation(sessionId) {
+    return this.withSession(sessionId, async (session) => {
+      const contractInfo = await this.readContractInfo(session);
+      if (!contractInfo) {
+        throw Object.assign(new Error('The contract has not been compiled yet, compile it before simulating'), { status: 409 });
+      }
+
+      await this.stopSimulation(session);
+      console.log(`Starting simulator for session ${session.id}...`);
+
+      const sourceKey = await this.getSourceKey(session);
+      try {
+        // A compile waits for a starting simulator, so that it can stop it
+        session.startingSimulation = SimulatorProcess.start(this.sandbox, {
+          workDir: session.workspaceDir,
+          cwd: path.join(session.workspaceDir, 'bboard-cli'),
+          env: { CONTRACT_ENTRY: session.entry, CONTRACT_NAME: session.contractName }
         });
-      }, 180000);
+        let simulator;
+        try {
+          simulator = await session.startingSimulation;
+        } finally {
+          session.startingSimulation = null;
+        }
+        session.simulation = { simulator, sourceKey, contractInfo, contractAddress: null, calls: 0, startedAt: Date.now() };
+
+        const { success, result, error } = await simulator.request('deploy');
+        if (!success) {
+          await this.stopSimulation(session);
+          return { success: false, error: `The constructor failed: ${error}` };
+        }
+        session.simulation.contractAddress = result.contractAddress;
+        return { success: true, ...this.describeSimulation(session, result) };
+      } catch (error) {
+        console.error(`Simulator for session ${session.id} failed:`, error.message);
+        await this.stopSimulation(session);
+        return { success: false, error: error.message, violation: error.violation || null };
+      }
+    });
+  }
+
+  /**
+   * Call a circuit in the session's simulation. A circuit that fails, e.g.
+   * on an assertion, leaves the state as it was.
+   */
+  async simulateCircuit(sessionId, circuit, args = []) {
+    return this.withSession(sessionId, async (session) => {
+      const simulation = await this.getRunningSimulation(session);
+      if (!simulation.contractInfo.circuits.some(candidate => candidate.name === circuit)) {
+        throw Object.assign(new Error(`Circuit ${circuit} not found in the compiled contract`), { status: 404 });
+      }
+
+      let answer;
+      try {
+        answer = await simulation.simulator.request('call', { circuit, args });
+      } catch (error) {
+        // The simulator ran into a limit or crashed, which ends the simulation
+        console.error(`Simulator for session ${session.id} failed:`, error.message);
+        await this.stopSimulation(session);
+        return { success: false, circuit, error: `${error.message}. Start the simulator again`, violation: error.violation || null };
+      }
+
+      const { success, result, error } = answer;
+      if (!success) {
+        return { success: false, circuit, error };
+      }
+      simulation.calls++;
+      return { success: true, circuit, returnValue: result.returnValue, ...this.describeSimulation(session, result) };
+    });
+  }
+
+  /**
+   * The current state of the session's simulation, or null without one
+   */
+  async getSimulation(sessionId) {
+    return this.withSession(sessionId, async (session) => {
+      const { simulation } = session;
+      if (!simulation || !simulation.simulator.running) {
+        return null;
+      }
+
+      const ledger = await simulation.simulator.request('queryLedger');
+      const privateState = await simulation.simulator.request('queryPrivateState');
+      return {
+        ...this.describeSimulation(session, {
+          ledgerState: ledger.success ? ledger.result.ledgerState : null,
+          privateState: privateState.success ? privateState.result.privateState : null
+        }),
+        // The project changed since, the simulation runs the earlier build
+        stale: simulation.sourceKey !== await this.getSourceKey(session)
+      };
+    });
+  }
+
+  async endSimulation(sessionId) {
+    return this.withSession(sessionId, async (session) => {
+      await this.stopSimulation(session);
     });
   }
 
+  async getRunningSimulation(session) {
+    const { simulation } = session;
+    if (!simulation) {
+      throw Object.assign(new Error('No simulation running, start the simulator first'), { status: 409 });
+    }
+    if (!simulation.simulator.running) {
+      session.simulation = null;
+      throw Object.assign(new Error(`${simulation.simulator.failure.message}. Start the simulator again`), {
+        status: 409,
+        violation: simulation.simulator.failure.violation
+      });
+    }
+    if (simulation.sourceKey !== await this.getSourceKey(session)) {
+      throw Object.assign(new Error('The project changed since the simulation started, recompile and restart the simulator'), {
+        status: 409
+      });
+    }
+    return simulation;
+  }
+
+  describeSimulation(session, { ledgerState, privateState }) {
+    const { contractInfo, contractAddress, calls, startedAt } = session.simulation;
+    return {
+      contractName: session.contractName,
+      contractAddress,
+      circuits: contractInfo.circuits,
+      ledgerState,
+      privateState,
+      calls,
+      startedAt
+    };
+  }
+
+  /**
+   * Stop the session's simulation, also one still starting, resolving once
+   * the simulator process has exited
+   */
+  async stopSimulation(session) {
+    if (session.startingSimulation) {
+      await session.startingSimulation.catch(() => {});
+    }
+    if (session.simulation) {
+      const { simulator } = session.simulation;
+      session.simulation = null;
+      await simulator.stop();
+    }
+  }
+
   getExampleContracts() {
     return {
       bboard: `
@@ -23,8 +23,18 @@ import { type MidnightProviders } from '@midnight-ntwrk/midnight-js-types';
 import { type FoundContract } from '@midnight-ntwrk/midnight-js-contracts';
 import type { BBoardPrivateState, Contract, Witnesses } from '../../contract/src/index';
 
-export const bboardPrivateStateKey = 'bboardPrivateState';
-export type PrivateStateId = typeof bboardPrivateStateKey;
+/**
+ * Name of the contract being worked with. It names the compiler output directory
+ * (`contract/src/managed/<name>`) and the private state, and is set by the IDE server
+ * from the project; the bulletin board template uses `bboard`.
+ */
+export const contractName = process.env.CONTRACT_NAME ?? 'bboard';
+
+/**
+ * Key of the contract's private state, e.g. `bboardPrivateState`.
+ */
+export const privateStateKey = `${contractName}PrivateState`;
+export type PrivateStateId = string;
 
 /**
  * The private states consumed throughout the application.
@@ -37,16 +47,13 @@ export type PrivateStateId = typeof bboardPrivateStateKey;
  * and the type (i.e., `typeof PrivateStates[K]`) represents the type of private state
  * expected to be returned.
  *
- * Since there is only one contract type for the bulletin board example, we only define a
- * single key/type in the schema.
+ * Since there is only one contract per project, whose key ({@link privateStateKey}) depends
+ * on the contract name, every key maps to the same private state type.
  *
  * @public
  */
 export type PrivateStates = {
-  /**
-   * Key used to provide the private state for {@link BBoardContract} deployments.
-   */
-  readonly bboardPrivateState: BBoardPrivateState;
+  readonly [key: PrivateStateId]: BBoardPrivateState;
 };
 
 /**
@@ -77,6 +84,59 @@ export type BBoardProviders = MidnightProviders<BBoardCircuitKeys, PrivateStateI
  */
 export type DeployedBBoardContract = FoundContract<BBoardContract>;
 
+/**
+ * The outcome of calling a circuit of a {@link DeployedBBoardContract}.
+ *
+ * @public
+ */
+export interface CircuitCallResult {
+  /**
+   * Name of the circuit that was called.
+   */
+  readonly circuit: string;
+
+  /**
+   * Value returned by the circuit, as produced by the contract runtime.
+   */
+  readonly returnValue: unknown;
+
+  /**
+   * Hash of the transaction the call was submitted in, or `null` when the circuit
+   * does not change any state and was only evaluated locally.
+   */
+  readonly txHash: string | null;
+
+  /**
+   * Height of the block that includes the transaction, or `null` when no transaction
+   * was submitted.
+   */
+  readonly blockHeight: number | null;
+
+  /**
+   * Whether the result comes from evaluating the circuit locally instead of a transaction.
+   */
+  readonly evaluatedLocally: boolean;
+}
+
+/**
+ * The outcome of running a circuit locally against the latest ledger state and
+ * the current private state of a {@link DeployedBBoardContract}.
+ *
+ * @public
+ */
+export interface CircuitEvaluation {
+  /**
+   * Value returned by the circuit.
+   */
+  readonly result: unknown;
+
+  /**
+   * Whether the call changes the ledger state, the private state or spends or
+   * creates coins, and so has to be submitted as a transaction.
+   */
+  readonly changesState: boolean;
+}
+
 /**
  * A type that represents the derived combination of public (or ledger), and private state.
  * Now generic to work with any contract structure.
@@ -0,0 +1,32 @@
+// This file is part of midnightntwrk/example-counter.
+// Copyright (C) 2025 Midnight Foundation
+// SPDX-License-Identifier: Apache-2.0
+// Licensed under the Apache License, Version 2.0 (the "License");
+// You may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Loads the compiled contract named by {@link contractName}.
+ *
+ * The compiler writes its output to `contract/src/managed/<name>`, so the module
+ * is imported by path at runtime rather than with a static import.
+ *
+ * @module
+ */
+
+import { contractName } from './common-types.js';
+
+type ContractModule = typeof import('../../contract/src/index');
+
+const contractModule: ContractModule = (await import(`../../contract/src/managed/${contractName}/contract/index.cjs`))
+  .default;
+
+export const { Contract, ledger, pureCircuits } = contractModule;
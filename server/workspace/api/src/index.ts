@@ -19,29 +19,80 @@
  * @packageDocumentation
  */
 
-import contractModule from '../../contract/src/managed/bboard/contract/index.cjs';
-const { Contract, ledger, pureCircuits } = contractModule;
-// import { Contract, ledger, pureCircuits } from '../../contract/src/index';
+import { Contract, ledger, pureCircuits } from './contract-module.js';
 
-import { type ContractAddress, convert_bigint_to_Uint8Array } from '@midnight-ntwrk/compact-runtime';
+import {
+  type CircuitContext,
+  type CircuitResults,
+  type ContractAddress,
+  emptyZswapLocalState,
+  QueryContext,
+} from '@midnight-ntwrk/compact-runtime';
 import { type Logger } from 'pino';
 import {
   type BBoardDerivedState,
   type BBoardContract,
   type BBoardProviders,
+  type BBoardCircuitKeys,
   type DeployedBBoardContract,
-  bboardPrivateStateKey,
+  type CircuitCallResult,
+  type CircuitEvaluation,
+  privateStateKey,
 } from './common-types.js';
 // import { Contract, ledger, pureCircuits, State } from '../../contract/src/managed/bboard/contract/index.cjs';
 import { type BBoardPrivateState, createBBoardPrivateState, witnesses } from '../../contract/src/index';
 import * as utils from './utils/index.js';
-import { deployContract, findDeployedContract } from '@midnight-ntwrk/midnight-js-contracts';
+import { deployContract, findDeployedContract, type FinalizedCallTxData } from '@midnight-ntwrk/midnight-js-contracts';
 import { combineLatest, map, tap, from, type Observable } from 'rxjs';
-import { toHex } from '@midnight-ntwrk/midnight-js-utils';
+import { assertIsContractAddress, toHex } from '@midnight-ntwrk/midnight-js-utils';
 
 /** @internal */
 const bboardContractInstance: BBoardContract = new Contract(witnesses);
 
+/**
+ * A circuit of the compiled contract, looked up by name.
+ *
+ * @internal
+ */
+type CircuitFunction = (
+  context: CircuitContext<BBoardPrivateState>,
+  ...args: unknown[]
+) => CircuitResults<BBoardPrivateState, unknown>;
+
+/**
+ * A pure circuit of the compiled contract, which needs neither ledger nor private state.
+ *
+ * @internal
+ */
+type PureCircuitFunction = (...args: unknown[]) => unknown;
+
+/**
+ * The transaction of a circuit of the deployed contract, looked up by name.
+ *
+ * @internal
+ */
+type CallTxFunction = (...args: unknown[]) => Promise<FinalizedCallTxData<BBoardContract, BBoardCircuitKeys>>;
+
+/**
+ * A comparable snapshot of a ledger or private state value, reading collections
+ * such as Map and Set through their iterators.
+ *
+ * @internal
+ */
+const fingerprint = (value: unknown): string =>
+  JSON.stringify(value, (key, field) => {
+    if (typeof field === 'bigint') {
+      return `${field}n`;
+    }
+    if (field instanceof Uint8Array) {
+      return toHex(field);
+    }
+    if (field !== null && typeof field === 'object' && !Array.isArray(field) && Symbol.iterator in field) {
+      return Array.from(field as Iterable<unknown>);
+    }
+    return field;
+  });
+
 /**
  * Generic API for any deployed contract - works dynamically with any contract structure
  */
@@ -49,7 +100,7 @@ export class BBoardAPI {
   /** @internal */
   private constructor(
     public readonly deployedContract: DeployedBBoardContract,
-    providers: BBoardProviders,
+    private readonly providers: BBoardProviders,
     private readonly logger?: Logger,
   ) {
     this.deployedContractAddress = deployedContract.deployTxData.public.contractAddress;
@@ -83,20 +134,77 @@ export class BBoardAPI {
   readonly state$: Observable<BBoardDerivedState>;
 
   /**
-   * Generic method to call any circuit function dynamically
+   * Runs a circuit locally against the latest ledger state and the current private
+   * state, without submitting anything. Pure circuits run on their arguments alone.
+   *
+   * @param functionName The name of the circuit function to run
+   * @param args Arguments to pass to the function
+   * @returns A `Promise` that resolves with the circuit's return value and whether the call changes state.
+   */
+  async evaluateCircuit(functionName: string, ...args: unknown[]): Promise<CircuitEvaluation> {
+    const pureCircuit = (pureCircuits as Record<string, PureCircuitFunction | undefined>)[functionName];
+    if (typeof pureCircuit === 'function') {
+      return { result: pureCircuit(...args), changesState: false };
+    }
+
+    const circuit = (bboardContractInstance.circuits as Record<string, CircuitFunction | undefined>)[functionName];
+    if (typeof circuit !== 'function') {
+      throw new Error(`Circuit function ${functionName} not found on contract`);
+    }
+
+    const contractState = await this.providers.publicDataProvider.queryContractState(this.deployedContractAddress);
+    if (contractState === null) {
+      throw new Error(`No contract state found at ${this.deployedContractAddress}`);
+    }
+    const privateState = await BBoardAPI.getPrivateState(this.providers);
+
+    const initialContext: CircuitContext<BBoardPrivateState> = {
+      originalState: contractState,
+      currentPrivateState: privateState,
+      currentZswapLocalState: emptyZswapLocalState(this.providers.walletProvider.coinPublicKey),
+      transactionContext: new QueryContext(contractState.data, this.deployedContractAddress),
+    };
+    // A failing assertion throws here, before anything is proven or submitted
+    const { result, context } = circuit(initialContext, ...args);
+
+    const changesState =
+      fingerprint(ledger(contractState.data)) !== fingerprint(ledger(context.transactionContext.state)) ||
+      fingerprint(privateState) !== fingerprint(context.currentPrivateState) ||
+      context.currentZswapLocalState.inputs.length > 0 ||
+      context.currentZswapLocalState.outputs.length > 0;
+
+    return { result, changesState };
+  }
+
+  /**
+   * Generic method to call any circuit function dynamically. The circuit is evaluated
+   * locally first, and only submitted as a transaction when it changes state.
    *
    * @param functionName The name of the circuit function to call
    * @param args Arguments to pass to the function
+   * @returns A `Promise` that resolves with the circuit's return value and the transaction it was submitted in, if any.
    */
-  async callCircuitFunction(functionName: string, ...args: any[]): Promise<void> {
+  async callCircuitFunction(functionName: string, ...args: unknown[]): Promise<CircuitCallResult> {
     this.logger?.info(`Calling circuit function: ${functionName}`);
 
     try {
+      const evaluation = await this.evaluateCircuit(functionName, ...args);
+      if (!evaluation.changesState) {
+        this.logger?.info(`${functionName} does not change any state, returning its local result`);
+        return {
+          circuit: functionName,
+          returnValue: evaluation.result,
+          txHash: null,
+          blockHeight: null,
+          evaluatedLocally: true,
+        };
+      }
+
       // Check if the function exists on the contract
-      const contractInterface = this.deployedContract.callTx as any;
-      if (contractInterface[functionName] && typeof contractInterface[functionName] === 'function') {
-        const txData = await contractInterface[functionName](...args);
-        
+      const callTx = (this.deployedContract.callTx as Record<string, CallTxFunction | undefined>)[functionName];
+      if (typeof callTx === 'function') {
+        const txData = await callTx(...args);
+
         this.logger?.trace({
           transactionAdded: {
             circuit: functionName,
@@ -104,11 +212,21 @@ export class BBoardAPI {
             blockHeight: txData.public.blockHeight,
           },
         });
+
+        return {
+          circuit: functionName,
+          returnValue: txData.private.result,
+          txHash: txData.public.txHash,
+          blockHeight: txData.public.blockHeight,
+          evaluatedLocally: false,
+        };
       } else {
         throw new Error(`Circuit function ${functionName} not found on contract`);
       }
     } catch (error) {
-      this.logger?.error(`Failed to call circuit function ${functionName}: ${error instanceof Error ? error.message : String(error)}`);
+      this.logger?.error(
+        `Failed to call circuit function ${functionName}: ${error instanceof Error ? error.message : String(error)}`,
+      );
       throw error;
     }
   }
@@ -137,7 +255,7 @@ export class BBoardAPI {
 
     // EXERCISE 5: FILL IN THE CORRECT ARGUMENTS TO deployContract
     const deployedBBoardContract = await deployContract<typeof bboardContractInstance>(providers, {
-      privateStateId: bboardPrivateStateKey,
+      privateStateId: privateStateKey,
       contract: bboardContractInstance,
       initialPrivateState: await BBoardAPI.getPrivateState(providers),
     });
@@ -158,7 +276,8 @@ export class BBoardAPI {
    * @param contractAddress The contract address of the deployed bulletin board contract to search for and join.
    * @param logger An optional 'pino' logger to use for logging.
    * @returns A `Promise` that resolves with a {@link BBoardAPI} instance that manages the joined
-   * {@link DeployedBBoardContract}; or rejects with an error.
+   * {@link DeployedBBoardContract}; or rejects with an error, also when the deployed contract is not
+   * the compiled one (see {@link BBoardAPI.verifyDeployment}).
    */
   static async join(providers: BBoardProviders, contractAddress: ContractAddress, logger?: Logger): Promise<BBoardAPI> {
     logger?.info({
@@ -167,10 +286,12 @@ export class BBoardAPI {
       },
     });
 
+    await BBoardAPI.verifyDeployment(providers, contractAddress);
+
     const deployedBBoardContract = await findDeployedContract<BBoardContract>(providers, {
       contractAddress,
       contract: bboardContractInstance,
-      privateStateId: bboardPrivateStateKey,
+      privateStateId: privateStateKey,
       initialPrivateState: await BBoardAPI.getPrivateState(providers),
     });
 
@@ -183,8 +304,59 @@ export class BBoardAPI {
     return new BBoardAPI(deployedBBoardContract, providers, logger);
   }
 
+  /**
+   * Checks that the contract deployed at an address is the compiled contract: it must have
+   * the same circuits, with the same verifier keys.
+   *
+   * @param providers The bulletin board providers.
+   * @param contractAddress The contract address to check.
+   * @returns A `Promise` that resolves when the contracts match; or rejects with an error that
+   * names the circuits that differ.
+   */
+  static async verifyDeployment(providers: BBoardProviders, contractAddress: ContractAddress): Promise<void> {
+    assertIsContractAddress(contractAddress);
+
+    const contractState = await providers.publicDataProvider.queryContractState(contractAddress);
+    if (contractState === null) {
+      throw new Error(`No contract is deployed at ${contractAddress}`);
+    }
+
+    const circuitIds = Object.keys(bboardContractInstance.impureCircuits) as BBoardCircuitKeys[];
+    let verifierKeys: [string, Uint8Array][];
+    try {
+      verifierKeys = await providers.zkConfigProvider.getVerifierKeys(circuitIds);
+    } catch (error) {
+      throw new Error(
+        `Cannot read the verifier keys of the compiled contract, build it with key generation first: ${error instanceof Error ? error.message : String(error)}`,
+      );
+    }
+
+    const deployedIds = contractState
+      .operations()
+      .map((operation) => (typeof operation === 'string' ? operation : toHex(operation)));
+    const missing = circuitIds.filter((circuitId) => !deployedIds.includes(circuitId));
+    const unexpected = deployedIds.filter((circuitId) => !circuitIds.some((id) => id === circuitId));
+    const changed = verifierKeys
+      .filter(([circuitId, verifierKey]) => {
+        const operation = contractState.operation(circuitId);
+        return operation !== undefined && toHex(operation.verifierKey) !== toHex(verifierKey);
+      })
+      .map(([circuitId]) => circuitId);
+
+    const differences = [
+      ...(missing.length > 0 ? [`not deployed: ${missing.join(', ')}`] : []),
+      ...(unexpected.length > 0 ? [`not in the compiled contract: ${unexpected.join(', ')}`] : []),
+      ...(changed.length > 0 ? [`different verifier keys: ${changed.join(', ')}`] : []),
+    ];
+    if (differences.length > 0) {
+      throw new Error(
+        `The contract at ${contractAddress} does not match the compiled contract (${differences.join('; ')}). Was it deployed from different sources or with another compiler version?`,
+      );
+    }
+  }
+
   private static async getPrivateState(providers: BBoardProviders): Promise<BBoardPrivateState> {
-    const existingPrivateState = await providers.privateStateProvider.get(bboardPrivateStateKey);
+    const existingPrivateState = await providers.privateStateProvider.get(privateStateKey);
     return existingPrivateState ?? createBBoardPrivateState(utils.randomBytes(32));
   }
 }
@@ -197,3 +369,5 @@ export class BBoardAPI {
 export * as utils from './utils/index.js';
 
 export * from './common-types.js';
+
+export { ledger } from './contract-module.js';
@@ -0,0 +1,72 @@
+import { createInterface } from 'node:readline';
+import { stdin } from 'node:process';
+import { type Logger } from 'pino';
+
+/* **********************************************************************
+ * The newline-delimited JSON protocol shared by headless mode and the
+ * simulator. Every line on stdin is one command, e.g.
+ *
+ *   {"id": 1, "command": "call", "circuit": "increment", "args": []}
+ *   {"id": 2, "command": "exit"}
+ *
+ * Commands run one after another. Each one is answered with a line
+ *   {"type": "result", "id": 1, "command": "call", "success": true, "result": {...}}
+ * or, when it fails,
+ *   {"type": "result", "id": 1, "command": "call", "success": false, "error": "..."}
+ * and anything else worth knowing is reported as an event, e.g.
+ *   {"type": "event", "event": "ready"}
+ *
+ * Logs go to the logger, so stdout only carries these lines.
+ */
+
+export interface ProtocolCommand {
+  id?: string | number;
+  command: string;
+}
+
+export interface CommandHandler<C extends ProtocolCommand> {
+  // The result of the command, or a promise of it
+  handle(command: C): unknown;
+}
+
+export const write = (message: Record<string, unknown>) => {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+};
+
+export const emit = (event: string, data: Record<string, unknown> = {}) => write({ type: 'event', event, ...data });
+
+/**
+ * Answer the commands on stdin with `handler` until `exit` or the end of stdin
+ */
+export const serveCommands = async <C extends ProtocolCommand>(
+  handler: CommandHandler<C>,
+  logger: Logger,
+): Promise<void> => {
+  for await (const line of createInterface({ input: stdin, terminal: false })) {
+    if (line.trim() === '') {
+      continue;
+    }
+
+    let command: C;
+    try {
+      command = JSON.parse(line) as C;
+    } catch {
+      write({ type: 'result', id: null, success: false, error: `Invalid JSON: ${line}` });
+      continue;
+    }
+
+    if (command.command === 'exit') {
+      write({ type: 'result', id: command.id ?? null, command: 'exit', success: true, result: null });
+      break;
+    }
+
+    try {
+      const result = await handler.handle(command);
+      write({ type: 'result', id: command.id ?? null, command: command.command, success: true, result });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      logger.error(`${command.command} failed: ${message}`);
+      write({ type: 'result', id: command.id ?? null, command: command.command, success: false, error: message });
+    }
+  }
+};
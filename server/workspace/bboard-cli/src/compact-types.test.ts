@@ -0,0 +1,198 @@
+import { describe, expect, it } from 'vitest';
+import { parseCompact } from '../../compact-parser/index.js';
+import {
+  collectDeclarations,
+  EMPTY_TUPLE,
+  formatCompactType,
+  fromContractInfoType,
+  isEmptyType,
+  parseCompactType,
+  uintBits,
+} from './compact-types.js';
+
+const declarations = collectDeclarations(
+  parseCompact(`
+    enum Color { red, green, blue }
+    struct Point { x: Uint<8>; y: Uint<8>; }
+    struct Pair<T, #n> { first: T; second: Bytes<n>; }
+    export type Id = Bytes<32>;
+    type Row<#n> = Vector<n, Field>;
+  `).items,
+);
+
+describe('fromContractInfoType', () => {
+  it('maps the primitive types', () => {
+    expect(fromContractInfoType({ 'type-name': 'Boolean' })).toEqual({ kind: 'boolean' });
+    expect(fromContractInfoType({ 'type-name': 'Field' })).toEqual({ kind: 'field' });
+    expect(fromContractInfoType({ 'type-name': 'Uint', maxval: 255 })).toEqual({ kind: 'uint', maxval: 255n });
+    expect(fromContractInfoType({ 'type-name': 'Bytes', length: 32 })).toEqual({ kind: 'bytes', length: 32 });
+    expect(fromContractInfoType({ 'type-name': 'Opaque', tsType: 'string' })).toEqual({
+      kind: 'opaque',
+      tsType: 'string',
+    });
+  });
+
+  it('takes a maxval past 2^53 as the one of the nearest Uint<n>', () => {
+    expect(fromContractInfoType({ 'type-name': 'Uint', maxval: 2 ** 64 })).toEqual({
+      kind: 'uint',
+      maxval: 2n ** 64n - 1n,
+    });
+  });
+
+  it('maps vectors, tuples, enums and structs', () => {
+    const uint8 = { 'type-name': 'Uint', maxval: 255 };
+    expect(fromContractInfoType({ 'type-name': 'Vector', length: 2, type: uint8 })).toEqual({
+      kind: 'vector',
+      length: 2,
+      element: { kind: 'uint', maxval: 255n },
+    });
+    expect(fromContractInfoType({ 'type-name': 'Tuple', types: [uint8, { 'type-name': 'Boolean' }] })).toEqual({
+      kind: 'tuple',
+      elements: [{ kind: 'uint', maxval: 255n }, { kind: 'boolean' }],
+    });
+    expect(fromContractInfoType({ 'type-name': 'Enum', name: 'Color', elements: ['red', 'green'] })).toEqual({
+      kind: 'enum',
+      name: 'Color',
+      members: ['red', 'green'],
+    });
+    expect(
+      fromContractInfoType({ 'type-name': 'Struct', name: 'Point', elements: [{ name: 'x', type: uint8 }] }),
+    ).toEqual({ kind: 'struct', name: 'Point', fields: [{ name: 'x', type: { kind: 'uint', maxval: 255n } }] });
+  });
+
+  it('recognizes the structs of Maybe and Either', () => {
+    const field = { 'type-name': 'Field' };
+    const boolean = { 'type-name': 'Boolean' };
+    expect(
+      fromContractInfoType({
+        'type-name': 'Struct',
+        name: 'Maybe',
+        elements: [
+          { name: 'is_some', type: boolean },
+          { name: 'value', type: field },
+        ],
+      }),
+    ).toEqual({ kind: 'maybe', value: { kind: 'field' } });
+    expect(
+      fromContractInfoType({
+        'type-name': 'Struct',
+        name: 'Either',
+        elements: [
+          { name: 'is_left', type: boolean },
+          { name: 'left', type: field },
+          { name: 'right', type: boolean },
+        ],
+      }),
+    ).toEqual({ kind: 'either', left: { kind: 'field' }, right: { kind: 'boolean' } });
+  });
+
+  it('maps a missing type to the empty tuple and keeps the name of unknown ones', () => {
+    expect(fromContractInfoType(undefined)).toBe(EMPTY_TUPLE);
+    expect(fromContractInfoType({ 'type-name': 'Mystery' })).toEqual({ kind: 'unknown', name: 'Mystery' });
+  });
+});
+
+describe('parseCompactType', () => {
+  it('maps the built-in types', () => {
+    expect(parseCompactType('Uint<16>')).toEqual({ kind: 'uint', maxval: 65535n });
+    expect(parseCompactType('Uint<0..1000>')).toEqual({ kind: 'uint', maxval: 1000n });
+    expect(parseCompactType('Opaque<"string">')).toEqual({ kind: 'opaque', tsType: 'string' });
+    expect(parseCompactType('[Boolean, Field]')).toEqual({
+      kind: 'tuple',
+      elements: [{ kind: 'boolean' }, { kind: 'field' }],
+    });
+    expect(parseCompactType('Vector<3, Maybe<Bytes<32>>>')).toEqual({
+      kind: 'vector',
+      length: 3,
+      element: { kind: 'maybe', value: { kind: 'bytes', length: 32 } },
+    });
+    expect(parseCompactType('Either<Field, Boolean>')).toEqual({
+      kind: 'either',
+      left: { kind: 'field' },
+      right: { kind: 'boolean' },
+    });
+  });
+
+  it('keeps ledger types with their arguments', () => {
+    expect(parseCompactType('Map<Bytes<32>, Counter>')).toEqual({
+      kind: 'ledger',
+      name: 'Map',
+      arguments: [
+        { kind: 'bytes', length: 32 },
+        { kind: 'ledger', name: 'Counter', arguments: [] },
+      ],
+    });
+    expect(parseCompactType('MerkleTree<10, Field>')).toEqual({
+      kind: 'ledger',
+      name: 'MerkleTree',
+      arguments: [10, { kind: 'field' }],
+    });
+  });
+
+  it('resolves enums, structs and type aliases by name', () => {
+    expect(parseCompactType('Color', declarations)).toEqual({
+      kind: 'enum',
+      name: 'Color',
+      members: ['red', 'green', 'blue'],
+    });
+    expect(parseCompactType('Point', declarations)).toEqual({
+      kind: 'struct',
+      name: 'Point',
+      fields: [
+        { name: 'x', type: { kind: 'uint', maxval: 255n } },
+        { name: 'y', type: { kind: 'uint', maxval: 255n } },
+      ],
+    });
+    expect(parseCompactType('Id', declarations)).toEqual({ kind: 'bytes', length: 32 });
+  });
+
+  it('binds the type and size parameters of generic declarations', () => {
+    expect(parseCompactType('Pair<Boolean, 4>', declarations)).toEqual({
+      kind: 'struct',
+      name: 'Pair',
+      fields: [
+        { name: 'first', type: { kind: 'boolean' } },
+        { name: 'second', type: { kind: 'bytes', length: 4 } },
+      ],
+    });
+    expect(parseCompactType('Row<2>', declarations)).toEqual({ kind: 'vector', length: 2, element: { kind: 'field' } });
+  });
+
+  it('keeps unknown names and unparsable text as unknown types', () => {
+    expect(parseCompactType('Color')).toEqual({ kind: 'unknown', name: 'Color' });
+    expect(parseCompactType(' Vector<3, ')).toEqual({ kind: 'unknown', name: 'Vector<3,' });
+  });
+});
+
+describe('formatCompactType', () => {
+  it('writes types back the way Compact does', () => {
+    for (const source of [
+      'Uint<8>',
+      'Uint<0..1000>',
+      'Vector<3, Maybe<Bytes<32>>>',
+      '[Boolean, Field]',
+      'Either<Field, Boolean>',
+      'Opaque<"string">',
+      'MerkleTree<10, Field>',
+      'Counter',
+    ]) {
+      expect(formatCompactType(parseCompactType(source))).toBe(source);
+    }
+    expect(formatCompactType(parseCompactType('Point', declarations))).toBe('Point');
+  });
+});
+
+describe('uintBits', () => {
+  it('gives the bit width of Uint<n> and null for other ranges', () => {
+    expect(uintBits(255n)).toBe(8);
+    expect(uintBits(2n ** 128n - 1n)).toBe(128);
+    expect(uintBits(1000n)).toBeNull();
+  });
+});
+
+describe('isEmptyType', () => {
+  it('only holds for the empty tuple', () => {
+    expect(isEmptyType(parseCompactType('[]'))).toBe(true);
+    expect(isEmptyType(parseCompactType('[Field]'))).toBe(false);
+  });
+});
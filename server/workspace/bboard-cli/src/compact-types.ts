@@ -0,0 +1,304 @@
+import {
+  type Declaration,
+  type EnumDeclaration,
+  findDeclarations,
+  formatType,
+  parseType,
+  type StructDeclaration,
+  type TypeArgument,
+  type TypeDeclaration,
+} from '../../compact-parser/index.js';
+import { type ContractInfoField, type ContractInfoType } from './value-codec.js';
+
+/**
+ * A Compact type, as a structured and recursive description: integer bounds,
+ * byte and vector lengths, enum members and struct fields are all kept, so
+ * values can be prompted for, checked and displayed from it.
+ *
+ * Built from the compiler's contract-info.json with `fromContractInfoType`,
+ * or from the source with `fromTypeNode` and `parseCompactType`.
+ */
+export type CompactType =
+  | { kind: 'boolean' }
+  | { kind: 'field' }
+  | { kind: 'uint'; maxval: bigint }
+  | { kind: 'bytes'; length: number }
+  | { kind: 'opaque'; tsType: string }
+  | { kind: 'vector'; length: number; element: CompactType }
+  | { kind: 'tuple'; elements: CompactType[] }
+  | { kind: 'enum'; name: string; members: string[] }
+  | { kind: 'struct'; name: string; fields: CompactField[] }
+  | { kind: 'maybe'; value: CompactType }
+  | { kind: 'either'; left: CompactType; right: CompactType }
+  // Ledger state types such as Counter, Map<K, V> or MerkleTree<n, T>
+  | { kind: 'ledger'; name: string; arguments: Array<CompactType | number> }
+  | { kind: 'unknown'; name: string };
+
+export interface CompactField {
+  name: string;
+  type: CompactType;
+}
+
+/**
+ * The struct, enum and type declarations of a contract, which types written
+ * in the source refer to by name
+ */
+export interface CompactDeclarations {
+  structs: { [name: string]: StructDeclaration };
+  enums: { [name: string]: EnumDeclaration };
+  types: { [name: string]: TypeDeclaration };
+}
+
+export const EMPTY_TUPLE: CompactType = { kind: 'tuple', elements: [] };
+
+const LEDGER_TYPES = ['Counter', 'Cell', 'Set', 'Map', 'List', 'MerkleTree', 'HistoricMerkleTree'];
+
+const uintOfBits = (bits: number): CompactType => ({ kind: 'uint', maxval: 2n ** BigInt(bits) - 1n });
+
+/**
+ * The bit width of a Uint<n>, or null for a range Uint<0..max>
+ */
+export const uintBits = (maxval: bigint): number | null => {
+  const bits = (maxval + 1n).toString(2).length - 1;
+  return 2n ** BigInt(bits) - 1n === maxval ? bits : null;
+};
+
+// contract-info.json writes maxval as a JSON number, which loses precision past
+// 2^53. A maxval that large is taken as the 2^n - 1 of the nearest Uint<n>.
+const toMaxval = (maxval: unknown): bigint => {
+  if (typeof maxval === 'number' && !Number.isSafeInteger(maxval)) {
+    return 2n ** BigInt(Math.round(Math.log2(maxval))) - 1n;
+  }
+  return BigInt(typeof maxval === 'number' || typeof maxval === 'string' ? maxval : 0);
+};
+
+/**
+ * Build the type from a contract-info.json type object
+ */
+export const fromContractInfoType = (type: ContractInfoType | null | undefined): CompactType => {
+  if (!type) {
+    return EMPTY_TUPLE;
+  }
+
+  switch (type['type-name']) {
+    case 'Boolean':
+      return { kind: 'boolean' };
+    case 'Field':
+      return { kind: 'field' };
+    case 'Uint':
+      return { kind: 'uint', maxval: toMaxval(type.maxval) };
+    case 'Bytes':
+      return { kind: 'bytes', length: type.length ?? 0 };
+    case 'Opaque':
+      return { kind: 'opaque', tsType: type.tsType || (typeof type.type === 'string' ? type.type : 'unknown') };
+    case 'Vector':
+      return {
+        kind: 'vector',
+        length: type.length ?? 0,
+        element: fromContractInfoType(typeof type.type === 'object' ? type.type : null),
+      };
+    case 'Tuple':
+      return { kind: 'tuple', elements: (type.types || []).map(fromContractInfoType) };
+    case 'Enum':
+      return {
+        kind: 'enum',
+        name: type.name ?? 'unknown',
+        members: (type.elements || []).filter((element): element is string => typeof element === 'string'),
+      };
+    case 'Struct': {
+      const fields: CompactField[] = (type.elements || [])
+        .filter((element): element is ContractInfoField => typeof element === 'object')
+        .map((element) => ({ name: element.name, type: fromContractInfoType(element.type) }));
+      const names = fields.map((field) => field.name).join(',');
+      // The standard library's Maybe and Either are plain structs to the compiler
+      if (type.name === 'Maybe' && names === 'is_some,value') {
+        return { kind: 'maybe', value: fields[1].type };
+      }
+      if (type.name === 'Either' && names === 'is_left,left,right') {
+        return { kind: 'either', left: fields[1].type, right: fields[2].type };
+      }
+      return { kind: 'struct', name: type.name ?? 'unknown', fields };
+    }
+    default:
+      return { kind: 'unknown', name: type['type-name'] || 'unknown' };
+  }
+};
+
+/**
+ * Collect the declarations types can refer to from parsed items, see
+ * compact-parser's parseProject
+ */
+export const collectDeclarations = (items: Declaration[]): CompactDeclarations => {
+  const byName = <T extends { name: string }>(declarations: T[]) =>
+    Object.fromEntries(declarations.map((declaration) => [declaration.name, declaration]));
+  return {
+    structs: byName(findDeclarations(items, 'struct')),
+    enums: byName(findDeclarations(items, 'enum')),
+    types: byName(findDeclarations(items, 'type')),
+  };
+};
+
+const NO_DECLARATIONS: CompactDeclarations = { structs: {}, enums: {}, types: {} };
+
+type Bindings = { [parameter: string]: CompactType | number };
+
+const unknownType = (type: TypeArgument): CompactType => ({ kind: 'unknown', name: formatType(type) });
+
+/**
+ * Build the type from a type node of compact-parser, resolving struct, enum
+ * and type alias names with the contract's declarations. `bindings` are the
+ * arguments of the generic declaration the type appears in.
+ */
+export const fromTypeNode = (
+  node: TypeArgument | undefined,
+  declarations: CompactDeclarations = NO_DECLARATIONS,
+  bindings: Bindings = {},
+): CompactType => {
+  if (node === undefined) {
+    return { kind: 'unknown', name: '?' };
+  }
+  if (node.kind === 'tuple') {
+    return { kind: 'tuple', elements: node.elements.map((element) => fromTypeNode(element, declarations, bindings)) };
+  }
+  if (node.kind !== 'reference') {
+    return unknownType(node);
+  }
+
+  const { name, arguments: args } = node;
+  const typeArgument = (index: number) => fromTypeNode(args[index], declarations, bindings);
+  // A size, either a literal or a numeric parameter of the enclosing generic declaration
+  const sizeArgument = (index: number): number | null => {
+    const arg = args[index];
+    if (arg?.kind === 'number') {
+      return Number(arg.value);
+    }
+    const bound = arg?.kind === 'reference' ? bindings[arg.name] : undefined;
+    return typeof bound === 'number' ? bound : null;
+  };
+  // Bind the parameters of a generic declaration to the arguments given here
+  const bind = (parameters: Array<{ name: string; size: boolean }>): Bindings =>
+    Object.fromEntries(
+      parameters.map((parameter, index) => [
+        parameter.name,
+        parameter.size ? (sizeArgument(index) ?? NaN) : typeArgument(index),
+      ]),
+    );
+
+  const bound = bindings[name];
+  if (bound !== undefined && args.length === 0) {
+    return typeof bound === 'number' ? { kind: 'unknown', name: String(bound) } : bound;
+  }
+
+  switch (name) {
+    case 'Boolean':
+      return { kind: 'boolean' };
+    case 'Field':
+      return { kind: 'field' };
+    case 'Uint': {
+      if (args[0]?.kind === 'range') {
+        return { kind: 'uint', maxval: BigInt(args[0].to) };
+      }
+      const bits = sizeArgument(0);
+      return bits === null ? unknownType(node) : uintOfBits(bits);
+    }
+    case 'Bytes': {
+      const length = sizeArgument(0);
+      return length === null ? unknownType(node) : { kind: 'bytes', length };
+    }
+    case 'Opaque':
+      return { kind: 'opaque', tsType: args[0]?.kind === 'string' ? args[0].value : 'unknown' };
+    case 'Vector': {
+      const length = sizeArgument(0);
+      return length === null ? unknownType(node) : { kind: 'vector', length, element: typeArgument(1) };
+    }
+    case 'Maybe':
+      return { kind: 'maybe', value: typeArgument(0) };
+    case 'Either':
+      return { kind: 'either', left: typeArgument(0), right: typeArgument(1) };
+    default:
+      break;
+  }
+
+  if (LEDGER_TYPES.includes(name)) {
+    return {
+      kind: 'ledger',
+      name,
+      arguments: args.map((arg, index) => sizeArgument(index) ?? typeArgument(index)),
+    };
+  }
+
+  const enumDeclaration = declarations.enums[name];
+  if (enumDeclaration) {
+    return { kind: 'enum', name, members: enumDeclaration.members.map((member) => member.name) };
+  }
+  const struct = declarations.structs[name];
+  if (struct) {
+    const structBindings = bind(struct.typeParameters);
+    return {
+      kind: 'struct',
+      name,
+      fields: struct.fields.map((field) => ({
+        name: field.name,
+        type: fromTypeNode(field.type, declarations, structBindings),
+      })),
+    };
+  }
+  const alias = declarations.types[name];
+  if (alias) {
+    return fromTypeNode(alias.type, declarations, bind(alias.typeParameters));
+  }
+  return unknownType(node);
+};
+
+/**
+ * Build the type from its Compact source form, e.g. `Vector<3, Maybe<Bytes<32>>>`
+ */
+export const parseCompactType = (source: string, declarations: CompactDeclarations = NO_DECLARATIONS): CompactType => {
+  try {
+    return fromTypeNode(parseType(source), declarations);
+  } catch {
+    return { kind: 'unknown', name: source.trim() };
+  }
+};
+
+/**
+ * Show the type the way it is written in Compact
+ */
+export const formatCompactType = (type: CompactType): string => {
+  switch (type.kind) {
+    case 'boolean':
+      return 'Boolean';
+    case 'field':
+      return 'Field';
+    case 'uint': {
+      const bits = uintBits(type.maxval);
+      return bits === null ? `Uint<0..${type.maxval}>` : `Uint<${bits}>`;
+    }
+    case 'bytes':
+      return `Bytes<${type.length}>`;
+    case 'opaque':
+      return `Opaque<"${type.tsType}">`;
+    case 'vector':
+      return `Vector<${type.length}, ${formatCompactType(type.element)}>`;
+    case 'tuple':
+      return `[${type.elements.map(formatCompactType).join(', ')}]`;
+    case 'enum':
+    case 'struct':
+      return type.name;
+    case 'maybe':
+      return `Maybe<${formatCompactType(type.value)}>`;
+    case 'either':
+      return `Either<${formatCompactType(type.left)}, ${formatCompactType(type.right)}>`;
+    case 'ledger':
+      return type.arguments.length === 0
+        ? type.name
+        : `${type.name}<${type.arguments.map((arg) => (typeof arg === 'number' ? String(arg) : formatCompactType(arg))).join(', ')}>`;
+    case 'unknown':
+      return type.name;
+  }
+};
+
+/**
+ * Whether the type carries no value, like the [] result of a circuit
+ */
+export const isEmptyType = (type: CompactType) => type.kind === 'tuple' && type.elements.length === 0;
@@ -15,6 +15,7 @@
 
 import path from 'node:path';
 import { NetworkId, setNetworkId } from '@midnight-ntwrk/midnight-js-network-id';
+import { contractName } from '../../api/src/common-types.js';
 
 export interface Config {
   readonly privateStateStoreName: string;
@@ -31,9 +32,9 @@ export interface Config {
 export const currentDir = path.resolve(new URL(import.meta.url).pathname, '..');
 
 export class TestnetLocalConfig implements Config {
-  privateStateStoreName = 'bboard-private-state';
+  privateStateStoreName = `${contractName}-private-state`;
   logDir = path.resolve(currentDir, '..', 'logs', 'testnet-local', `${new Date().toISOString()}.log`);
-  zkConfigPath = path.resolve(currentDir, '..', '..', 'contract', 'src', 'managed', 'bboard');
+  zkConfigPath = path.resolve(currentDir, '..', '..', 'contract', 'src', 'managed', contractName);
   indexer = 'http://127.0.0.1:8088/api/v1/graphql';
   indexerWS = 'ws://127.0.0.1:8088/api/v1/graphql/ws';
   node = 'http://127.0.0.1:9944';
@@ -45,9 +46,9 @@ export class TestnetLocalConfig implements Config {
 }
 
 export class StandaloneConfig implements Config {
-  privateStateStoreName = 'bboard-private-state';
+  privateStateStoreName = `${contractName}-private-state`;
   logDir = path.resolve(currentDir, '..', 'logs', 'standalone', `${new Date().toISOString()}.log`);
-  zkConfigPath = path.resolve(currentDir, '..', '..', 'contract', 'src', 'managed', 'bboard');
+  zkConfigPath = path.resolve(currentDir, '..', '..', 'contract', 'src', 'managed', contractName);
   indexer = 'http://127.0.0.1:8088/api/v1/graphql';
   indexerWS = 'ws://127.0.0.1:8088/api/v1/graphql/ws';
   node = 'http://127.0.0.1:9944';
@@ -59,9 +60,9 @@ export class StandaloneConfig implements Config {
 }
 
 export class TestnetRemoteConfig implements Config {
-  privateStateStoreName = 'bboard-private-state';
+  privateStateStoreName = `${contractName}-private-state`;
   logDir = path.resolve(currentDir, '..', 'logs', 'testnet-remote', `${new Date().toISOString()}.log`);
-  zkConfigPath = path.resolve(currentDir, '..', '..', 'contract', 'src', 'managed', 'bboard');
+  zkConfigPath = path.resolve(currentDir, '..', '..', 'contract', 'src', 'managed', contractName);
   indexer = 'https://indexer.testnet-02.midnight.network/api/v1/graphql';
   indexerWS = 'wss://indexer.testnet-02.midnight.network/api/v1/graphql/ws';
   node = 'https://rpc.testnet-02.midnight.network';
@@ -1,37 +1,77 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { contractName } from '../../api/src/common-types.js';
+import {
+  type CircuitDeclaration,
+  findDeclarations,
+  type ParsedProject,
+  parseProject,
+} from '../../compact-parser/index.js';
+import {
+  collectDeclarations,
+  type CompactType,
+  fromContractInfoType,
+  fromTypeNode,
+  isEmptyType,
+} from './compact-types.js';
+import { type ContractInfoType } from './value-codec.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export interface ContractFunction {
   name: string;
-  parameters: Array<{name: string, type: string}>;
-  returnType: string;
+  parameters: Array<{ name: string; type: CompactType }>;
+  returnType: CompactType;
   readOnly: boolean;
   description?: string;
 }
 
+export interface CircuitInfo {
+  name: string;
+  pure: boolean;
+  arguments: Array<{ name: string; type: ContractInfoType }>;
+  resultType: ContractInfoType | null;
+}
+
+// The part of the compiler's contract-info.json read here
+interface ContractInfoFile {
+  circuits?: Array<{
+    name: string;
+    pure?: boolean;
+    arguments?: CircuitInfo['arguments'];
+    'result-type'?: ContractInfoType;
+  }>;
+}
+
 export interface ContractAnalysis {
   contractName: string;
   functions: ContractFunction[];
-  ledgerState: {[key: string]: string};
+  ledgerState: { [key: string]: CompactType };
 }
 
 /**
  * Analyzes the contract to extract function signatures and information
  */
 export class ContractAnalyzer {
+  private srcDir: string;
   private contractPath: string;
   private contractAnalysis: ContractAnalysis | null = null;
   private contractInfoPath: string;
 
   constructor() {
-    // Path to the .compact file in the root directory
-    this.contractPath = path.resolve(__dirname, '../../bboard.compact');
-    // Path to the contract-info.json file
-    this.contractInfoPath = path.resolve(__dirname, '../../contract/src/managed/bboard/compiler/contract-info.json');
+    // Source directory of the contract package, holding the project's .compact files
+    this.srcDir = path.resolve(__dirname, '../../contract/src');
+    // Path to the entry contract of the project, set by the IDE server for multi-file projects
+    this.contractPath = path.resolve(this.srcDir, process.env.CONTRACT_ENTRY ?? 'bboard.compact');
+    // Path to the contract-info.json file, in the compiler output directory named after the contract
+    this.contractInfoPath = path.resolve(
+      __dirname,
+      '../../contract/src/managed',
+      contractName,
+      'compiler/contract-info.json',
+    );
   }
 
   /**
@@ -41,18 +81,14 @@ export class ContractAnalyzer {
     // First try to read from contract-info.json for accurate metadata
     if (fs.existsSync(this.contractInfoPath)) {
       try {
-        const contractInfo = JSON.parse(fs.readFileSync(this.contractInfoPath, 'utf-8'));
+        const contractInfo = JSON.parse(fs.readFileSync(this.contractInfoPath, 'utf-8')) as ContractInfoFile;
         const functions = this.parseFromContractInfo(contractInfo);
         
-        // Still parse ledger state from the .compact file
-        let ledgerState = {};
-        if (fs.existsSync(this.contractPath)) {
-          const content = fs.readFileSync(this.contractPath, 'utf-8');
-          ledgerState = this.parseLedgerState(content);
-        }
+        // Still parse ledger state from the .compact files
+        const ledgerState = fs.existsSync(this.contractPath) ? this.parseLedgerState(this.parseSources()) : {};
 
         const analysis = {
-          contractName: 'Dynamic Contract',
+          contractName,
           functions,
           ledgerState
         };
@@ -69,14 +105,12 @@ export class ContractAnalyzer {
       throw new Error(`Contract file not found: ${this.contractPath}`);
     }
 
-    const content = fs.readFileSync(this.contractPath, 'utf-8');
-    const contractName = path.basename(this.contractPath, '.compact');
-    
-    const functions = this.parseFunctions(content);
-    const ledgerState = this.parseLedgerState(content);
+    const project = this.parseSources();
+    const functions = this.parseFunctions(project);
+    const ledgerState = this.parseLedgerState(project);
 
     const analysis = {
-      contractName: `${contractName.charAt(0).toUpperCase() + contractName.slice(1)} Contract`,
+      contractName,
       functions,
       ledgerState
     };
@@ -87,42 +121,55 @@ export class ContractAnalyzer {
     return analysis;
   }
 
+  /**
+   * Read a circuit's signature with the exact types from contract-info.json.
+   * Returns null when the contract is not compiled or has no such circuit.
+   */
+  readCircuitInfo(circuitName: string): CircuitInfo | null {
+    if (!fs.existsSync(this.contractInfoPath)) {
+      return null;
+    }
+
+    const contractInfo = JSON.parse(fs.readFileSync(this.contractInfoPath, 'utf-8')) as ContractInfoFile;
+    const circuit = (contractInfo.circuits || []).find((entry) => entry.name === circuitName);
+    if (!circuit) {
+      return null;
+    }
+
+    return {
+      name: circuit.name,
+      pure: circuit.pure === true,
+      arguments: circuit.arguments || [],
+      resultType: circuit['result-type'] || null,
+    };
+  }
+
   /**
    * Parse functions from contract-info.json (more accurate than parsing .compact file)
    */
-  private parseFromContractInfo(contractInfo: any): ContractFunction[] {
+  private parseFromContractInfo(contractInfo: ContractInfoFile): ContractFunction[] {
     const functions: ContractFunction[] = [];
 
     if (contractInfo.circuits && Array.isArray(contractInfo.circuits)) {
       for (const circuit of contractInfo.circuits) {
-        const parameters: Array<{name: string, type: string}> = [];
-        
-        // Parse arguments
-        if (circuit.arguments && Array.isArray(circuit.arguments)) {
-          for (const arg of circuit.arguments) {
-            parameters.push({
-              name: arg.name,
-              type: this.mapContractInfoTypeToUserFriendly(arg.type)
-            });
-          }
-        }
+        const parameters = (circuit.arguments || []).map((arg) => ({
+          name: arg.name,
+          type: fromContractInfoType(arg.type),
+        }));
+        const returnType = fromContractInfoType(circuit['result-type']);
 
         // Determine if function is read-only based on the contract-info metadata
         // A function is read-only if:
         // 1. It's marked as pure: true, OR
         // 2. It returns something other than an empty tuple (meaning it returns data)
-        const hasNonEmptyReturn = circuit['result-type'] && 
-                                 !(circuit['result-type']['type-name'] === 'Tuple' && 
-                                   (!circuit['result-type'].types || circuit['result-type'].types.length === 0));
-        
-        const readOnly = circuit.pure === true || hasNonEmptyReturn;
+        const readOnly = circuit.pure === true || !isEmptyType(returnType);
 
         functions.push({
           name: circuit.name,
           parameters,
-          returnType: this.mapContractInfoTypeToUserFriendly(circuit['result-type']),
+          returnType,
           readOnly,
-          description: `Execute ${circuit.name} function`
+          description: `Execute ${circuit.name} function`,
         });
       }
     }
@@ -131,104 +178,62 @@ export class ContractAnalyzer {
   }
 
   /**
-   * Map contract-info.json type objects to user-friendly strings
+   * Parse the entry contract with every file it includes or imports
    */
-  private mapContractInfoTypeToUserFriendly(typeObj: any): string {
-    if (!typeObj) return 'void';
-    
-    switch (typeObj['type-name']) {
-      case 'Uint':
-        return `Uint<${typeObj.maxval || 'unknown'}>`;
-      case 'Bytes':
-        return `Bytes<${typeObj.length || 'unknown'}>`;
-      case 'Tuple':
-        if (!typeObj.types || typeObj.types.length === 0) {
-          return '[]';
-        }
-        return `Tuple<${typeObj.types.map((t: any) => this.mapContractInfoTypeToUserFriendly(t)).join(', ')}>`;
-      default:
-        return typeObj['type-name'] || 'unknown';
-    }
-  }
-
-  /**
-   * Parse function signatures from Compact contract
-   */
-  private parseFunctions(content: string): ContractFunction[] {
-    const functions: ContractFunction[] = [];
-
-    // Parse circuit functions
-    const circuitRegex = /export\s+circuit\s+(\w+)\s*\(([^)]*)\)\s*:\s*([^{]+)\s*\{/g;
-    let match;
-
-    while ((match = circuitRegex.exec(content)) !== null) {
-      const [, name, params, returnType] = match;
-      
-      const parameters: Array<{name: string, type: string}> = [];
-      if (params.trim()) {
-        const paramList = params.split(',').map(p => p.trim()).filter(p => p);
-        
-        for (const param of paramList) {
-          const colonIndex = param.indexOf(':');
-          if (colonIndex > 0) {
-            const paramName = param.substring(0, colonIndex).trim();
-            const paramType = param.substring(colonIndex + 1).trim();
-            parameters.push({
-              name: paramName,
-              type: this.mapCompactTypeToUserFriendly(paramType)
-            });
-          }
+  private parseSources(): ParsedProject {
+    const files: { [file: string]: string } = {};
+    const readDirectory = (dir: string) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && entry.name !== 'managed') {
+          readDirectory(entryPath);
+        } else if (entry.isFile() && entry.name.endsWith('.compact')) {
+          files[path.relative(this.srcDir, entryPath).split(path.sep).join('/')] = fs.readFileSync(entryPath, 'utf-8');
         }
       }
+    };
+    readDirectory(this.srcDir);
 
-      // Determine if function is read-only based on return type only
-      // If it returns something meaningful (not empty), it's likely read-only
-      const readOnly = returnType.trim() !== '[]' && returnType.trim() !== '';
-
-      functions.push({
-        name,
-        parameters,
-        returnType: returnType.trim(),
-        readOnly,
-        description: `Execute ${name} function`
-      });
-    }
-
-    return functions;
+    const project = parseProject(files, path.relative(this.srcDir, this.contractPath).split(path.sep).join('/'));
+    project.errors.forEach((error) => {
+      console.warn(`${error.file}:${error.range.start.line}:${error.range.start.column}: ${error.message}`);
+    });
+    return project;
   }
 
   /**
-   * Parse ledger state from Compact contract
+   * Parse the exported circuits of the contract
    */
-  private parseLedgerState(content: string): {[key: string]: string} {
-    const ledgerState: {[key: string]: string} = {};
-
-    // Parse ledger declarations
-    const ledgerRegex = /export\s+ledger\s+(\w+):\s*([^;]+);/g;
-    let match;
-
-    while ((match = ledgerRegex.exec(content)) !== null) {
-      const [, name, type] = match;
-      ledgerState[name] = this.mapCompactTypeToUserFriendly(type.trim());
-    }
-
-    return ledgerState;
+  private parseFunctions(project: ParsedProject): ContractFunction[] {
+    const declarations = collectDeclarations(project.items);
+
+    return project.items
+      .filter((item): item is CircuitDeclaration => item.kind === 'circuit' && item.exported)
+      .map((circuit) => {
+        const returnType = fromTypeNode(circuit.resultType, declarations);
+        return {
+          name: circuit.name,
+          parameters: circuit.parameters.map((parameter) => ({
+            name: parameter.name,
+            type: fromTypeNode(parameter.type, declarations),
+          })),
+          returnType,
+          // Determine if function is read-only based on return type only
+          // If it returns something meaningful (not empty), it's likely read-only
+          readOnly: circuit.pure || !isEmptyType(returnType),
+          description: `Execute ${circuit.name} function`,
+        };
+      });
   }
 
   /**
-   * Map Compact types to user-friendly display types
+   * Parse the ledger fields of the contract, exported or not
    */
-  private mapCompactTypeToUserFriendly(compactType: string): string {
-    const typeMap: {[key: string]: string} = {
-      'Opaque<"string">': 'string',
-      'Maybe<Opaque<"string">>': 'string?',
-      'Counter': 'number',
-      'Bytes<32>': 'bytes',
-      'State': 'enum',
-      '[]': 'void'
-    };
-
-    return typeMap[compactType] || compactType;
+  private parseLedgerState(project: ParsedProject): { [key: string]: CompactType } {
+    const declarations = collectDeclarations(project.items);
+    return Object.fromEntries(
+      findDeclarations(project.items, 'ledger').map((field) => [field.name, fromTypeNode(field.type, declarations)]),
+    );
   }
 
   /**
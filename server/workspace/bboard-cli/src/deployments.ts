@@ -0,0 +1,65 @@
+import path from 'node:path';
+import { type Logger } from 'pino';
+import { getNetworkId } from '@midnight-ntwrk/midnight-js-network-id';
+import { type BBoardAPI, privateStateKey } from '../../api/src/index';
+import { contractName } from '../../api/src/common-types.js';
+import {
+  type DeploymentRecord,
+  DeploymentRegistry,
+  hashArtifacts,
+  readSourceFiles,
+} from '../../deployment-registry/index.js';
+import { type Config, currentDir } from './config.js';
+
+/* **********************************************************************
+ * The deployment registry of the CLI, in bboard-cli/deployments unless
+ * DEPLOYMENT_REGISTRY_DIR names another directory. Pointing it at the IDE
+ * server's registry lists the CLI's deployments in the IDE as well.
+ */
+
+export const deploymentRegistry = new DeploymentRegistry(
+  process.env.DEPLOYMENT_REGISTRY_DIR ?? path.resolve(currentDir, '..', 'deployments'),
+);
+
+const srcDir = path.resolve(currentDir, '..', '..', 'contract', 'src');
+
+/**
+ * Record a contract the CLI just deployed, with the sources it was built
+ * from. A deployment that cannot be recorded is only logged, it still
+ * happened.
+ */
+export const recordDeployment = async (
+  api: BBoardAPI,
+  config: Config,
+  logger: Logger,
+): Promise<DeploymentRecord | null> => {
+  const { contractAddress, txHash, blockHeight } = api.deployedContract.deployTxData.public;
+  try {
+    const record = await deploymentRegistry.record(
+      {
+        contractAddress,
+        network: String(getNetworkId()),
+        contractName,
+        artifactHash: hashArtifacts(config.zkConfigPath),
+        txHash,
+        blockHeight,
+        privateStateId: privateStateKey,
+        privateStateStore: config.privateStateStoreName,
+      },
+      { sources: { entry: process.env.CONTRACT_ENTRY ?? 'bboard.compact', files: readSourceFiles(srcDir) } },
+    );
+    logger.info(`Recorded deployment ${record.id} in ${deploymentRegistry.dir}`);
+    return record;
+  } catch (error) {
+    logger.warn(
+      `Could not record the deployment of ${contractAddress}: ${error instanceof Error ? error.message : String(error)}`,
+    );
+    return null;
+  }
+};
+
+/**
+ * The recorded deployments of this contract on the current network, newest first
+ */
+export const listDeployments = (): Promise<DeploymentRecord[]> =>
+  deploymentRegistry.list({ contractName, network: String(getNetworkId()) });
@@ -1,6 +1,9 @@
 import { type Interface } from 'node:readline/promises';
 import { type Logger } from 'pino';
+import { type CompactType, formatCompactType, isEmptyType } from './compact-types.js';
 import { ContractAnalyzer, type ContractAnalysis, type ContractFunction } from './contract-analyzer.js';
+import { type EnhancedBBoardAPI } from './enhanced-api.js';
+import { encodeValue, inputExample, parseInput } from './value-codec.js';
 import { type BBoardProviders, type DeployedBBoardContract } from '../../api/src/index.js';
 
 export interface MenuItem {
@@ -108,37 +111,17 @@ export class DynamicCLIGenerator {
         this.logger.info(`🔧 Executing ${func.name}...`);
 
         // Collect parameters if needed
-        const args: any[] = [];
+        const args: unknown[] = [];
         for (const param of func.parameters) {
           const value = await this.collectParameter(param, rli);
           args.push(value);
         }
 
-        try {
-          // Get the enhanced API from global context
-          const enhancedApi = (global as any).enhancedApi;
-          if (!enhancedApi) {
-            throw new Error('Enhanced API not available');
-          }
-
-          // Try to execute the function dynamically
-          const result = await enhancedApi.executeFunction(func.name, ...args);
-          
-          if (result !== undefined && result !== null) {
-            this.logger.info(`📋 Result: ${JSON.stringify(result)}`);
-          } else {
-            this.logger.info(`✅ ${func.name} executed successfully`);
-          }
-        } catch (error) {
-          // If function not found in API, try direct contract execution
-          this.logger.info(`📖 Attempting direct contract execution for ${func.name}...`);
-          const result = await this.executeContractFunction(func.name, args, providers, contract);
-          
-          if (result !== undefined && result !== null) {
-            this.logger.info(`📋 Result: ${JSON.stringify(result)}`);
-          } else {
-            this.logger.info(`✅ ${func.name} executed successfully`);
-          }
+        const result = await this.executeContractFunction(func.name, args);
+        if (!isEmptyType(func.returnType)) {
+          this.logger.info(`📋 Result: ${JSON.stringify(encodeValue(result))}`);
+        } else {
+          this.logger.info(`✅ ${func.name} executed successfully`);
         }
       } catch (error) {
         this.logger.error(`❌ Failed to execute ${func.name}: ${error instanceof Error ? error.message : String(error)}`);
@@ -147,75 +130,25 @@ export class DynamicCLIGenerator {
   }
 
   /**
-   * Execute a function directly on the contract
+   * Call a circuit of the deployed contract. Circuits that change no state are
+   * evaluated locally against the latest ledger state and private state; the
+   * others are submitted as transactions.
    */
-  private async executeContractFunction(functionName: string, args: any[], providers: BBoardProviders, contract: DeployedBBoardContract): Promise<any> {
-    try {
-      // For read-only functions that return values - check from ledger state or call as read-only
-      if (functionName === 'get_count') {
-        this.logger.info('📊 Getting current count from ledger state...');
-        
-        const contractAddress = contract.deployTxData.public.contractAddress;
-        const ledgerState = await (global as any).getBBoardLedgerState(providers, contractAddress);
-        
-        if (ledgerState) {
-          const count = ledgerState.count || 0n;
-          this.logger.info(`📋 Current count: ${count.toString()}`);
-          return count.toString();
-        } else {
-          return '0';
-        }
-      } else if (functionName === 'reset') {
-        // Reset returns a string value, so it's actually a read-only function
-        this.logger.info('🔄 Calling reset function (returns message)...');
-        
-        // Since reset returns "False Counter reset", we can just return that
-        // In a real implementation, this might call a pure circuit or query function
-        const message = "False Counter reset";
-        this.logger.info(`📋 Reset message: ${message}`);
-        return message;
-      } else if (functionName === 'get_results') {
-        this.logger.info('📊 Getting voting results from ledger state...');
-        
-        const contractAddress = contract.deployTxData.public.contractAddress;
-        const ledgerState = await (global as any).getBBoardLedgerState(providers, contractAddress);
-        
-        if (ledgerState) {
-          const votesFor = ledgerState.votes_for || 0n;
-          const votesAgainst = ledgerState.votes_against || 0n;
-          return [votesFor.toString(), votesAgainst.toString()];
-        } else {
-          return ['0', '0'];
-        }
-      } else {
-        // For transaction functions, execute them on-chain through the contract interface
-        this.logger.info(`🔗 Executing ${functionName} on-chain...`);
-        
-        try {
-          // Get the contract interface and call the function
-          const contractInterface = contract.callTx as any;
-          
-          if (contractInterface[functionName] && typeof contractInterface[functionName] === 'function') {
-            this.logger.info(`📝 Calling contract.callTx.${functionName}(${args.join(', ')})`);
-            
-            const txData = await contractInterface[functionName](...args);
-            
-            this.logger.info(`✅ Transaction submitted successfully!`);
-            this.logger.info(`📄 TX Hash: ${txData.public.txHash}`);
-            this.logger.info(`🏗️  Block Height: ${txData.public.blockHeight}`);
-            
-            return `${functionName} executed successfully on-chain`;
-          } else {
-            throw new Error(`Function ${functionName} not found on contract interface`);
-          }
-        } catch (contractError) {
-          this.logger.error(`❌ Contract execution failed: ${contractError instanceof Error ? contractError.message : String(contractError)}`);
-          throw contractError;
-        }
-      }
-    } catch (error) {
-      throw new Error(`Failed to execute contract function ${functionName}: ${error instanceof Error ? error.message : String(error)}`);
+  private async executeContractFunction(functionName: string, args: unknown[]): Promise<unknown> {
+    const { enhancedApi } = global as { enhancedApi?: EnhancedBBoardAPI };
+    if (!enhancedApi) {
+      throw new Error('Enhanced API not available');
+    }
+
+    const callResult = await enhancedApi.executeFunction(functionName, ...args);
+    if (callResult.evaluatedLocally) {
+      this.logger.info(`📖 ${functionName} changes no state, evaluated locally without a transaction`);
+    } else {
+      this.logger.info(`✅ Transaction submitted successfully!`);
+      this.logger.info(`📄 TX Hash: ${callResult.txHash}`);
+      this.logger.info(`🏗️  Block Height: ${callResult.blockHeight}`);
     }
+    return callResult.returnValue;
   }
 
   /**
@@ -261,36 +194,19 @@ export class DynamicCLIGenerator {
   }
 
   /**
-   * Collect a parameter value from user input
+   * Collect a parameter value from user input, asking again until it is
+   * valid for the parameter's type
    */
-  private async collectParameter(param: {name: string, type: string}, rli: Interface): Promise<any> {
-    const prompt = `Enter ${param.name} (${param.type}): `;
-    const input = await rli.question(prompt);
+  private async collectParameter(param: { name: string; type: CompactType }, rli: Interface): Promise<unknown> {
+    const prompt = `Enter ${param.name} (${formatCompactType(param.type)}, ${inputExample(param.type)}): `;
 
-    // Enhanced type conversion for Compact types
-    if (param.type.includes('Uint<')) {
-      // For Uint types, convert to BigInt (this is what the Compact runtime expects)
-      const numValue = parseInt(input, 10);
-      if (isNaN(numValue)) {
-        throw new Error(`Invalid number: ${input}`);
+    for (;;) {
+      const input = await rli.question(prompt);
+      try {
+        return parseInput(param.type, input, param.name);
+      } catch (error) {
+        this.logger.warn(`❌ ${error instanceof Error ? error.message : String(error)}, please try again`);
       }
-      this.logger.info(`🔄 Converting "${input}" to BigInt: ${numValue}n`);
-      return BigInt(numValue);
-    }
-    
-    switch (param.type) {
-      case 'number':
-        return BigInt(input);
-      case 'string':
-        return input;
-      case 'bytes':
-        return input; // TODO: Proper bytes conversion
-      default:
-        // For unknown types, try to convert to BigInt if it looks like a number
-        if (!isNaN(Number(input))) {
-          return BigInt(input);
-        }
-        return input;
     }
   }
 
@@ -1,18 +1,19 @@
 import { type Logger } from 'pino';
+import { type CompactType } from './compact-types.js';
 import { ContractAnalyzer } from './contract-analyzer.js';
 import { DynamicCLIGenerator } from './dynamic-cli-generator.js';
-import { BBoardAPI, type BBoardProviders } from '../../api/src/index.js';
+import { BBoardAPI, type CircuitCallResult } from '../../api/src/index.js';
 
 export interface ContractInfo {
   contractName: string;
   functions: Array<{
     name: string;
-    parameters: Array<{ name: string; type: string }>;
-    returnType: string;
+    parameters: Array<{ name: string; type: CompactType }>;
+    returnType: CompactType;
     readOnly: boolean;
     description: string;
   }>;
-  ledgerState: Array<{ name: string; type: string }>;
+  ledgerState: Array<{ name: string; type: CompactType }>;
 }
 
 /**
@@ -84,22 +85,14 @@ export class EnhancedBBoardAPI {
   }
 
   /**
-   * Execute a function dynamically by name
+   * Call a circuit of the deployed contract by name, locally when it changes no state
    */
-  async executeFunction(functionName: string, ...args: any[]): Promise<any> {
+  async executeFunction(functionName: string, ...args: unknown[]): Promise<CircuitCallResult> {
     if (!this.bboardApi) {
       throw new Error('BBoardAPI not initialized');
     }
 
-    // Check if the function exists on the BBoardAPI
-    const api = this.bboardApi as any;
-    if (api[functionName] && typeof api[functionName] === 'function') {
-      return await api[functionName](...args);
-    } else {
-      // For new contract functions that don't exist in the old API, 
-      // we need to handle them differently
-      throw new Error(`Function ${functionName} not found in BBoardAPI - will be handled by contract interface`);
-    }
+    return this.bboardApi.callCircuitFunction(functionName, ...args);
   }
 
   // Remove hardcoded proxy methods since we're now fully dynamic
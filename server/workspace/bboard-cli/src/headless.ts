@@ -0,0 +1,154 @@
+import { type Logger } from 'pino';
+import * as Rx from 'rxjs';
+import { BBoardAPI, type BBoardProviders, privateStateKey } from '../../api/src/index';
+import { type Config } from './config.js';
+import { emit, type ProtocolCommand, serveCommands } from './command-protocol.js';
+import { ContractAnalyzer } from './contract-analyzer.js';
+import { recordDeployment } from './deployments.js';
+import { buildProviders, buildWallet, getBBoardLedgerState } from './index.js';
+import { decodeArguments, encodeValue } from './value-codec.js';
+
+/* **********************************************************************
+ * Headless mode: drives the CLI with newline-delimited JSON instead of
+ * the readline menu, see command-protocol.ts. The commands are
+ *
+ *   {"id": 1, "command": "deploy"}
+ *   {"id": 2, "command": "join", "contractAddress": "0200..."}
+ *   {"id": 3, "command": "call", "circuit": "increment", "args": []}
+ *   {"id": 4, "command": "queryLedger"}
+ *   {"id": 5, "command": "queryPrivateState"}
+ *   {"id": 6, "command": "exit"}
+ *
+ * State changes are reported as events, e.g.
+ *   {"type": "event", "event": "ledgerState", "ledgerState": {...}}
+ *
+ * `deploy` records the new contract in the deployment registry, see
+ * deployments.ts, and answers with the record as `deployment`.
+ *
+ * `join` fails when the contract at the address has other circuits or
+ * verifier keys than the compiled contract.
+ *
+ * A `call` of a circuit that changes no state is answered from a local
+ * evaluation, with a null txHash and `evaluatedLocally: true`.
+ *
+ * Values use the JSON form of value-codec: integers as decimal strings and
+ * bytes as hex.
+ */
+
+export interface HeadlessCommand extends ProtocolCommand {
+  contractAddress?: string;
+  circuit?: string;
+  args?: unknown[] | Record<string, unknown>;
+}
+
+class HeadlessSession {
+  private api: BBoardAPI | null = null;
+  private subscription: Rx.Subscription | null = null;
+
+  constructor(
+    private readonly providers: BBoardProviders,
+    private readonly config: Config,
+    private readonly logger: Logger,
+  ) {}
+
+  async handle(command: HeadlessCommand): Promise<unknown> {
+    switch (command.command) {
+      case 'deploy': {
+        const api = await BBoardAPI.deploy(this.providers, this.logger);
+        return { ...this.connect(api), deployment: await recordDeployment(api, this.config, this.logger) };
+      }
+      case 'join':
+        if (!command.contractAddress) {
+          throw new Error('join needs a contractAddress');
+        }
+        return this.connect(await BBoardAPI.join(this.providers, command.contractAddress, this.logger));
+      case 'call':
+        return this.call(command);
+      case 'queryLedger':
+        return { ledgerState: await this.queryLedger(command.contractAddress) };
+      case 'queryPrivateState': {
+        const privateState = await this.providers.privateStateProvider.get(privateStateKey);
+        return { privateState: privateState === null ? null : encodeValue(privateState) };
+      }
+      default:
+        throw new Error(`Unknown command: ${command.command}`);
+    }
+  }
+
+  close() {
+    this.subscription?.unsubscribe();
+  }
+
+  private connect(api: BBoardAPI) {
+    this.close();
+    this.api = api;
+    this.subscription = api.state$.subscribe({
+      next: (ledgerState) => emit('ledgerState', { ledgerState: encodeValue(ledgerState) }),
+      error: (error) => emit('error', { error: error instanceof Error ? error.message : String(error) }),
+    });
+
+    const { contractAddress, txHash, blockHeight } = api.deployedContract.deployTxData.public;
+    return { contractAddress, txHash, blockHeight };
+  }
+
+  private async call({ circuit: circuitName, args }: HeadlessCommand) {
+    if (this.api === null) {
+      throw new Error('No contract yet, deploy or join one first');
+    }
+    if (!circuitName) {
+      throw new Error('call needs a circuit');
+    }
+
+    const circuit = new ContractAnalyzer().readCircuitInfo(circuitName);
+    if (circuit === null) {
+      throw new Error(`Circuit ${circuitName} not found in the compiled contract`);
+    }
+
+    const callResult = await this.api.callCircuitFunction(circuitName, ...decodeArguments(circuit.arguments, args));
+    return {
+      contractAddress: this.api.deployedContractAddress,
+      circuit: callResult.circuit,
+      returnValue: encodeValue(callResult.returnValue),
+      txHash: callResult.txHash,
+      blockHeight: callResult.blockHeight,
+      evaluatedLocally: callResult.evaluatedLocally,
+      ledgerState: await this.queryLedger(),
+    };
+  }
+
+  private async queryLedger(contractAddress?: string) {
+    const address = contractAddress ?? this.api?.deployedContractAddress;
+    if (address === undefined) {
+      throw new Error('No contract yet, deploy or join one first or pass a contractAddress');
+    }
+
+    const ledgerState = await getBBoardLedgerState(this.providers, address);
+    return ledgerState === null ? null : encodeValue(ledgerState);
+  }
+}
+
+/* **********************************************************************
+ * runHeadless: the entry point of headless mode. Builds the wallet and
+ * providers, then serves commands until `exit` or the end of stdin.
+ */
+
+export const runHeadless = async (config: Config, logger: Logger): Promise<void> => {
+  const wallet = await buildWallet(config, logger);
+  if (wallet === null) {
+    emit('exit', { error: 'No wallet available' });
+    return;
+  }
+
+  let session: HeadlessSession | null = null;
+  try {
+    const providers = await buildProviders(config, wallet, logger);
+    const { address } = await Rx.firstValueFrom(wallet.state());
+    session = new HeadlessSession(providers, config, logger);
+    emit('ready', { walletAddress: address });
+    await serveCommands(session, logger);
+  } finally {
+    session?.close();
+    await wallet.close();
+    emit('exit');
+  }
+};
@@ -5,14 +5,16 @@ import dotenv from 'dotenv';
 // import { webcrypto } from 'crypto';
 import {
   type BBoardProviders,
+  type BBoardCircuitKeys,
   BBoardAPI,
   utils,
   type BBoardDerivedState,
   type DeployedBBoardContract,
   type PrivateStateId,
-  bboardPrivateStateKey,
+  privateStateKey,
+  ledger,
 } from '../../api/src/index';
-import { ledger, type Ledger } from '../../contract/src/managed/bboard/contract/index.cjs';
+import { type Ledger } from '../../contract/src/index';
 import {
   type BalancedTransaction,
   createBalancedTx,
@@ -36,6 +38,8 @@ import { type ContractAddress } from '@midnight-ntwrk/compact-runtime';
 import { toHex, assertIsContractAddress } from '@midnight-ntwrk/midnight-js-utils';
 import { getLedgerNetworkId, getZswapNetworkId } from '@midnight-ntwrk/midnight-js-network-id';
 import { EnhancedBBoardAPI } from './enhanced-api.js';
+import { ContractAnalyzer } from './contract-analyzer.js';
+import { listDeployments, recordDeployment } from './deployments.js';
 
 // Configure dotenv to load environment variables from .env file in project root
 dotenv.config({ path: '../.env' });
@@ -65,16 +69,84 @@ export const getBBoardLedgerState = async (
 //   .then((contractState) => (contractState != null ? ledger(contractState.data) : null));
 
 /* **********************************************************************
- * deployOrJoin: automatically deploys a new bulletin board contract
- * without prompting the user for choices.
+ * deployOrJoin: deploys a new contract or joins one deployed earlier.
+ * Given a contract address, e.g. from `--join <address>`, that contract
+ * is joined without asking; otherwise the user picks what to do.
  */
 
-const deployOrJoin = async (providers: BBoardProviders, rli: Interface, logger: Logger): Promise<EnhancedBBoardAPI | null> => {
-  // Automatically deploy a new contract without asking questions
-  logger.info('Deploying new bulletin board contract...');
-  const api = await BBoardAPI.deploy(providers, logger);
-  logger.info(`Deployed contract at address: ${api.deployedContractAddress}`);
-  
+const DEPLOY_OR_JOIN_QUESTION = `
+You can do one of the following:
+  1. Deploy a new contract
+  2. Join an existing contract
+  3. Exit
+Which would you like to do? `;
+
+const join = async (
+  providers: BBoardProviders,
+  contractAddress: ContractAddress,
+  logger: Logger,
+): Promise<BBoardAPI> => {
+  logger.info(`Joining contract at address: ${contractAddress}...`);
+  const api = await BBoardAPI.join(providers, contractAddress, logger);
+  logger.info(`Joined contract at address: ${api.deployedContractAddress}`);
+  return api;
+};
+
+const MAX_LISTED_DEPLOYMENTS = 10;
+
+// Ask for the address of the contract to join, offering the recorded deployments
+const askContractAddress = async (rli: Interface, logger: Logger): Promise<ContractAddress> => {
+  const deployments = (await listDeployments()).slice(0, MAX_LISTED_DEPLOYMENTS);
+  if (deployments.length === 0) {
+    return (await rli.question('What is the contract address (in hex)? ')).trim();
+  }
+
+  logger.info('Recorded deployments of this contract:');
+  deployments.forEach((deployment, index) => {
+    logger.info(
+      `  ${index + 1}. ${deployment.contractAddress} (block ${deployment.blockHeight ?? '?'}, ${deployment.deployedAt})`,
+    );
+  });
+  const answer = (await rli.question('Enter a number from the list or a contract address: ')).trim();
+  const listed = /^\d{1,2}$/.test(answer) ? deployments[Number(answer) - 1] : undefined;
+  return listed?.contractAddress ?? answer;
+};
+
+const deployOrJoin = async (
+  providers: BBoardProviders,
+  config: Config,
+  rli: Interface,
+  logger: Logger,
+  contractAddress?: ContractAddress,
+): Promise<EnhancedBBoardAPI | null> => {
+  let api: BBoardAPI | null = contractAddress !== undefined ? await join(providers, contractAddress, logger) : null;
+
+  while (api === null) {
+    const choice = (await rli.question(DEPLOY_OR_JOIN_QUESTION)).trim();
+    switch (choice) {
+      case '1':
+        logger.info('Deploying new contract...');
+        api = await BBoardAPI.deploy(providers, logger);
+        logger.info(`Deployed contract at address: ${api.deployedContractAddress}`);
+        await recordDeployment(api, config, logger);
+        break;
+      case '2': {
+        const address = await askContractAddress(rli, logger);
+        try {
+          api = await join(providers, address, logger);
+        } catch (error) {
+          logger.error(`❌ Could not join ${address}: ${error instanceof Error ? error.message : String(error)}`);
+        }
+        break;
+      }
+      case '3':
+        logger.info('Exiting...');
+        return null;
+      default:
+        logger.error(`Invalid choice: ${choice}`);
+    }
+  }
+
   // Create and initialize enhanced API
   const enhancedApi = new EnhancedBBoardAPI(logger);
   await enhancedApi.initialize(api);
@@ -83,6 +155,22 @@ const deployOrJoin = async (providers: BBoardProviders, rli: Interface, logger:
   return enhancedApi;
 };
 
+/**
+ * The contract address given with `--join <address>` or `--join=<address>`
+ */
+const joinAddressFromArgs = (args: string[]): ContractAddress | undefined => {
+  const index = args.findIndex((arg) => arg === '--join' || arg.startsWith('--join='));
+  if (index === -1) {
+    return undefined;
+  }
+
+  const address = args[index] === '--join' ? args[index + 1] : args[index].slice('--join='.length);
+  if (!address) {
+    throw new Error('--join needs a contract address');
+  }
+  return address.trim();
+};
+
 /* **********************************************************************
  * displayLedgerState: dynamically shows the current contract state
  */
@@ -117,7 +205,7 @@ const displayLedgerState = async (
  */
 
 const displayPrivateState = async (providers: BBoardProviders, logger: Logger): Promise<void> => {
-  const privateState = await providers.privateStateProvider.get(bboardPrivateStateKey);
+  const privateState = await providers.privateStateProvider.get(privateStateKey);
   if (privateState === null) {
     logger.info(`There is no existing bulletin board private state`);
   } else {
@@ -154,8 +242,14 @@ const displayDerivedState = (ledgerState: BBoardDerivedState | undefined, logger
  * mainLoop: the main interactive menu - completely dynamic based on contract analysis
  */
 
-const mainLoop = async (providers: BBoardProviders, rli: Interface, logger: Logger): Promise<void> => {
-  const enhancedApi = await deployOrJoin(providers, rli, logger);
+const mainLoop = async (
+  providers: BBoardProviders,
+  config: Config,
+  rli: Interface,
+  logger: Logger,
+  contractAddress?: ContractAddress,
+): Promise<void> => {
+  const enhancedApi = await deployOrJoin(providers, config, rli, logger, contractAddress);
   if (enhancedApi === null) {
     return;
   }
@@ -242,44 +336,46 @@ const createWalletAndMidnightProvider = async (wallet: Wallet): Promise<WalletPr
 };
 
 /* **********************************************************************
- * waitForFunds: wait for tokens to appear in a wallet.
+ * syncedStates: the states of a wallet once it is close enough to
+ * present reality.
  *
  * This is an interesting example of watching the stream of states
- * coming from the pub-sub indexer.  It watches both
- *  1. how close the state is to present reality and
- *  2. the balance held by the wallet.
+ * coming from the pub-sub indexer.  It logs how close the state is
+ * to present reality, and lets states through once the wallet has
+ * nearly caught up.
  */
 
+const syncedStates = (wallet: Wallet, logger: Logger) =>
+  wallet.state().pipe(
+    Rx.throttleTime(10_000),
+    Rx.tap((state) => {
+      const scanned = state.syncProgress?.synced ?? 0n;
+      const behind = state.syncProgress?.lag.applyGap.toString() ?? 'unknown number';
+      logger.info(`Wallet processed ${scanned} indices, remaining ${behind}`);
+    }),
+    Rx.filter((state) => {
+      // Let's allow progress only if wallet is close enough
+      const synced = typeof state.syncProgress?.synced === 'bigint' ? state.syncProgress.synced : 0n;
+      const total = typeof state.syncProgress?.lag?.applyGap === 'bigint' ? state.syncProgress.lag.applyGap : 1_000n;
+      return total - synced < 100n;
+    }),
+  );
+
+// waitForSync: wait until the wallet has caught up, with its state at that point
+export const waitForSync = (wallet: Wallet, logger: Logger) => Rx.firstValueFrom(syncedStates(wallet, logger));
+
+// waitForFunds: wait for tokens to appear in a synced wallet.
 const waitForFunds = (wallet: Wallet, logger: Logger) =>
   Rx.firstValueFrom(
-    wallet.state().pipe(
-      Rx.throttleTime(10_000),
-      Rx.tap((state) => {
-        const scanned = state.syncProgress?.synced ?? 0n;
-        const behind = state.syncProgress?.lag.applyGap.toString() ?? 'unknown number';
-        logger.info(`Wallet processed ${scanned} indices, remaining ${behind}`);
-      }),
-      Rx.filter((state) => {
-        // Let's allow progress only if wallet is close enough
-        const synced = typeof state.syncProgress?.synced === 'bigint' ? state.syncProgress.synced : 0n;
-        const total = typeof state.syncProgress?.lag?.applyGap === 'bigint' ? state.syncProgress.lag.applyGap : 1_000n;
-        return total - synced < 100n;
-      }),
+    syncedStates(wallet, logger).pipe(
       Rx.map((s) => s.balances[nativeToken()] ?? 0n),
       Rx.filter((balance) => balance > 0n),
     ),
   );
 
-/* **********************************************************************
- * buildWalletAndWaitForFunds: the main function that creates a wallet
- * and waits for tokens to appear in it.  The various "buildWallet"
- * functions all arrive here after collecting information for the
- * arguments.
- */
-
-const buildWalletAndWaitForFunds = async (
+// startWallet: build the wallet of a seed and start syncing it with the indexer
+export const startWallet = async (
   { indexer, indexerWS, node, proofServer }: Config,
-  logger: Logger,
   seed: string,
 ): Promise<Wallet & Resource> => {
   const wallet = await WalletBuilder.buildFromSeed(
@@ -292,8 +388,19 @@ const buildWalletAndWaitForFunds = async (
     'warn',
   );
   wallet.start();
+  return wallet;
+};
+
+/* **********************************************************************
+ * buildWalletAndWaitForFunds: the main function that creates a wallet
+ * and waits for tokens to appear in it.  The various "buildWallet"
+ * functions all arrive here after collecting information for the
+ * arguments.
+ */
+
+const buildWalletAndWaitForFunds = async (config: Config, logger: Logger, seed: string): Promise<Wallet & Resource> => {
+  const wallet = await startWallet(config, seed);
   const state = await Rx.firstValueFrom(wallet.state());
-  logger.info(`Your wallet seed is: ${seed}`);
   logger.info(`Your wallet address is: ${state.address}`);
   let balance = state.balances[nativeToken()];
   if (balance === undefined || balance === 0n) {
@@ -315,63 +422,83 @@ const buildWalletFromSeed = async (config: Config, rli: Interface, logger: Logge
   return await buildWalletAndWaitForFunds(config, logger, seed);
 };
 
-/* ***********************************************************************
- * This seed gives access to tokens minted in the genesis block of a local development node - only
- * used in standalone networks to build a wallet with initial funds.
- */
-
 /* **********************************************************************
- * buildWallet: unless running in a standalone (offline) mode,
- * prompt the user to tell us whether to create a new wallet
- * or recreate one from a prior seed.
+ * buildWallet: in standalone (offline) mode, the wallet holding the
+ * tokens minted in the genesis block of the local development node.
+ * Otherwise the wallet of WALLET_SEED. Any other network only gets
+ * the genesis wallet when ALLOW_GENESIS_WALLET=true asks for it.
  */
 
-
-
-const buildWallet = async (config: Config, rli: Interface, logger: Logger): Promise<(Wallet & Resource) | null> => {
+export const buildWallet = async (config: Config, logger: Logger): Promise<(Wallet & Resource) | null> => {
   if (config instanceof StandaloneConfig) {
     return await buildWalletAndWaitForFunds(config, logger, GENESIS_MINT_WALLET_SEED);
   }
-  
+
   // Check if WALLET_SEED is available in environment variables
   const envSeed = process.env.WALLET_SEED;
-  console.log('Using wallet seed from .env file');
   if (envSeed) {
     logger.info('Using wallet seed from .env file');
     return await buildWalletAndWaitForFunds(config, logger, envSeed);
   }
-  else {
+  if (process.env.ALLOW_GENESIS_WALLET === 'true') {
+    logger.warn('No WALLET_SEED set, using the genesis wallet as ALLOW_GENESIS_WALLET asks');
     return await buildWalletAndWaitForFunds(config, logger, GENESIS_MINT_WALLET_SEED);
   }
+  throw new Error(
+    'No wallet: set WALLET_SEED (see scripts/generate-key.js), or ALLOW_GENESIS_WALLET=true to use the genesis wallet',
+  );
 };
 
 /* **********************************************************************
- * createDynamicZkConfigProvider: creates a zkConfigProvider that 
+ * createDynamicZkConfigProvider: creates a zkConfigProvider that
  * dynamically discovers circuit names from the contract
  */
 
-const createDynamicZkConfigProvider = async (config: Config): Promise<NodeZkConfigProvider<any>> => {
+const createDynamicZkConfigProvider = async (
+  config: Config,
+  logger: Logger,
+): Promise<NodeZkConfigProvider<BBoardCircuitKeys>> => {
   try {
     // Use the contract analyzer to discover circuit names
-    const { ContractAnalyzer } = await import('./contract-analyzer.js');
     const analyzer = new ContractAnalyzer();
     const analysis = await analyzer.analyzeContract();
-    
+
     // Extract circuit names from the analyzed functions
-    const circuitNames = analysis.functions.map(func => func.name);
-    
-    console.log('🔍 Detected circuits:', circuitNames);
-    
+    const circuitNames = analysis.functions.map((func) => func.name);
+
+    logger.info(`🔍 Detected circuits: ${circuitNames.join(', ')}`);
+
     // For now, we'll use the config path approach but we know the circuit names
     // The NodeZkConfigProvider will look for the circuit files automatically
-    return new NodeZkConfigProvider<any>(config.zkConfigPath);
+    return new NodeZkConfigProvider<BBoardCircuitKeys>(config.zkConfigPath);
   } catch (error) {
-    console.error('Failed to analyze contract for dynamic circuits:', error);
+    logger.error(
+      `Failed to analyze contract for dynamic circuits: ${error instanceof Error ? error.message : String(error)}`,
+    );
     // Fallback to default provider
-    return new NodeZkConfigProvider<any>(config.zkConfigPath);
+    return new NodeZkConfigProvider<BBoardCircuitKeys>(config.zkConfigPath);
   }
 };
 
+/* **********************************************************************
+ * buildProviders: the providers used to deploy, join and call the
+ * contract, with the given wallet paying for transactions.
+ */
+
+export const buildProviders = async (config: Config, wallet: Wallet, logger: Logger): Promise<BBoardProviders> => {
+  const walletAndMidnightProvider = await createWalletAndMidnightProvider(wallet);
+  return {
+    privateStateProvider: levelPrivateStateProvider<PrivateStateId>({
+      privateStateStoreName: config.privateStateStoreName,
+    }),
+    publicDataProvider: indexerPublicDataProvider(config.indexer, config.indexerWS),
+    zkConfigProvider: await createDynamicZkConfigProvider(config, logger),
+    proofProvider: httpClientProofProvider(config.proofServer),
+    walletProvider: walletAndMidnightProvider,
+    midnightProvider: walletAndMidnightProvider,
+  };
+};
+
 const mapContainerPort = (env: StartedDockerComposeEnvironment, url: string, containerName: string) => {
   const mappedUrl = new URL(url);
   const container = env.getContainer(containerName);
@@ -386,6 +513,8 @@ const mapContainerPort = (env: StartedDockerComposeEnvironment, url: string, con
  *
  * If called with a Docker environment argument, the application
  * will wait for Docker to be ready before doing anything else.
+ * Pass `--join <address>` to join that contract instead of being asked
+ * whether to deploy or join.
  */
 
 export const run = async (config: Config, logger: Logger, dockerEnv?: DockerComposeEnvironment): Promise<void> => {
@@ -401,21 +530,13 @@ export const run = async (config: Config, logger: Logger, dockerEnv?: DockerComp
       config.proofServer = mapContainerPort(env, config.proofServer, 'bboard-proof-server');
     }
   }
-  const wallet = await buildWallet(config, rli, logger);
+  let wallet: (Wallet & Resource) | null = null;
   try {
+    const contractAddress = joinAddressFromArgs(process.argv.slice(2));
+    wallet = await buildWallet(config, logger);
     if (wallet !== null) {
-      const walletAndMidnightProvider = await createWalletAndMidnightProvider(wallet);
-      const providers = {
-        privateStateProvider: levelPrivateStateProvider<PrivateStateId>({
-          privateStateStoreName: config.privateStateStoreName,
-        }),
-        publicDataProvider: indexerPublicDataProvider(config.indexer, config.indexerWS),
-        zkConfigProvider: await createDynamicZkConfigProvider(config),
-        proofProvider: httpClientProofProvider(config.proofServer),
-        walletProvider: walletAndMidnightProvider,
-        midnightProvider: walletAndMidnightProvider,
-      };
-      await mainLoop(providers, rli, logger);
+      const providers = await buildProviders(config, wallet, logger);
+      await mainLoop(providers, config, rli, logger, contractAddress);
     }
   } catch (e) {
     logError(logger, e);
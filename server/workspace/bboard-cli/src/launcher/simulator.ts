@@ -0,0 +1,33 @@
+// This file is part of midnightntwrk/example-counter.
+// Copyright (C) 2025 Midnight Foundation
+// SPDX-License-Identifier: Apache-2.0
+// Licensed under the Apache License, Version 2.0 (the "License");
+// You may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import path from 'node:path';
+import { createLogger } from '../logger-utils.js';
+import { runSimulator } from '../simulator.js';
+import { currentDir } from '../config.js';
+
+const logDir = path.resolve(currentDir, '..', 'logs', 'simulator', `${new Date().toISOString()}.log`);
+// stdout carries the JSON protocol, so logs go to stderr
+const logger = await createLogger(logDir, { stderr: true });
+try {
+  await runSimulator(logger);
+  process.exit(0);
+} catch (e) {
+  logger.error(`Simulator failed: ${e instanceof Error ? e.message : String(e)}`);
+  process.stdout.write(
+    `${JSON.stringify({ type: 'event', event: 'exit', error: e instanceof Error ? e.message : String(e) })}\n`,
+  );
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+// This file is part of midnightntwrk/example-counter.
+// Copyright (C) 2025 Midnight Foundation
+// SPDX-License-Identifier: Apache-2.0
+// Licensed under the Apache License, Version 2.0 (the "License");
+// You may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { createLogger } from '../logger-utils.js';
+import { runWalletInfo } from '../wallet-info.js';
+import { TestnetRemoteConfig } from '../config.js';
+
+const config = new TestnetRemoteConfig();
+config.setNetworkId();
+// stdout carries the JSON result, so logs go to stderr
+const logger = await createLogger(config.logDir, { stderr: true });
+try {
+  await runWalletInfo(config, logger);
+  process.exit(0);
+} catch (e) {
+  const error = e instanceof Error ? e.message : String(e);
+  logger.error(`Reading the wallet failed: ${error}`);
+  process.stdout.write(
+    `${JSON.stringify({ type: 'result', id: 'walletInfo', command: 'walletInfo', success: false, error })}\n`,
+  );
+  process.exit(1);
+}
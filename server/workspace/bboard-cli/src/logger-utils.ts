@@ -19,11 +19,16 @@ import pinoPretty from 'pino-pretty';
 import pino from 'pino';
 import { createWriteStream } from 'node:fs';
 
-export const createLogger = async (logPath: string): Promise<pino.Logger> => {
+// Headless mode keeps stdout for its JSON protocol and logs to stderr instead
+export const createLogger = async (
+  logPath: string,
+  { stderr = false }: { stderr?: boolean } = {},
+): Promise<pino.Logger> => {
   await fs.mkdir(path.dirname(logPath), { recursive: true });
   const pretty: pinoPretty.PrettyStream = pinoPretty({
-    colorize: true,
+    colorize: !stderr,
     sync: true,
+    destination: stderr ? 2 : 1,
   });
   const level =
     process.env.DEBUG_LEVEL !== undefined && process.env.DEBUG_LEVEL !== null && process.env.DEBUG_LEVEL !== ''
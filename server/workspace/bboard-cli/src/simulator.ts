@@ -0,0 +1,132 @@
+import { type Logger } from 'pino';
+import {
+  type CircuitContext,
+  constructorContext,
+  QueryContext,
+  sampleContractAddress,
+} from '@midnight-ntwrk/compact-runtime';
+import { toHex } from '@midnight-ntwrk/midnight-js-utils';
+import { Contract, ledger } from '../../api/src/contract-module.js';
+import * as utils from '../../api/src/utils/index.js';
+import { type BBoardPrivateState, createBBoardPrivateState, witnesses } from '../../contract/src/index';
+import { emit, type ProtocolCommand, serveCommands } from './command-protocol.js';
+import { ContractAnalyzer } from './contract-analyzer.js';
+import { decodeArguments, encodeValue } from './value-codec.js';
+
+/* **********************************************************************
+ * Simulator: runs the compiled contract with the project's witnesses
+ * directly through compact-runtime, without a wallet, proof server or
+ * network. Public ledger state and private state only live in memory.
+ * Speaks the protocol of command-protocol.ts; the commands are
+ *
+ *   {"id": 1, "command": "deploy"}
+ *   {"id": 2, "command": "call", "circuit": "increment", "args": []}
+ *   {"id": 3, "command": "queryLedger"}
+ *   {"id": 4, "command": "queryPrivateState"}
+ *   {"id": 5, "command": "exit"}
+ *
+ * `deploy` runs the contract's constructor and starts over with fresh
+ * state. Values use the JSON form of value-codec.
+ */
+
+export interface SimulatorCommand extends ProtocolCommand {
+  circuit?: string;
+  args?: unknown[] | Record<string, unknown>;
+}
+
+type CircuitFunction = (
+  context: CircuitContext<BBoardPrivateState>,
+  ...args: unknown[]
+) => { result: unknown; context: CircuitContext<BBoardPrivateState> };
+
+export class ContractSimulator {
+  private readonly contract = new Contract<BBoardPrivateState>(witnesses);
+  private context: CircuitContext<BBoardPrivateState> | null = null;
+  readonly contractAddress = sampleContractAddress();
+
+  constructor(private readonly logger: Logger) {}
+
+  handle(command: SimulatorCommand): unknown {
+    switch (command.command) {
+      case 'deploy':
+        return this.deploy();
+      case 'call':
+        return this.call(command);
+      case 'queryLedger':
+        return { ledgerState: encodeValue(this.ledgerState()) };
+      case 'queryPrivateState':
+        return { privateState: encodeValue(this.currentContext().currentPrivateState) };
+      default:
+        throw new Error(`Unknown command: ${command.command}`);
+    }
+  }
+
+  private deploy() {
+    const { currentPrivateState, currentContractState, currentZswapLocalState } = this.contract.initialState(
+      constructorContext(createBBoardPrivateState(utils.randomBytes(32)), toHex(utils.randomBytes(32))),
+    );
+    this.context = {
+      currentPrivateState,
+      currentZswapLocalState,
+      originalState: currentContractState,
+      transactionContext: new QueryContext(currentContractState.data, this.contractAddress),
+    };
+    this.logger.info(`Simulated deployment of the contract at ${this.contractAddress}`);
+
+    return this.snapshot();
+  }
+
+  private call({ circuit: circuitName, args }: SimulatorCommand) {
+    if (!circuitName) {
+      throw new Error('call needs a circuit');
+    }
+    const context = this.currentContext();
+
+    const circuit = new ContractAnalyzer().readCircuitInfo(circuitName);
+    const circuitFunction = (this.contract.circuits as Record<string, CircuitFunction | undefined>)[circuitName];
+    if (circuit === null || circuitFunction === undefined) {
+      throw new Error(`Circuit ${circuitName} not found in the compiled contract`);
+    }
+
+    // A failing assertion throws here and leaves the state as it was
+    const { result, context: nextContext } = circuitFunction(context, ...decodeArguments(circuit.arguments, args));
+    this.context = nextContext;
+    this.logger.info(`Simulated call of ${circuitName}`);
+
+    return {
+      circuit: circuitName,
+      returnValue: encodeValue(result),
+      ...this.snapshot(),
+    };
+  }
+
+  private currentContext() {
+    if (this.context === null) {
+      throw new Error('The contract is not deployed yet, run deploy first');
+    }
+    return this.context;
+  }
+
+  private ledgerState() {
+    return ledger(this.currentContext().transactionContext.state);
+  }
+
+  private snapshot() {
+    return {
+      contractAddress: this.contractAddress,
+      ledgerState: encodeValue(this.ledgerState()),
+      privateState: encodeValue(this.currentContext().currentPrivateState),
+    };
+  }
+}
+
+/* **********************************************************************
+ * runSimulator: the entry point of the simulator, serves commands until
+ * `exit` or the end of stdin.
+ */
+
+export const runSimulator = async (logger: Logger): Promise<void> => {
+  emit('ready');
+  await serveCommands(new ContractSimulator(logger), logger);
+  emit('exit');
+};
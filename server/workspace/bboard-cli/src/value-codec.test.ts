@@ -0,0 +1,163 @@
+import { MAX_FIELD } from '@midnight-ntwrk/compact-runtime';
+import { describe, expect, it } from 'vitest';
+import { type CompactType } from './compact-types.js';
+import {
+  decodeArguments,
+  decodeCompactValue,
+  decodeValue,
+  defaultValue,
+  encodeValue,
+  inputExample,
+  parseInput,
+} from './value-codec.js';
+
+const uint8: CompactType = { kind: 'uint', maxval: 255n };
+const bytes2: CompactType = { kind: 'bytes', length: 2 };
+const color: CompactType = { kind: 'enum', name: 'Color', members: ['red', 'green', 'blue'] };
+const point: CompactType = {
+  kind: 'struct',
+  name: 'Point',
+  fields: [
+    { name: 'x', type: uint8 },
+    { name: 'y', type: uint8 },
+  ],
+};
+const maybeUint: CompactType = { kind: 'maybe', value: uint8 };
+const eitherUintBool: CompactType = { kind: 'either', left: uint8, right: { kind: 'boolean' } };
+
+describe('defaultValue', () => {
+  it('starts every field and element at its zero value', () => {
+    expect(defaultValue({ kind: 'vector', length: 2, element: point })).toEqual([
+      { x: 0n, y: 0n },
+      { x: 0n, y: 0n },
+    ]);
+    expect(defaultValue(bytes2)).toEqual(new Uint8Array(2));
+    expect(defaultValue(color)).toBe(0);
+    expect(defaultValue(maybeUint)).toEqual({ is_some: false, value: 0n });
+    expect(defaultValue(eitherUintBool)).toEqual({ is_left: false, left: 0n, right: false });
+  });
+});
+
+describe('decodeCompactValue', () => {
+  it('reads unsigned integers from numbers and decimal strings', () => {
+    expect(decodeCompactValue(uint8, 7)).toBe(7n);
+    expect(decodeCompactValue(uint8, ' 255 ')).toBe(255n);
+  });
+
+  it('rejects integers out of range or not integers', () => {
+    expect(() => decodeCompactValue(uint8, 256, 'amount')).toThrow('amount must be between 0 and 255, got 256');
+    expect(() => decodeCompactValue(uint8, -1)).toThrow('as an unsigned integer');
+    expect(() => decodeCompactValue(uint8, 1.5)).toThrow('as an unsigned integer');
+    expect(() => decodeCompactValue({ kind: 'field' }, (MAX_FIELD + 1n).toString())).toThrow(
+      'the largest field element',
+    );
+  });
+
+  it('reads bytes from hex strings of the right length', () => {
+    expect(Array.from(decodeCompactValue(bytes2, '0x0aff') as Uint8Array)).toEqual([10, 255]);
+    expect(() => decodeCompactValue(bytes2, 'abc')).toThrow('as a hex string');
+    expect(() => decodeCompactValue(bytes2, '00', 'key')).toThrow('key must be 2 bytes (4 hex digits), got 1');
+  });
+
+  it('reads enum members by name or index', () => {
+    expect(decodeCompactValue(color, 'blue')).toBe(2);
+    expect(decodeCompactValue(color, 1)).toBe(1);
+    expect(() => decodeCompactValue(color, 'purple')).toThrow('one of red, green, blue');
+    expect(() => decodeCompactValue(color, 3)).toThrow('one of red, green, blue');
+  });
+
+  it('reads structs, vectors and tuples and names the failing part', () => {
+    expect(decodeCompactValue(point, { x: '1', y: 2 })).toEqual({ x: 1n, y: 2n });
+    expect(() => decodeCompactValue(point, { x: 1, y: 300 }, 'p')).toThrow('p.y must be between 0 and 255');
+    expect(() => decodeCompactValue({ kind: 'vector', length: 2, element: uint8 }, [1])).toThrow(
+      'an array of 2 elements',
+    );
+    expect(() => decodeCompactValue({ kind: 'tuple', elements: [uint8, bytes2] }, [1, 'zz'], 't')).toThrow(
+      'Expected t[1] as a hex string',
+    );
+  });
+
+  it('reads a Maybe from null, its value or its struct form', () => {
+    expect(decodeCompactValue(maybeUint, null)).toEqual({ is_some: false, value: 0n });
+    expect(decodeCompactValue(maybeUint, 5)).toEqual({ is_some: true, value: 5n });
+    expect(decodeCompactValue(maybeUint, { is_some: true, value: 6 })).toEqual({ is_some: true, value: 6n });
+    expect(decodeCompactValue(maybeUint, { is_some: false, value: 6 })).toEqual({ is_some: false, value: 0n });
+  });
+
+  it('reads an Either from its left or right side', () => {
+    expect(decodeCompactValue(eitherUintBool, { left: 3 })).toEqual({ is_left: true, left: 3n, right: false });
+    expect(decodeCompactValue(eitherUintBool, { right: 'true' })).toEqual({ is_left: false, left: 0n, right: true });
+    expect(() => decodeCompactValue(eitherUintBool, 3)).toThrow('{ "left": ... } or { "right": ... }');
+  });
+});
+
+describe('decodeValue', () => {
+  it('decodes values of contract-info.json types', () => {
+    expect(decodeValue({ 'type-name': 'Uint', maxval: 65535 }, '65535')).toBe(65535n);
+    expect(decodeValue({ 'type-name': 'Boolean' }, 'false')).toBe(false);
+  });
+});
+
+describe('decodeArguments', () => {
+  const parameters = [
+    { name: 'amount', type: { 'type-name': 'Uint', maxval: 255 } },
+    { name: 'flag', type: { 'type-name': 'Boolean' } },
+  ];
+
+  it('takes arguments in parameter order or by name', () => {
+    expect(decodeArguments(parameters, [1, true])).toEqual([1n, true]);
+    expect(decodeArguments(parameters, { flag: 'true', amount: '2' })).toEqual([2n, true]);
+  });
+
+  it('rejects a wrong number of arguments and names the failing parameter', () => {
+    expect(() => decodeArguments(parameters, [1])).toThrow('Expected 2 argument(s), got 1');
+    expect(() => decodeArguments(parameters, { amount: 1000, flag: true })).toThrow('amount must be between 0 and 255');
+  });
+});
+
+describe('parseInput', () => {
+  it('reads plain text for simple types', () => {
+    expect(parseInput(uint8, ' 42 ')).toBe(42n);
+    expect(parseInput({ kind: 'boolean' }, 'TRUE')).toBe(true);
+    expect(parseInput(color, 'green')).toBe(1);
+    expect(parseInput({ kind: 'opaque', tsType: 'string' }, ' hello ')).toBe(' hello ');
+  });
+
+  it('reads an empty line or none as an empty Maybe', () => {
+    expect(parseInput(maybeUint, '')).toEqual({ is_some: false, value: 0n });
+    expect(parseInput(maybeUint, 'None')).toEqual({ is_some: false, value: 0n });
+    expect(parseInput(maybeUint, '9')).toEqual({ is_some: true, value: 9n });
+  });
+
+  it('reads JSON for structured types and shows an example when it is not', () => {
+    expect(parseInput(point, '{"x": 1, "y": "2"}')).toEqual({ x: 1n, y: 2n });
+    expect(() => parseInput(point, '{x: 1}', 'p')).toThrow('Expected p as JSON, e.g. {"x":"0","y":"0"}');
+  });
+
+  it('refuses ledger state', () => {
+    expect(() => parseInput({ kind: 'ledger', name: 'Counter', arguments: [] }, '1', 'count')).toThrow(
+      'count is ledger state and cannot be entered',
+    );
+  });
+});
+
+describe('inputExample', () => {
+  it('describes the expected input', () => {
+    expect(inputExample(uint8)).toBe('0..255');
+    expect(inputExample(color)).toBe('red | green | blue');
+    expect(inputExample(maybeUint)).toBe('0..255, or empty for none');
+  });
+});
+
+describe('encodeValue', () => {
+  it('turns runtime values into plain JSON', () => {
+    expect(
+      encodeValue({
+        count: 3n,
+        key: new Uint8Array([1, 2]),
+        items: new Set([1n]),
+        entries: new Map([['a', 2n]]),
+      }),
+    ).toEqual({ count: '3', key: '0102', items: ['1'], entries: [['a', '2']] });
+  });
+});
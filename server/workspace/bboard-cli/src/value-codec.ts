@@ -0,0 +1,271 @@
+import { MAX_FIELD } from '@midnight-ntwrk/compact-runtime';
+import { fromHex, toHex } from '@midnight-ntwrk/midnight-js-utils';
+import { type CompactType, fromContractInfoType } from './compact-types.js';
+
+/**
+ * A type as described in the compiler's contract-info.json, e.g.
+ * `{ "type-name": "Uint", "maxval": 255 }` or `{ "type-name": "Bytes", "length": 32 }`
+ */
+export type ContractInfoType = {
+  'type-name': string;
+  maxval?: number | string;
+  length?: number;
+  name?: string;
+  tsType?: string;
+  // The element type of a Vector, the TypeScript type of an Opaque
+  type?: ContractInfoType | string;
+  types?: ContractInfoType[];
+  // The members of an Enum, the fields of a Struct
+  elements?: Array<string | ContractInfoField>;
+};
+
+export type ContractInfoField = { name: string; type: ContractInfoType };
+
+const describe = (value: unknown) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+const toBigInt = (value: unknown, what: string): bigint => {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (
+    (typeof value === 'number' && Number.isInteger(value) && value >= 0) ||
+    (typeof value === 'string' && /^\d+$/.test(value.trim()))
+  ) {
+    return BigInt(typeof value === 'string' ? value.trim() : value);
+  }
+  throw new Error(`Expected ${what} as an unsigned integer, got ${describe(value)}`);
+};
+
+/**
+ * The value a type starts out with in Compact: zero, false, zero bytes, the
+ * first enum member, and so on for every field and element
+ */
+export const defaultValue = (type: CompactType): unknown => {
+  switch (type.kind) {
+    case 'uint':
+    case 'field':
+      return 0n;
+    case 'boolean':
+      return false;
+    case 'bytes':
+      return new Uint8Array(type.length);
+    case 'opaque':
+      return type.tsType === 'string' ? '' : new Uint8Array(0);
+    case 'vector':
+      return Array.from({ length: type.length }, () => defaultValue(type.element));
+    case 'tuple':
+      return type.elements.map(defaultValue);
+    case 'enum':
+      return 0;
+    case 'struct':
+      return Object.fromEntries(type.fields.map((field) => [field.name, defaultValue(field.type)]));
+    case 'maybe':
+      return { is_some: false, value: defaultValue(type.value) };
+    case 'either':
+      return { is_left: false, left: defaultValue(type.left), right: defaultValue(type.right) };
+    default:
+      return undefined;
+  }
+};
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Convert a JSON value (as sent by the IDE or a script) into the runtime
+ * value expected by the contract for the given type: integers as bigints,
+ * bytes from hex strings, structs from objects and enums from a member name
+ * or index. A Maybe is null for none or its value, an Either is
+ * { "left": ... } or { "right": ... }; both also accept their struct form.
+ */
+export const decodeCompactValue = (type: CompactType, value: unknown, what = 'value'): unknown => {
+  switch (type.kind) {
+    case 'uint': {
+      const result = toBigInt(value, what);
+      if (result > type.maxval) {
+        throw new Error(`${what} must be between 0 and ${type.maxval}, got ${result}`);
+      }
+      return result;
+    }
+    case 'field': {
+      const result = toBigInt(value, what);
+      if (result > MAX_FIELD) {
+        throw new Error(`${what} must be at most ${MAX_FIELD}, the largest field element`);
+      }
+      return result;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (value === 'true' || value === 'false') {
+        return value === 'true';
+      }
+      throw new Error(`Expected ${what} as true or false, got ${describe(value)}`);
+    case 'bytes': {
+      if (typeof value !== 'string' || !/^(0x)?([0-9a-fA-F]{2})*$/.test(value)) {
+        throw new Error(`Expected ${what} as a hex string, got ${describe(value)}`);
+      }
+      const bytes = fromHex(value.replace(/^0x/, ''));
+      if (bytes.length !== type.length) {
+        throw new Error(`${what} must be ${type.length} bytes (${type.length * 2} hex digits), got ${bytes.length}`);
+      }
+      return bytes;
+    }
+    case 'vector':
+      if (!Array.isArray(value) || value.length !== type.length) {
+        throw new Error(`Expected ${what} as an array of ${type.length} elements`);
+      }
+      return value.map((element, index) => decodeCompactValue(type.element, element, `${what}[${index}]`));
+    case 'tuple':
+      if (!Array.isArray(value) || value.length !== type.elements.length) {
+        throw new Error(`Expected ${what} as an array of ${type.elements.length} elements`);
+      }
+      return value.map((element, index) => decodeCompactValue(type.elements[index], element, `${what}[${index}]`));
+    case 'enum': {
+      const index = typeof value === 'string' && !/^\d+$/.test(value) ? type.members.indexOf(value) : Number(value);
+      if (!Number.isInteger(index) || index < 0 || index >= type.members.length) {
+        throw new Error(`Expected ${what} as one of ${type.members.join(', ')}, got ${describe(value)}`);
+      }
+      return index;
+    }
+    case 'struct': {
+      if (!isObject(value)) {
+        throw new Error(`Expected ${what} as an object with fields of ${type.name}`);
+      }
+      return Object.fromEntries(
+        type.fields.map((field) => [
+          field.name,
+          decodeCompactValue(field.type, value[field.name], `${what}.${field.name}`),
+        ]),
+      );
+    }
+    case 'maybe': {
+      const isStruct = isObject(value) && 'is_some' in value;
+      if (value === null || value === undefined || (isStruct && value.is_some === false)) {
+        return defaultValue(type);
+      }
+      return { is_some: true, value: decodeCompactValue(type.value, isStruct ? value.value : value, what) };
+    }
+    case 'either': {
+      if (!isObject(value)) {
+        throw new Error(`Expected ${what} as { "left": ... } or { "right": ... }`);
+      }
+      const isLeft = 'is_left' in value ? value.is_left === true : 'left' in value;
+      const either = { is_left: isLeft, left: defaultValue(type.left), right: defaultValue(type.right) };
+      if (isLeft) {
+        either.left = decodeCompactValue(type.left, value.left, `${what}.left`);
+      } else {
+        either.right = decodeCompactValue(type.right, value.right, `${what}.right`);
+      }
+      return either;
+    }
+    default:
+      return value;
+  }
+};
+
+/**
+ * Convert a JSON value into the runtime value of a contract-info.json type
+ */
+export const decodeValue = (type: ContractInfoType, value: unknown, what = 'value'): unknown =>
+  decodeCompactValue(fromContractInfoType(type), value, what);
+
+/**
+ * Parse what a user typed for a value of the given type: plain text for
+ * numbers, booleans, bytes, enum members and strings, an empty line or
+ * `none` for an empty Maybe, and JSON for structs, tuples and vectors
+ */
+export const parseInput = (type: CompactType, input: string, what = 'value'): unknown => {
+  const text = input.trim();
+  switch (type.kind) {
+    case 'uint':
+    case 'field':
+    case 'bytes':
+    case 'enum':
+      return decodeCompactValue(type, text, what);
+    case 'boolean':
+      return decodeCompactValue(type, text.toLowerCase(), what);
+    case 'opaque':
+      return type.tsType === 'string' ? input : decodeCompactValue(type, text, what);
+    case 'maybe':
+      if (text === '' || text.toLowerCase() === 'none') {
+        return defaultValue(type);
+      }
+      return { is_some: true, value: parseInput(type.value, input, what) };
+    case 'ledger':
+      throw new Error(`${what} is ledger state and cannot be entered`);
+    default: {
+      let value: unknown;
+      try {
+        value = JSON.parse(text);
+      } catch {
+        throw new Error(`Expected ${what} as JSON, e.g. ${inputExample(type)}`);
+      }
+      return decodeCompactValue(type, value, what);
+    }
+  }
+};
+
+/**
+ * A short example of the input `parseInput` expects for the type
+ */
+export const inputExample = (type: CompactType): string => {
+  switch (type.kind) {
+    case 'uint':
+      return `0..${type.maxval}`;
+    case 'field':
+      return 'an integer';
+    case 'boolean':
+      return 'true or false';
+    case 'bytes':
+      return `${type.length} bytes as hex`;
+    case 'opaque':
+      return type.tsType === 'string' ? 'text' : 'hex';
+    case 'enum':
+      return type.members.join(' | ');
+    case 'maybe':
+      return `${inputExample(type.value)}, or empty for none`;
+    default:
+      return JSON.stringify(encodeValue(defaultValue(type)));
+  }
+};
+
+/**
+ * Decode the arguments of a circuit call, given either as an array in
+ * parameter order or as an object keyed by parameter name
+ */
+export const decodeArguments = (
+  parameters: Array<{ name: string; type: ContractInfoType }>,
+  args: unknown[] | Record<string, unknown> = [],
+): unknown[] => {
+  const values = Array.isArray(args) ? args : parameters.map((parameter) => args[parameter.name]);
+  if (values.length !== parameters.length) {
+    throw new Error(`Expected ${parameters.length} argument(s), got ${values.length}`);
+  }
+  return parameters.map((parameter, index) => decodeValue(parameter.type, values[index], parameter.name));
+};
+
+/**
+ * Convert a runtime value (circuit result or ledger field) into plain JSON:
+ * bigints become decimal strings, bytes become hex, and ledger collections
+ * such as Map and Set are listed as arrays.
+ */
+export const encodeValue = (value: unknown): unknown => {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value instanceof Uint8Array) {
+    return toHex(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    if (Symbol.iterator in value) {
+      return Array.from(value as Iterable<unknown>, encodeValue);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, encodeValue(field)]));
+  }
+  return value;
+};
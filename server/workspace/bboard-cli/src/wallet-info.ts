@@ -0,0 +1,41 @@
+import { type Logger } from 'pino';
+import { nativeToken } from '@midnight-ntwrk/ledger';
+import { getNetworkId } from '@midnight-ntwrk/midnight-js-network-id';
+import { type Config } from './config.js';
+import { write } from './command-protocol.js';
+import { startWallet, waitForSync } from './index.js';
+
+/* **********************************************************************
+ * runWalletInfo: sync the wallet of WALLET_SEED and report its address
+ * and balance as one protocol result, e.g.
+ *
+ *   {"type": "result", "id": "walletInfo", "command": "walletInfo", "success": true,
+ *    "result": {"address": "...", "balance": "1000000", "network": "TestNet"}}
+ *
+ * Unlike building the wallet for deploying, this does not wait for funds,
+ * an empty wallet is reported with a balance of 0. The balance is a string
+ * as JSON has no bigints.
+ */
+
+export const runWalletInfo = async (config: Config, logger: Logger): Promise<void> => {
+  const seed = process.env.WALLET_SEED;
+  if (!seed) {
+    throw new Error('No wallet: set WALLET_SEED');
+  }
+
+  const wallet = await startWallet(config, seed);
+  try {
+    const state = await waitForSync(wallet, logger);
+    const balance = state.balances[nativeToken()] ?? 0n;
+    logger.info(`Wallet ${state.address} holds ${balance}`);
+    write({
+      type: 'result',
+      id: 'walletInfo',
+      command: 'walletInfo',
+      success: true,
+      result: { address: state.address, balance: balance.toString(), network: String(getNetworkId()) },
+    });
+  } finally {
+    await wallet.close();
+  }
+};
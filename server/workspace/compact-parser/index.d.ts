@@ -0,0 +1,206 @@
+export interface Position {
+  line: number;
+  column: number;
+  offset: number;
+}
+
+export interface Range {
+  start: Position;
+  end: Position;
+}
+
+export interface ParseError {
+  message: string;
+  range: Range;
+  file?: string;
+}
+
+export declare class CompactSyntaxError extends Error {
+  range: Range;
+}
+
+export interface Token {
+  type: 'identifier' | 'number' | 'string' | 'punctuation' | 'eof';
+  value: string;
+  text: string;
+  start: Position;
+  end: Position;
+}
+
+export type TypeNode =
+  | { kind: 'reference'; name: string; arguments: TypeArgument[]; range: Range }
+  | { kind: 'tuple'; elements: TypeNode[]; range: Range };
+
+export type TypeArgument =
+  | TypeNode
+  | { kind: 'number'; value: string; range: Range }
+  | { kind: 'range'; from: string; to: string; range: Range }
+  | { kind: 'string'; value: string; range: Range };
+
+export interface TypeParameter {
+  name: string;
+  size: boolean;
+}
+
+export interface Parameter {
+  name: string;
+  type: TypeNode;
+  range: Range;
+}
+
+interface NamedDeclaration {
+  name: string;
+  exported: boolean;
+  range: Range;
+  nameRange: Range;
+  /** Set on the items of parseProject, the file the declaration is in */
+  file?: string;
+}
+
+export interface PragmaDeclaration {
+  kind: 'pragma';
+  name: string;
+  value: string;
+  range: Range;
+  file?: string;
+}
+
+export interface ImportDeclaration {
+  kind: 'import';
+  name: string;
+  isPath: boolean;
+  typeArguments: TypeArgument[];
+  prefix: string | null;
+  range: Range;
+  file?: string;
+}
+
+export interface IncludeDeclaration {
+  kind: 'include';
+  path: string;
+  range: Range;
+  file?: string;
+}
+
+export interface ExportList {
+  kind: 'export';
+  names: string[];
+  range: Range;
+  file?: string;
+}
+
+export interface ModuleDeclaration extends NamedDeclaration {
+  kind: 'module';
+  typeParameters: TypeParameter[];
+  items: Declaration[];
+}
+
+export interface EnumDeclaration extends NamedDeclaration {
+  kind: 'enum';
+  members: Array<{ name: string; range: Range }>;
+}
+
+export interface StructDeclaration extends NamedDeclaration {
+  kind: 'struct';
+  typeParameters: TypeParameter[];
+  fields: Parameter[];
+}
+
+export interface TypeDeclaration extends NamedDeclaration {
+  kind: 'type';
+  nominal: boolean;
+  typeParameters: TypeParameter[];
+  type: TypeNode;
+}
+
+export interface LedgerDeclaration extends NamedDeclaration {
+  kind: 'ledger';
+  sealed: boolean;
+  type: TypeNode;
+}
+
+export interface WitnessDeclaration extends NamedDeclaration {
+  kind: 'witness';
+  typeParameters: TypeParameter[];
+  parameters: Parameter[];
+  resultType: TypeNode;
+}
+
+export interface CircuitDeclaration extends NamedDeclaration {
+  kind: 'circuit';
+  pure: boolean;
+  typeParameters: TypeParameter[];
+  parameters: Parameter[];
+  resultType: TypeNode;
+  bodyRange: Range;
+}
+
+export interface ConstructorDeclaration {
+  kind: 'constructor';
+  parameters: Parameter[];
+  range: Range;
+  bodyRange: Range;
+  file?: string;
+}
+
+export interface ContractDeclaration extends NamedDeclaration {
+  kind: 'contract';
+  circuits: Array<{ name: string; nameRange: Range; pure: boolean; parameters: Parameter[]; resultType: TypeNode; range: Range }>;
+}
+
+export type Declaration =
+  | PragmaDeclaration
+  | ImportDeclaration
+  | IncludeDeclaration
+  | ExportList
+  | ModuleDeclaration
+  | EnumDeclaration
+  | StructDeclaration
+  | TypeDeclaration
+  | LedgerDeclaration
+  | WitnessDeclaration
+  | CircuitDeclaration
+  | ConstructorDeclaration
+  | ContractDeclaration;
+
+export interface Program {
+  kind: 'program';
+  file: string | null;
+  items: Declaration[];
+  errors: ParseError[];
+}
+
+export interface ParsedProject {
+  entry: string;
+  programs: { [file: string]: Program };
+  items: Declaration[];
+  errors: ParseError[];
+}
+
+export declare function tokenize(source: string): Token[];
+
+export declare function parseCompact(source: string, options?: { file?: string | null }): Program;
+
+export declare function parseType(text: string): TypeNode;
+
+export declare function formatType(type: TypeArgument): string;
+
+export declare function resolveInclude(fromFile: string, includePath: string): string;
+
+export declare function parseProject(files: { [file: string]: string }, entry: string): ParsedProject;
+
+export declare function findDeclarations<K extends Declaration['kind']>(
+  items: Declaration[],
+  kinds: K | K[],
+): Array<Extract<Declaration, { kind: K }>>;
+
+export interface OutlineEntry {
+  kind: Declaration['kind'];
+  name: string;
+  detail: string;
+  range: Range;
+  selectionRange: Range;
+  children: OutlineEntry[];
+}
+
+export declare function outline(items: Declaration[]): OutlineEntry[];
@@ -0,0 +1,780 @@
+/**
+ * A parser for the declarations of Compact source: pragmas, imports and
+ * includes, modules, enums, structs, type aliases, ledger fields, witnesses,
+ * circuits and the constructor. Circuit bodies are skipped, only signatures are kept.
+ *
+ * Every node has a source range, { start, end } positions with a 1-based
+ * line and column and a 0-based offset. Syntax errors don't stop parsing:
+ * they are collected in `errors` and the parser resumes at the next
+ * declaration.
+ *
+ * Used by the IDE server, the CLI's contract analyzer and, through the
+ * server, the IDE's outline. See index.d.ts for the node shapes.
+ */
+
+const path = require('path');
+
+// Longest first, so that `..` is not read as two dots. There is no `>>`:
+// it would break nested generics such as Maybe<Bytes<32>>.
+const PUNCTUATION = ['...', '..', '=>', '==', '!=', '<=', '>=', '&&', '||', '+=', '-=', '::'];
+
+const MODIFIERS = new Set(['export', 'sealed', 'pure', 'new']);
+
+class CompactSyntaxError extends Error {
+  constructor(message, range) {
+    super(message);
+    this.range = range;
+  }
+}
+
+/**
+ * Split source into identifier, number, string and punctuation tokens,
+ * dropping whitespace and comments
+ */
+function tokenize(source) {
+  const tokens = [];
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+
+  const position = () => ({ line, column, offset });
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (source[offset] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      offset++;
+    }
+  };
+
+  while (offset < source.length) {
+    const rest = source.slice(offset, offset + 3);
+    const char = source[offset];
+
+    if (/\s/.test(char)) {
+      advance(1);
+    } else if (rest.startsWith('//')) {
+      const end = source.indexOf('\n', offset);
+      advance((end === -1 ? source.length : end) - offset);
+    } else if (rest.startsWith('/*')) {
+      const end = source.indexOf('*/', offset + 2);
+      advance((end === -1 ? source.length : end + 2) - offset);
+    } else {
+      const start = position();
+      let type;
+      let length;
+
+      const word = /^[A-Za-z_$][\w$]*/.exec(source.slice(offset, offset + 256));
+      const number = /^(0x[0-9a-fA-F]+|\d+)/.exec(source.slice(offset, offset + 256));
+      if (word) {
+        type = 'identifier';
+        length = word[0].length;
+      } else if (number) {
+        type = 'number';
+        length = number[0].length;
+      } else if (char === '"' || char === "'") {
+        type = 'string';
+        length = 1;
+        while (offset + length < source.length && source[offset + length] !== char && source[offset + length] !== '\n') {
+          length += source[offset + length] === '\\' ? 2 : 1;
+        }
+        length = Math.min(length + 1, source.length - offset);
+      } else {
+        type = 'punctuation';
+        length = (PUNCTUATION.find(symbol => source.startsWith(symbol, offset)) || char).length;
+      }
+
+      const text = source.slice(offset, offset + length);
+      advance(length);
+      tokens.push({
+        type,
+        value: type === 'string' ? text.slice(1, text.endsWith(char) && length > 1 ? -1 : undefined).replace(/\\(.)/g, '$1') : text,
+        text,
+        start,
+        end: position()
+      });
+    }
+  }
+
+  tokens.push({ type: 'eof', value: '', text: '', start: position(), end: position() });
+  return tokens;
+}
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.errors = [];
+  }
+
+  get token() {
+    return this.tokens[this.index];
+  }
+
+  is(value, token = this.token) {
+    return token.type !== 'string' && token.type !== 'eof' && token.value === value;
+  }
+
+  next() {
+    const token = this.token;
+    if (token.type !== 'eof') {
+      this.index++;
+    }
+    return token;
+  }
+
+  accept(value) {
+    return this.is(value) ? this.next() : null;
+  }
+
+  expect(value) {
+    if (!this.is(value)) {
+      throw this.unexpected(`"${value}"`);
+    }
+    return this.next();
+  }
+
+  expectIdentifier(what = 'a name') {
+    if (this.token.type !== 'identifier') {
+      throw this.unexpected(what);
+    }
+    return this.next();
+  }
+
+  unexpected(expected) {
+    const found = this.token.type === 'eof' ? 'the end of the file' : `"${this.token.text}"`;
+    return new CompactSyntaxError(`Expected ${expected} but found ${found}`, { start: this.token.start, end: this.token.end });
+  }
+
+  rangeFrom(start) {
+    const last = this.tokens[Math.max(this.index - 1, 0)];
+    return { start, end: last.end };
+  }
+
+  // Skip a balanced (...), [...] or {...} group starting at the current token
+  skipGroup() {
+    const closing = { '(': ')', '[': ']', '{': '}' };
+    const stack = [closing[this.next().value]];
+    while (stack.length > 0) {
+      const token = this.next();
+      if (token.type === 'eof') {
+        throw new CompactSyntaxError(`Missing "${stack[stack.length - 1]}"`, { start: token.start, end: token.end });
+      }
+      if (token.type === 'punctuation' && closing[token.value]) {
+        stack.push(closing[token.value]);
+      } else if (token.type === 'punctuation' && token.value === stack[stack.length - 1]) {
+        stack.pop();
+      }
+    }
+  }
+
+  // After a syntax error, continue at the next `;` or past the next block
+  recover() {
+    while (this.token.type !== 'eof') {
+      if (this.is(';')) {
+        this.next();
+        return;
+      }
+      if (this.is('{')) {
+        try {
+          this.skipGroup();
+        } catch (error) {
+          return;
+        }
+        return;
+      }
+      if (this.is('}')) {
+        return;
+      }
+      this.next();
+    }
+  }
+
+  parseItems(closing = null) {
+    const items = [];
+    while (this.token.type !== 'eof' && !(closing && this.is(closing))) {
+      const start = this.index;
+      try {
+        const item = this.parseItem();
+        if (item) {
+          items.push(item);
+        }
+      } catch (error) {
+        if (!(error instanceof CompactSyntaxError)) {
+          throw error;
+        }
+        this.errors.push({ message: error.message, range: error.range });
+        if (this.index === start) {
+          this.next();
+        }
+        this.recover();
+      }
+    }
+    return items;
+  }
+
+  parseItem() {
+    const start = this.token.start;
+    const modifiers = new Set();
+    while (this.token.type === 'identifier' && MODIFIERS.has(this.token.value)) {
+      modifiers.add(this.next().value);
+    }
+
+    const keyword = this.token;
+    if (this.accept(';')) {
+      return null;
+    }
+    if (keyword.type !== 'identifier' && !(modifiers.has('export') && this.is('{'))) {
+      throw this.unexpected('a declaration');
+    }
+
+    if (modifiers.has('export') && this.is('{')) {
+      return this.parseExportList(start);
+    }
+
+    switch (keyword.value) {
+      case 'pragma':
+        return this.parsePragma(start);
+      case 'import':
+        return this.parseImport(start);
+      case 'include':
+        return this.parseInclude(start);
+      case 'module':
+        return this.parseModule(start, modifiers);
+      case 'enum':
+        return this.parseEnum(start, modifiers);
+      case 'struct':
+        return this.parseStruct(start, modifiers);
+      case 'ledger':
+        return this.parseLedger(start, modifiers);
+      case 'witness':
+        return this.parseWitness(start, modifiers);
+      case 'circuit':
+        return this.parseCircuit(start, modifiers);
+      case 'constructor':
+        return this.parseConstructor(start);
+      case 'contract':
+        return this.parseContract(start, modifiers);
+      case 'type':
+        return this.parseTypeAlias(start, modifiers);
+      default:
+        throw this.unexpected('a declaration');
+    }
+  }
+
+  // The raw source up to the next `;`, e.g. the constraint of a pragma
+  sourceUntilSemicolon() {
+    const first = this.token;
+    while (!this.is(';') && this.token.type !== 'eof') {
+      this.next();
+    }
+    const last = this.tokens[this.index - 1];
+    const text = last && last.end.offset > first.start.offset
+      ? this.source.slice(first.start.offset, last.end.offset).replace(/\s+/g, ' ').trim()
+      : '';
+    this.expect(';');
+    return text;
+  }
+
+  parsePragma(start) {
+    this.expect('pragma');
+    const name = this.expectIdentifier('a pragma name').value;
+    const value = this.sourceUntilSemicolon();
+    return { kind: 'pragma', name, value, range: this.rangeFrom(start) };
+  }
+
+  parseImport(start) {
+    this.expect('import');
+    const target = this.next();
+    if (target.type !== 'identifier' && target.type !== 'string') {
+      this.index--;
+      throw this.unexpected('a module name or path');
+    }
+    const typeArguments = this.is('<') ? this.parseTypeArguments() : [];
+    let prefix = null;
+    if (this.accept('prefix')) {
+      prefix = this.expectIdentifier('a prefix').value;
+    }
+    this.expect(';');
+    return {
+      kind: 'import',
+      name: target.value,
+      isPath: target.type === 'string',
+      typeArguments,
+      prefix,
+      range: this.rangeFrom(start)
+    };
+  }
+
+  parseInclude(start) {
+    this.expect('include');
+    if (this.token.type !== 'string') {
+      throw this.unexpected('a file path in quotes');
+    }
+    const includePath = this.next().value;
+    this.expect(';');
+    return { kind: 'include', path: includePath, range: this.rangeFrom(start) };
+  }
+
+  parseExportList(start) {
+    this.expect('{');
+    const names = [];
+    while (!this.is('}')) {
+      names.push(this.expectIdentifier().value);
+      if (!this.accept(',')) {
+        break;
+      }
+    }
+    this.expect('}');
+    this.accept(';');
+    return { kind: 'export', names, range: this.rangeFrom(start) };
+  }
+
+  parseName() {
+    const token = this.expectIdentifier();
+    return { name: token.value, nameRange: { start: token.start, end: token.end } };
+  }
+
+  parseModule(start, modifiers) {
+    this.expect('module');
+    const { name, nameRange } = this.parseName();
+    const typeParameters = this.parseTypeParameters();
+    this.expect('{');
+    const items = this.parseItems('}');
+    this.expect('}');
+    return { kind: 'module', name, exported: modifiers.has('export'), typeParameters, items, range: this.rangeFrom(start), nameRange };
+  }
+
+  parseEnum(start, modifiers) {
+    this.expect('enum');
+    const { name, nameRange } = this.parseName();
+    this.expect('{');
+    const members = [];
+    while (!this.is('}')) {
+      const member = this.expectIdentifier('an enum member');
+      members.push({ name: member.value, range: { start: member.start, end: member.end } });
+      if (!this.accept(',')) {
+        break;
+      }
+    }
+    this.expect('}');
+    this.accept(';');
+    return { kind: 'enum', name, exported: modifiers.has('export'), members, range: this.rangeFrom(start), nameRange };
+  }
+
+  parseStruct(start, modifiers) {
+    this.expect('struct');
+    const { name, nameRange } = this.parseName();
+    const typeParameters = this.parseTypeParameters();
+    this.expect('{');
+    const fields = [];
+    while (!this.is('}')) {
+      const fieldStart = this.token.start;
+      const fieldName = this.expectIdentifier('a field name').value;
+      this.expect(':');
+      const type = this.parseType();
+      fields.push({ name: fieldName, type, range: this.rangeFrom(fieldStart) });
+      if (!this.accept(',') && !this.accept(';')) {
+        break;
+      }
+    }
+    this.expect('}');
+    this.accept(';');
+    return { kind: 'struct', name, exported: modifiers.has('export'), typeParameters, fields, range: this.rangeFrom(start), nameRange };
+  }
+
+  parseLedger(start, modifiers) {
+    this.expect('ledger');
+    const { name, nameRange } = this.parseName();
+    this.expect(':');
+    const type = this.parseType();
+    this.expect(';');
+    return {
+      kind: 'ledger',
+      name,
+      exported: modifiers.has('export'),
+      sealed: modifiers.has('sealed'),
+      type,
+      range: this.rangeFrom(start),
+      nameRange
+    };
+  }
+
+  parseWitness(start, modifiers) {
+    this.expect('witness');
+    const { name, nameRange } = this.parseName();
+    const typeParameters = this.parseTypeParameters();
+    const parameters = this.parseParameters();
+    this.expect(':');
+    const resultType = this.parseType();
+    this.expect(';');
+    return {
+      kind: 'witness',
+      name,
+      exported: modifiers.has('export'),
+      typeParameters,
+      parameters,
+      resultType,
+      range: this.rangeFrom(start),
+      nameRange
+    };
+  }
+
+  parseCircuit(start, modifiers) {
+    this.expect('circuit');
+    const { name, nameRange } = this.parseName();
+    const typeParameters = this.parseTypeParameters();
+    const parameters = this.parseParameters();
+    this.expect(':');
+    const resultType = this.parseType();
+    const bodyStart = this.token.start;
+    if (!this.is('{')) {
+      throw this.unexpected('the circuit body');
+    }
+    this.skipGroup();
+    return {
+      kind: 'circuit',
+      name,
+      exported: modifiers.has('export'),
+      pure: modifiers.has('pure'),
+      typeParameters,
+      parameters,
+      resultType,
+      range: this.rangeFrom(start),
+      nameRange,
+      bodyRange: this.rangeFrom(bodyStart)
+    };
+  }
+
+  parseConstructor(start) {
+    this.expect('constructor');
+    const parameters = this.parseParameters();
+    const bodyStart = this.token.start;
+    if (!this.is('{')) {
+      throw this.unexpected('the constructor body');
+    }
+    this.skipGroup();
+    return { kind: 'constructor', parameters, range: this.rangeFrom(start), bodyRange: this.rangeFrom(bodyStart) };
+  }
+
+  // `type Name = ...;`, or `new type Name = ...;` for a distinct type
+  parseTypeAlias(start, modifiers) {
+    this.expect('type');
+    const { name, nameRange } = this.parseName();
+    const typeParameters = this.parseTypeParameters();
+    this.expect('=');
+    const type = this.parseType();
+    this.expect(';');
+    return {
+      kind: 'type',
+      name,
+      exported: modifiers.has('export'),
+      nominal: modifiers.has('new'),
+      typeParameters,
+      type,
+      range: this.rangeFrom(start),
+      nameRange
+    };
+  }
+
+  // Declaration of another contract's interface, to call it
+  parseContract(start, modifiers) {
+    this.expect('contract');
+    const { name, nameRange } = this.parseName();
+    this.expect('{');
+    const circuits = [];
+    while (!this.is('}')) {
+      const circuitStart = this.token.start;
+      const pure = Boolean(this.accept('pure'));
+      this.expect('circuit');
+      const circuitName = this.parseName();
+      const parameters = this.parseParameters();
+      this.expect(':');
+      const resultType = this.parseType();
+      circuits.push({ ...circuitName, pure, parameters, resultType, range: this.rangeFrom(circuitStart) });
+      if (!this.accept(',') && !this.accept(';')) {
+        break;
+      }
+    }
+    this.expect('}');
+    this.accept(';');
+    return { kind: 'contract', name, exported: modifiers.has('export'), circuits, range: this.rangeFrom(start), nameRange };
+  }
+
+  // e.g. <T, #n>, where #n stands for a size
+  parseTypeParameters() {
+    const parameters = [];
+    if (!this.accept('<')) {
+      return parameters;
+    }
+    while (!this.is('>')) {
+      const size = Boolean(this.accept('#'));
+      parameters.push({ name: this.expectIdentifier('a type parameter').value, size });
+      if (!this.accept(',')) {
+        break;
+      }
+    }
+    this.expect('>');
+    return parameters;
+  }
+
+  parseParameters() {
+    this.expect('(');
+    const parameters = [];
+    while (!this.is(')')) {
+      const parameterStart = this.token.start;
+      let name;
+      if (this.is('[') || this.is('{')) {
+        // A destructuring pattern, kept as written
+        const first = this.token;
+        this.skipGroup();
+        name = this.source.slice(first.start.offset, this.tokens[this.index - 1].end.offset).replace(/\s+/g, ' ');
+      } else {
+        name = this.expectIdentifier('a parameter name').value;
+      }
+      this.expect(':');
+      const type = this.parseType();
+      parameters.push({ name, type, range: this.rangeFrom(parameterStart) });
+      if (!this.accept(',')) {
+        break;
+      }
+    }
+    this.expect(')');
+    return parameters;
+  }
+
+  parseType() {
+    const start = this.token.start;
+    if (this.accept('[')) {
+      const elements = [];
+      while (!this.is(']')) {
+        elements.push(this.parseType());
+        if (!this.accept(',')) {
+          break;
+        }
+      }
+      this.expect(']');
+      return { kind: 'tuple', elements, range: this.rangeFrom(start) };
+    }
+
+    let name = this.expectIdentifier('a type').value;
+    // Qualified names such as Module::Type
+    while (this.accept('::')) {
+      name += `::${this.expectIdentifier('a type').value}`;
+    }
+    const typeArguments = this.is('<') ? this.parseTypeArguments() : [];
+    return { kind: 'reference', name, arguments: typeArguments, range: this.rangeFrom(start) };
+  }
+
+  // e.g. <3, Field>, <0..255> or <"string">
+  parseTypeArguments() {
+    this.expect('<');
+    const typeArguments = [];
+    while (!this.is('>')) {
+      const start = this.token.start;
+      if (this.token.type === 'number') {
+        const from = this.next().value;
+        if (this.accept('..')) {
+          if (this.token.type !== 'number') {
+            throw this.unexpected('the upper bound of the range');
+          }
+          typeArguments.push({ kind: 'range', from, to: this.next().value, range: this.rangeFrom(start) });
+        } else {
+          typeArguments.push({ kind: 'number', value: from, range: this.rangeFrom(start) });
+        }
+      } else if (this.token.type === 'string') {
+        typeArguments.push({ kind: 'string', value: this.next().value, range: this.rangeFrom(start) });
+      } else {
+        typeArguments.push(this.parseType());
+      }
+      if (!this.accept(',')) {
+        break;
+      }
+    }
+    this.expect('>');
+    return typeArguments;
+  }
+}
+
+// Mark the declarations named in `export { ... }` lists as exported
+function applyExportLists(items) {
+  const exported = new Set(items.filter(item => item.kind === 'export').flatMap(item => item.names));
+  items.forEach(item => {
+    if ('exported' in item && exported.has(item.name)) {
+      item.exported = true;
+    }
+    if (item.kind === 'module') {
+      applyExportLists(item.items);
+    }
+  });
+}
+
+/**
+ * Parse a Compact source file into { kind: 'program', file, items, errors }
+ */
+function parseCompact(source, { file = null } = {}) {
+  const parser = new Parser(source || '');
+  const items = parser.parseItems();
+  applyExportLists(items);
+  return { kind: 'program', file, items, errors: parser.errors };
+}
+
+/**
+ * Parse a type on its own, e.g. `Vector<3, Maybe<Bytes<32>>>`. Throws a
+ * CompactSyntaxError for anything that is not exactly one type.
+ */
+function parseType(text) {
+  const parser = new Parser(text);
+  const type = parser.parseType();
+  if (parser.token.type !== 'eof') {
+    throw parser.unexpected('the end of the type');
+  }
+  return type;
+}
+
+/**
+ * Write a type node the way it reads in Compact, with normalized spacing
+ */
+function formatType(type) {
+  switch (type.kind) {
+    case 'tuple':
+      return `[${type.elements.map(formatType).join(', ')}]`;
+    case 'number':
+      return type.value;
+    case 'range':
+      return `${type.from}..${type.to}`;
+    case 'string':
+      return JSON.stringify(type.value);
+    default:
+      return type.arguments.length > 0 ? `${type.name}<${type.arguments.map(formatType).join(', ')}>` : type.name;
+  }
+}
+
+/**
+ * The project path of an included or imported file, which is relative to
+ * the including file and may leave out the .compact extension
+ */
+function resolveInclude(fromFile, includePath) {
+  const resolved = path.posix.join(path.posix.dirname(fromFile), includePath);
+  return resolved.endsWith('.compact') ? resolved : `${resolved}.compact`;
+}
+
+/**
+ * Parse the entry contract of a project together with the files it
+ * includes or imports by path. `files` maps project paths to their source.
+ *
+ * Returns { entry, programs, items, errors }: the parsed program of every
+ * file reached, the entry's items with each include replaced by the items
+ * of the included file (and each path import followed by the items of the
+ * imported file), and the syntax errors of all files with their file.
+ * Missing files are reported as errors too.
+ */
+function parseProject(files, entry) {
+  const programs = {};
+  const errors = [];
+
+  const expand = (file, including) => {
+    if (including.includes(file)) {
+      return [];
+    }
+    if (!programs[file]) {
+      programs[file] = parseCompact(files[file], { file });
+      errors.push(...programs[file].errors.map(error => ({ ...error, file })));
+    }
+
+    return programs[file].items.flatMap(item => {
+      if (item.kind !== 'include' && !(item.kind === 'import' && item.isPath)) {
+        return [{ ...item, file }];
+      }
+      const target = resolveInclude(file, item.kind === 'include' ? item.path : item.name);
+      if (typeof files[target] !== 'string') {
+        const what = item.kind === 'include' ? 'Included' : 'Imported';
+        errors.push({ message: `${what} file not found: ${item.kind === 'include' ? item.path : item.name}`, range: item.range, file });
+        return item.kind === 'include' ? [] : [{ ...item, file }];
+      }
+      const expanded = expand(target, [...including, file]);
+      // An imported file defines modules, which stay listed after the import
+      return item.kind === 'include' ? expanded : [{ ...item, file }, ...expanded];
+    });
+  };
+
+  const items = typeof files[entry] === 'string' ? expand(entry, []) : [];
+  return { entry, programs, items, errors };
+}
+
+/**
+ * All declarations of the given kinds among `items`, including those nested
+ * in modules
+ */
+function findDeclarations(items, kinds) {
+  const wanted = new Set(Array.isArray(kinds) ? kinds : [kinds]);
+  return items.flatMap(item => [
+    ...(wanted.has(item.kind) ? [item] : []),
+    ...(item.kind === 'module' ? findDeclarations(item.items.map(nested => ({ ...nested, file: item.file })), kinds) : [])
+  ]);
+}
+
+const formatParameters = (parameters) =>
+  `(${parameters.map(parameter => `${parameter.name}: ${formatType(parameter.type)}`).join(', ')})`;
+
+/**
+ * Summarize declarations for an outline view: one entry per declaration,
+ * { kind, name, detail, range, selectionRange, children }, where `detail`
+ * is e.g. a circuit's signature or a ledger field's type
+ */
+function outline(items) {
+  return items.flatMap(item => {
+    const entry = (name, detail, children = []) => [{
+      kind: item.kind,
+      name,
+      detail,
+      range: item.range,
+      selectionRange: item.nameRange || item.range,
+      children
+    }];
+
+    switch (item.kind) {
+      case 'pragma':
+        return entry(item.name, item.value);
+      case 'import':
+        return entry(item.name, item.prefix ? `prefix ${item.prefix}` : '');
+      case 'include':
+        return entry(item.path, '');
+      case 'module':
+        return entry(item.name, '', outline(item.items));
+      case 'enum':
+        return entry(item.name, item.members.map(member => member.name).join(', '));
+      case 'struct':
+        return entry(item.name, `{ ${item.fields.map(field => `${field.name}: ${formatType(field.type)}`).join(', ')} }`);
+      case 'type':
+        return entry(item.name, `= ${formatType(item.type)}`);
+      case 'ledger':
+        return entry(item.name, `${item.sealed ? 'sealed ' : ''}${formatType(item.type)}`);
+      case 'witness':
+      case 'circuit':
+        return entry(item.name, `${formatParameters(item.parameters)}: ${formatType(item.resultType)}`);
+      case 'constructor':
+        return entry('constructor', formatParameters(item.parameters));
+      case 'contract':
+        return entry(item.name, `${item.circuits.length} circuit${item.circuits.length === 1 ? '' : 's'}`);
+      default:
+        return [];
+    }
+  });
+}
+
+module.exports = {
+  CompactSyntaxError,
+  tokenize,
+  parseCompact,
+  parseType,
+  formatType,
+  resolveInclude,
+  parseProject,
+  findDeclarations,
+  outline
+};
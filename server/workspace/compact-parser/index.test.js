@@ -0,0 +1,186 @@
+import { describe, expect, it } from 'vitest';
+import { findDeclarations, formatType, parseCompact, parseProject, parseType } from './index.js';
+
+const parse = (source) => {
+  const program = parseCompact(source);
+  expect(program.errors).toEqual([]);
+  return program.items;
+};
+
+const signature = ({ parameters, resultType }) => ({
+  parameters: parameters.map(({ name, type }) => `${name}: ${formatType(type)}`),
+  resultType: resultType && formatType(resultType)
+});
+
+describe('parseCompact', () => {
+  it('reads circuit signatures spread over several lines', () => {
+    const [circuit] = parse(`
+      export circuit transfer(
+        to: Bytes<32>,
+        amount: Uint<64>,
+      ): Boolean {
+        return true;
+      }
+    `);
+
+    expect(circuit).toMatchObject({ kind: 'circuit', name: 'transfer', exported: true, pure: false });
+    expect(signature(circuit)).toEqual({ parameters: ['to: Bytes<32>', 'amount: Uint<64>'], resultType: 'Boolean' });
+    expect(circuit.nameRange.start).toEqual({ line: 2, column: 22, offset: 22 });
+    expect(circuit.bodyRange.end.line).toBe(7);
+  });
+
+  it('keeps the commas of generic types inside their parameter', () => {
+    const [circuit] = parse('circuit put(entries: Map<Bytes<32>, Vector<2, Uint<0..10>>>, flag: Boolean): [Field, Field] {}');
+
+    expect(signature(circuit)).toEqual({
+      parameters: ['entries: Map<Bytes<32>, Vector<2, Uint<0..10>>>', 'flag: Boolean'],
+      resultType: '[Field, Field]'
+    });
+  });
+
+  it('reads generic declarations with type and size parameters', () => {
+    const [circuit, struct] = parse(`
+      export pure circuit first<T, #n>(items: Vector<n, T>): T { return items[0]; }
+      struct Pair<A, B> { left: A; right: B; }
+    `);
+
+    expect(circuit).toMatchObject({
+      pure: true,
+      typeParameters: [{ name: 'T', size: false }, { name: 'n', size: true }]
+    });
+    expect(struct.fields.map(({ name, type }) => `${name}: ${formatType(type)}`)).toEqual(['left: A', 'right: B']);
+  });
+
+  it('skips line and block comments, also inside signatures', () => {
+    const items = parse(`
+      // ledger hidden: Field;
+      /* export circuit hidden(): [] {}
+         ledger alsoHidden: Field; */
+      export circuit visible(
+        x: Field, // the value
+        /* y: Field, */
+      ): [] {
+        // circuit notADeclaration(): [] {}
+      }
+    `);
+
+    expect(items.map(item => item.name)).toEqual(['visible']);
+    expect(signature(items[0]).parameters).toEqual(['x: Field']);
+  });
+
+  it('reads pragmas, imports and includes', () => {
+    const items = parse(`
+      pragma language_version >= 0.16 && <= 0.17;
+      import CompactStandardLibrary;
+      import "lib/tokens" prefix Tokens_;
+      include "lib/util";
+    `);
+
+    expect(items).toMatchObject([
+      { kind: 'pragma', name: 'language_version', value: '>= 0.16 && <= 0.17' },
+      { kind: 'import', name: 'CompactStandardLibrary', isPath: false },
+      { kind: 'import', name: 'lib/tokens', isPath: true, prefix: 'Tokens_' },
+      { kind: 'include', path: 'lib/util' }
+    ]);
+  });
+
+  it('reads sealed and non-exported ledger fields', () => {
+    const ledger = findDeclarations(
+      parse(`
+        export ledger count: Counter;
+        sealed ledger owner: Bytes<32>;
+        ledger balances: Map<Bytes<32>, Uint<64>>;
+        export sealed ledger config: Field;
+      `),
+      'ledger'
+    );
+
+    expect(ledger.map(({ name, exported, sealed, type }) => [name, exported, sealed, formatType(type)])).toEqual([
+      ['count', true, false, 'Counter'],
+      ['owner', false, true, 'Bytes<32>'],
+      ['balances', false, false, 'Map<Bytes<32>, Uint<64>>'],
+      ['config', true, true, 'Field']
+    ]);
+  });
+
+  it('marks the declarations of export lists as exported', () => {
+    const items = parse(`
+      circuit increment(): [] {}
+      ledger count: Counter;
+      export { increment, count };
+    `);
+
+    expect(findDeclarations(items, ['circuit', 'ledger']).map(item => item.exported)).toEqual([true, true]);
+  });
+
+  it('recovers from malformed declarations and reports where they are', () => {
+    const program = parseCompact(`export circuit broken(x: ): [] {}
+struct Point { x: Field; y: Field; }
+ledger ok: Field;
+circuit missingName(: [] {}
+export circuit after(): Field { return 1; }
+`);
+
+    expect(program.errors.map(error => [error.message, error.range.start.line])).toEqual([
+      ['Expected a type but found ")"', 1],
+      ['Expected a parameter name but found ":"', 4]
+    ]);
+    expect(program.items.map(item => `${item.kind} ${item.name}`)).toEqual([
+      'struct Point',
+      'ledger ok',
+      'circuit after'
+    ]);
+  });
+
+  it('keeps what it parsed of an unterminated file', () => {
+    const program = parseCompact('ledger count: Counter;\nexport circuit open(x: Field): [] {\n  count.increment(1);\n');
+
+    expect(program.items.map(item => item.name)).toContain('count');
+    expect(program.errors.length).toBeGreaterThan(0);
+  });
+});
+
+describe('parseType', () => {
+  it('parses a type on its own and normalizes its spacing', () => {
+    expect(formatType(parseType('Vector< 3 ,Maybe<Bytes<32>> >'))).toBe('Vector<3, Maybe<Bytes<32>>>');
+    expect(formatType(parseType('Opaque<"string">'))).toBe('Opaque<"string">');
+  });
+
+  it('rejects anything else than exactly one type', () => {
+    expect(() => parseType('Field Field')).toThrow();
+    expect(() => parseType('Map<Field')).toThrow();
+  });
+});
+
+describe('parseProject', () => {
+  it('replaces includes with the included declarations, relative to the including file', () => {
+    const project = parseProject(
+      {
+        'main.compact': 'include "lib/types";\nexport circuit make(): Point { return Point { x: 0, y: 0 }; }',
+        'lib/types.compact': 'include "more";\nstruct Point { x: Field; y: Field; }',
+        'lib/more.compact': 'enum Color { red, green }'
+      },
+      'main.compact'
+    );
+
+    expect(project.errors).toEqual([]);
+    expect(project.items.map(item => [item.kind, item.name, item.file])).toEqual([
+      ['enum', 'Color', 'lib/more.compact'],
+      ['struct', 'Point', 'lib/types.compact'],
+      ['circuit', 'make', 'main.compact']
+    ]);
+  });
+
+  it('reports missing files and stops at include cycles', () => {
+    const project = parseProject(
+      {
+        'main.compact': 'include "a";\ninclude "missing";',
+        'a.compact': 'include "main";\nledger count: Counter;'
+      },
+      'main.compact'
+    );
+
+    expect(project.items.map(item => item.name)).toEqual(['count']);
+    expect(project.errors).toMatchObject([{ message: 'Included file not found: missing', file: 'main.compact' }]);
+  });
+});
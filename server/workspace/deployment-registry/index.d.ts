@@ -0,0 +1,44 @@
+export interface DeploymentRecord {
+  id: string;
+  contractAddress: string;
+  network: string;
+  contractName: string;
+  /** The project's entry contract, relative to the contract package's src directory */
+  entry: string | null;
+  sourceHash: string | null;
+  artifactHash: string | null;
+  compilerVersion: string | null;
+  txHash: string | null;
+  blockHeight: number | null;
+  /** ISO 8601 timestamp */
+  deployedAt: string;
+  privateStateId: string | null;
+  /** Name of the store holding the private state */
+  privateStateStore: string | null;
+  /** Who recorded the deployment in a shared registry, null when anyone may see it */
+  owner: string | null;
+}
+
+export type NewDeployment = Pick<DeploymentRecord, 'contractAddress' | 'network' | 'contractName'> &
+  Partial<Omit<DeploymentRecord, 'id'>>;
+
+export interface DeploymentSources {
+  entry: string;
+  contractName?: string;
+  files: { [file: string]: string };
+}
+
+export declare class DeploymentRegistry {
+  constructor(dir: string);
+  readonly dir: string;
+  list(filter?: { contractName?: string; network?: string; owner?: string }): Promise<DeploymentRecord[]>;
+  get(id: string, filter?: { owner?: string }): Promise<DeploymentRecord | null>;
+  record(deployment: NewDeployment, options?: { sources?: DeploymentSources }): Promise<DeploymentRecord>;
+  readSources(sourceHash: string): Promise<Required<DeploymentSources> | null>;
+}
+
+export declare function hashFiles(files: { [file: string]: string | Uint8Array }): string;
+
+export declare function hashArtifacts(managedDir: string): string;
+
+export declare function readSourceFiles(srcDir: string): { [file: string]: string };
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * A persistent registry of contract deployments, shared by the CLI and the
+ * IDE server.
+ *
+ * The records live in `<dir>/deployments.json`, oldest first. A record is
+ *
+ *   { id, contractAddress, network, contractName, entry, sourceHash, artifactHash,
+ *     compilerVersion, txHash, blockHeight, deployedAt, privateStateId,
+ *     privateStateStore, owner }
+ *
+ * where `owner` tells apart the users of a shared registry, such as the IDE
+ * server's, and is null for deployments anyone may see.
+ *
+ * The project sources a deployment was built from are kept by their hash in
+ * `<dir>/sources/`, so the exact sources can be reopened later, and the
+ * contract rejoined after compiling them again.
+ */
+
+// Entries of a contract package's src directory that are not project sources
+const PACKAGE_ENTRIES = new Set(['index.ts', 'managed']);
+const SOURCE_EXTENSIONS = new Set(['.compact', '.ts']);
+
+const RECORD_FIELDS = [
+  'contractAddress',
+  'network',
+  'contractName',
+  'entry',
+  'sourceHash',
+  'artifactHash',
+  'compilerVersion',
+  'txHash',
+  'blockHeight',
+  'deployedAt',
+  'privateStateId',
+  'privateStateStore',
+  'owner'
+];
+
+const REQUIRED_FIELDS = ['contractAddress', 'network', 'contractName'];
+
+/**
+ * Hash files keyed by path, independent of the order of the keys. Contents
+ * are strings or Buffers.
+ */
+function hashFiles(files) {
+  const hash = crypto.createHash('sha256');
+  Object.keys(files).sort().forEach(name => {
+    hash.update(`${name}\0`);
+    hash.update(files[name]);
+    hash.update('\0');
+  });
+  return `sha256:${hash.digest('hex')}`;
+}
+
+// Every file below `dir`, keyed by its path relative to `dir`
+function readTree(dir, include = () => true, relativeDir = '') {
+  const files = {};
+  for (const entry of fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true })) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (!include(relativePath, entry)) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      Object.assign(files, readTree(dir, include, relativePath));
+    } else if (entry.isFile()) {
+      files[relativePath] = fs.readFileSync(path.join(dir, relativePath));
+    }
+  }
+  return files;
+}
+
+/**
+ * Read the project sources in a contract package's src directory: the
+ * .compact and .ts files, without the package's index.ts and the compiler
+ * output, the same files the IDE server keeps as a project
+ */
+function readSourceFiles(srcDir) {
+  const files = readTree(srcDir, (relativePath, entry) =>
+    !(relativePath === entry.name && PACKAGE_ENTRIES.has(entry.name)) &&
+    (entry.isDirectory() || SOURCE_EXTENSIONS.has(path.extname(entry.name)))
+  );
+  return Object.fromEntries(Object.entries(files).map(([name, content]) => [name, content.toString('utf8')]));
+}
+
+/**
+ * Hash of a compiler output directory, e.g. `managed/<contract name>`, which
+ * holds the contract's JavaScript, ZK IR and keys
+ */
+function hashArtifacts(managedDir) {
+  return hashFiles(readTree(managedDir));
+}
+
+class DeploymentRegistry {
+  constructor(dir) {
+    this.dir = dir;
+    this.file = path.join(dir, 'deployments.json');
+    this.sourcesDir = path.join(dir, 'sources');
+    // Writes of this process are serialized, so records never get lost between them
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * The recorded deployments, newest first, optionally only those of one
+   * contract name or network. Given an owner, only the owner's deployments
+   * and those without an owner are listed.
+   */
+  async list({ contractName, network, owner } = {}) {
+    return (await this.readRecords())
+      .filter(record => (contractName === undefined || record.contractName === contractName) &&
+        (network === undefined || record.network === network) &&
+        (owner === undefined || isVisibleTo(record, owner)))
+      .reverse();
+  }
+
+  /**
+   * The deployment with the given id, or null. Given an owner, deployments
+   * of other owners are not found.
+   */
+  async get(id, { owner } = {}) {
+    const record = (await this.readRecords()).find(candidate => candidate.id === id);
+    return record && (owner === undefined || isVisibleTo(record, owner)) ? record : null;
+  }
+
+  /**
+   * Record a deployment, and with `sources` ({ files, entry }) the project it
+   * was built from. Resolves with the stored record.
+   */
+  async record(deployment, { sources } = {}) {
+    const missing = REQUIRED_FIELDS.filter(field => !deployment[field]);
+    if (missing.length > 0) {
+      throw new Error(`A deployment needs ${missing.join(', ')}`);
+    }
+
+    const record = { id: crypto.randomUUID() };
+    RECORD_FIELDS.forEach(field => {
+      record[field] = deployment[field] === undefined ? null : deployment[field];
+    });
+    record.deployedAt = record.deployedAt || new Date().toISOString();
+
+    if (sources) {
+      record.sourceHash = hashFiles(sources.files);
+      record.entry = sources.entry;
+    }
+
+    const write = this.writing.then(async () => {
+      if (sources) {
+        const sourcesFile = this.sourcesFile(record.sourceHash);
+        if (!fs.existsSync(sourcesFile)) {
+          await writeJsonAtomically(sourcesFile, { entry: sources.entry, contractName: record.contractName, files: sources.files });
+        }
+      }
+      await writeJsonAtomically(this.file, [...(await this.readRecords()), record]);
+    });
+    this.writing = write.catch(() => {});
+    await write;
+
+    return record;
+  }
+
+  /**
+   * The project sources ({ entry, contractName, files }) kept for a source
+   * hash, or null when they were not recorded
+   */
+  async readSources(sourceHash) {
+    if (typeof sourceHash !== 'string' || !/^sha256:[0-9a-f]{64}$/.test(sourceHash)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(this.sourcesFile(sourceHash), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  sourcesFile(sourceHash) {
+    return path.join(this.sourcesDir, `${sourceHash.slice('sha256:'.length)}.json`);
+  }
+
+  async readRecords() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Cannot read the deployment registry ${this.file}: ${error.message}`);
+    }
+  }
+}
+
+const isVisibleTo = (record, owner) => !record.owner || record.owner === owner;
+
+// Write next to the file and rename, so readers never see half a file
+async function writeJsonAtomically(file, value) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}-${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempFile, `${JSON.stringify(value, null, 2)}\n`, 'utf8');
+  await fs.promises.rename(tempFile, file);
+}
+
+module.exports = {
+  DeploymentRegistry,
+  hashFiles,
+  hashArtifacts,
+  readSourceFiles
+};
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { DeploymentRegistry, hashArtifacts, hashFiles, readSourceFiles } from './index.js';
+
+const deployment = (fields = {}) => ({
+  contractAddress: '0200aa',
+  network: 'TestNet',
+  contractName: 'counter',
+  ...fields
+});
+
+let dir;
+let registry;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployment-registry-'));
+  registry = new DeploymentRegistry(dir);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('DeploymentRegistry', () => {
+  it('starts out empty without a registry file', async () => {
+    expect(await registry.list()).toEqual([]);
+    expect(await registry.get('missing')).toBeNull();
+  });
+
+  it('records deployments with every field and lists them newest first', async () => {
+    const first = await registry.record(deployment({ txHash: 'aa', blockHeight: 7 }));
+    const second = await registry.record(deployment({ contractAddress: '0200bb', network: 'Undeployed' }));
+
+    expect(first).toMatchObject({ contractAddress: '0200aa', txHash: 'aa', blockHeight: 7, owner: null, sourceHash: null });
+    expect(first.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(Number.isNaN(Date.parse(first.deployedAt))).toBe(false);
+
+    expect((await registry.list()).map(record => record.id)).toEqual([second.id, first.id]);
+    expect((await registry.list({ network: 'TestNet' })).map(record => record.id)).toEqual([first.id]);
+    expect(await registry.get(second.id)).toEqual(second);
+  });
+
+  it('is read again from disk by a new instance', async () => {
+    const record = await registry.record(deployment());
+
+    expect(await new DeploymentRegistry(dir).list()).toEqual([record]);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'deployments.json'), 'utf8'))).toEqual([record]);
+  });
+
+  it('requires an address, a network and a contract name', async () => {
+    await expect(registry.record({ network: 'TestNet' })).rejects.toThrow('A deployment needs contractAddress, contractName');
+    expect(await registry.list()).toEqual([]);
+  });
+
+  it('loses no record when deployments are recorded at the same time', async () => {
+    const records = await Promise.all(
+      Array.from({ length: 20 }, (_, index) => registry.record(deployment({ contractAddress: `0200${index}` })))
+    );
+
+    const listed = await new DeploymentRegistry(dir).list();
+    expect(listed).toHaveLength(20);
+    expect(new Set(listed.map(record => record.id))).toEqual(new Set(records.map(record => record.id)));
+    expect(fs.readdirSync(dir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('keeps recording after a failed write', async () => {
+    fs.mkdirSync(path.join(dir, 'sources'));
+    fs.writeFileSync(path.join(dir, 'sources', 'blocked'), '');
+    const blocked = new DeploymentRegistry(path.join(dir, 'sources', 'blocked'));
+    await expect(blocked.record(deployment())).rejects.toThrow();
+
+    await registry.record(deployment());
+    expect(await registry.list()).toHaveLength(1);
+  });
+
+  it('only shows deployments of other owners to them', async () => {
+    const shared = await registry.record(deployment());
+    const mine = await registry.record(deployment({ owner: 'alice' }));
+    const theirs = await registry.record(deployment({ owner: 'bob' }));
+
+    expect((await registry.list({ owner: 'alice' })).map(record => record.id)).toEqual([mine.id, shared.id]);
+    expect(await registry.get(theirs.id, { owner: 'alice' })).toBeNull();
+    expect(await registry.get(theirs.id)).toEqual(theirs);
+  });
+
+  it('keeps the sources of a deployment by their hash', async () => {
+    const files = { 'counter.compact': 'export ledger count: Counter;', 'witnesses.ts': 'export const witnesses = {};' };
+    const record = await registry.record(deployment(), { sources: { files, entry: 'counter.compact' } });
+
+    expect(record.sourceHash).toBe(hashFiles(files));
+    expect(record.entry).toBe('counter.compact');
+    expect(await registry.readSources(record.sourceHash)).toEqual({ entry: 'counter.compact', contractName: 'counter', files });
+    expect(await registry.readSources(hashFiles({}))).toBeNull();
+    expect(await registry.readSources('../deployments')).toBeNull();
+  });
+
+  it('reports a registry file it cannot read', async () => {
+    fs.writeFileSync(path.join(dir, 'deployments.json'), '{ not json');
+
+    await expect(registry.list()).rejects.toThrow('Cannot read the deployment registry');
+  });
+});
+
+describe('hashFiles', () => {
+  it('does not depend on the order of the files but on their names and contents', () => {
+    expect(hashFiles({ a: '1', b: '2' })).toBe(hashFiles({ b: '2', a: '1' }));
+    expect(hashFiles({ a: '1', b: '2' })).not.toBe(hashFiles({ a: '2', b: '1' }));
+    expect(hashFiles({ ab: '' })).not.toBe(hashFiles({ a: 'b' }));
+    expect(hashFiles({ a: Buffer.from('1') })).toBe(hashFiles({ a: '1' }));
+  });
+});
+
+describe('readSourceFiles and hashArtifacts', () => {
+  it('read the project sources of a contract package and hash its compiler output', () => {
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    };
+    write('src/counter.compact', 'export ledger count: Counter;');
+    write('src/lib/util.compact', 'struct Point { x: Field; }');
+    write('src/witnesses.ts', 'export const witnesses = {};');
+    write('src/index.ts', 'export * from "./witnesses";');
+    write('src/notes.md', 'not a source');
+    write('src/managed/counter/contract/index.cjs', 'exports.x = 1;');
+
+    expect(readSourceFiles(path.join(dir, 'src'))).toEqual({
+      'counter.compact': 'export ledger count: Counter;',
+      'lib/util.compact': 'struct Point { x: Field; }',
+      'witnesses.ts': 'export const witnesses = {};'
+    });
+
+    const managedDir = path.join(dir, 'src/managed/counter');
+    const before = hashArtifacts(managedDir);
+    expect(before).toBe(hashFiles({ 'contract/index.cjs': 'exports.x = 1;' }));
+    write('src/managed/counter/keys/increment.verifier', 'key');
+    expect(hashArtifacts(managedDir)).not.toBe(before);
+  });
+});
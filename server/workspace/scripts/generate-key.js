@@ -3,16 +3,23 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { webcrypto } from 'node:crypto';
+import {
+  NETWORK_IDS,
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  deriveAddresses
+} from '../wallet-keys/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Wallet key generator that:
- * 1. Generates a cryptographically secure 64-character hex seed
- * 2. Creates a wallet to get the address
- * 3. Updates the .env file with both seed and address
+ * Wallet key generator that works offline:
+ * 1. Generates a BIP39 recovery phrase, or restores one given with --restore
+ * 2. Derives the wallet seed from it deterministically
+ * 3. Derives the wallet's address on each network, without connecting to any
+ * 4. Updates the .env file with the seed and the address on the chosen network
  */
 class WalletKeyGenerator {
   constructor() {
@@ -21,108 +28,76 @@ class WalletKeyGenerator {
   }
 
   /**
-   * Generate a cryptographically secure 64-character hex seed phrase
+   * Read the recovery phrase to restore and the network from the arguments
    */
-  generateRandomSeed() {
-    const bytes = new Uint8Array(32);
-    webcrypto.getRandomValues(bytes);
-    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
-  }
+  parseArgs(args) {
+    const options = { mnemonic: null, network: 'TestNet' };
+    for (let i = 0; i < args.length; i++) {
+      const [flag, inlineValue] = args[i].split(/=(.*)/s);
+      const value = () => (inlineValue !== undefined ? inlineValue : args[++i]);
+      if (flag === '--restore') {
+        options.mnemonic = value();
+      } else if (flag === '--network') {
+        options.network = value();
+      } else {
+        throw new Error(`Unknown argument ${args[i]}`);
+      }
+    }
 
-  /**
-   * Create wallet instance to get the testnet address
-   */
-  async createWalletForAddress(seed) {
-    try {
-      // Import wallet builder dynamically to avoid module loading issues
-      const { WalletBuilder } = await import('@midnight-ntwrk/wallet');
-      const { getZswapNetworkId, setNetworkId, NetworkId } = await import('@midnight-ntwrk/midnight-js-network-id');
-      
-      // Set network to testnet before creating wallet
-      setNetworkId(NetworkId.TestNet);
-      
-      // Use testnet configuration
-      const indexer = 'https://indexer.testnet-02.midnight.network/api/v1/graphql';
-      const indexerWS = 'wss://indexer.testnet-02.midnight.network/api/v1/graphql/ws';
-      const node = 'https://rpc.testnet-02.midnight.network';
-      const proofServer = 'http://127.0.0.1:6300';
-      
-      console.log('🔗 Creating testnet wallet to get address...');
-      
-      const wallet = await WalletBuilder.buildFromSeed(
-        indexer,
-        indexerWS,
-        proofServer,
-        node,
-        seed,
-        getZswapNetworkId(),
-        'info'
-      );
-      
-      wallet.start();
-      
-      // Get the wallet state to extract the address
-      const { firstValueFrom } = await import('rxjs');
-      
-      // Wait a moment for wallet to initialize
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      const state = await firstValueFrom(wallet.state());
-      const address = state.address;
-      
-      // Close the wallet
-      await wallet.close();
-      
-      return address;
-    } catch (error) {
-      console.warn('⚠️  Could not create wallet to get address:', error.message);
-      console.log('💡 You can manually check your address after first deployment');
-      return null;
+    if (options.mnemonic !== null && !validateMnemonic(options.mnemonic || '')) {
+      throw new Error('The recovery phrase is not valid: check the words and their order');
     }
+    if (!NETWORK_IDS.includes(options.network)) {
+      throw new Error(`Unknown network ${options.network}, expected one of ${NETWORK_IDS.join(', ')}`);
+    }
+    return options;
   }
 
   /**
-   * Update or create .env file with new wallet seed and address
+   * Update or create .env file with the wallet seed and address, readable
+   * only by the current user
    */
-  updateEnvFile(seed, address = null) {
-    let envContent = `# Midnight Testnet Configuration
-# This seed phrase will be used for automated deployment
-WALLET_SEED=${seed}`;
-    
-    if (address) {
-      envContent += `
-WALLET_ADDRESS=${address}`;
-    }
-    ;
-
-    fs.writeFileSync(this.envPath, envContent);
+  updateEnvFile(seed, address, network) {
+    const envContent = `# Midnight ${network} Configuration
+# This seed will be used for automated deployment, restore it from the recovery phrase
+WALLET_SEED=${seed}
+WALLET_ADDRESS=${address}
+`;
+
+    fs.writeFileSync(this.envPath, envContent, { mode: 0o600 });
+    fs.chmodSync(this.envPath, 0o600);
   }
 
   /**
    * Main generation workflow
    */
-  async generate() {
+  async generate(args) {
     try {
       console.log('🌙 Midnight Wallet Key Generator\n');
-      
-      const seed = this.generateRandomSeed();
-      console.log('🔐 Generated new wallet seed:');
-      console.log(`💰 Seed: ${seed}\n`);
-      
-      // Try to get wallet address
-      const address = await this.createWalletForAddress(seed);
-      
-      if (address) {
-        console.log('🏠 Generated wallet address:');
-        console.log(`📍 Address: ${address}\n`);
+
+      const { mnemonic: restored, network } = this.parseArgs(args);
+      const mnemonic = restored || generateMnemonic();
+      if (restored) {
+        console.log('♻️  Restoring the wallet of the given recovery phrase\n');
+      } else {
+        console.log('🔐 Generated a new recovery phrase, write it down and keep it offline:');
+        console.log(`\n   ${mnemonic}\n`);
+        console.log('⚠️  Anyone with these words controls the wallet, and without them it cannot be restored\n');
       }
-      
-      this.updateEnvFile(seed, address);
-      
-      console.log('🚀 Setup completed!');
-     
-      console.log('\n💡 The seed phrase and address are now saved in your .env file');
-      
+
+      const seed = mnemonicToSeed(mnemonic);
+      const addresses = await deriveAddresses(seed);
+
+      console.log('🏠 Wallet addresses:');
+      NETWORK_IDS.forEach(networkId => {
+        console.log(`📍 ${networkId.padEnd(10)} ${addresses[networkId]}`);
+      });
+
+      this.updateEnvFile(seed, addresses[network], network);
+
+      console.log('\n🚀 Setup completed!');
+      console.log(`\n💡 The seed and the ${network} address are now saved in your .env file`);
+
     } catch (error) {
       console.error('\n❌ Key generation failed:', error.message);
       console.error('\n🔧 Troubleshooting:');
@@ -141,26 +116,33 @@ WALLET_ADDRESS=${address}`;
 🌙 Midnight Wallet Key Generator
 
 Usage:
-  npm run generate-key              Generate new wallet seed/address and update .env
-  npm run generate-key -- --help    Show this help message
+  npm run generate-key                               Generate a new wallet and update .env
+  npm run generate-key -- --restore "<24 words>"     Restore a wallet from its recovery phrase
+  npm run generate-key -- --network <network>        Save the address on <network> in .env
+                                                     (${NETWORK_IDS.join(', ')}; default TestNet)
+  npm run generate-key -- --help                     Show this help message
 
 What this does:
-  1. Generates a cryptographically secure 64-character hex seed
-  2. Creates a wallet instance to derive the address
-  3. Automatically updates your .env file with WALLET_SEED and WALLET_ADDRESS
-  4. Prepares you for automated deployment
+  1. Generates a 24-word BIP39 recovery phrase, or takes the one to restore
+  2. Derives the wallet seed from it (m/44'/2400'/0'/3/0), the same seed every time
+  3. Derives the wallet's address on every network, offline
+  4. Updates your .env file with WALLET_SEED and WALLET_ADDRESS
+
+Nothing is sent over the network, a key can be generated and backed up
+on a machine that is not connected to testnet, or to anything.
 
 After running this command:
   - Your .env file will contain WALLET_SEED and WALLET_ADDRESS
   - You can run 'npm run deploy' without manual seed entry
-  - The wallet will be funded automatically on testnet
+  - Fund the address from the testnet faucet before deploying
 
 Example workflow:
-  npm run generate-key    # Generate new wallet seed and address
+  npm run generate-key    # Generate a new wallet, write down the recovery phrase
   npm run deploy          # Deploy with automated wallet creation
 
 Security Note:
-  - The seed phrase is stored in .env (which should be in .gitignore)
+  - The recovery phrase is only shown, never stored: it is your backup
+  - The seed is stored in .env (which should be in .gitignore), readable only by you
   - This is for development/testing purposes
   - For production, use a secure key management system
 `);
@@ -178,4 +160,4 @@ if (args.includes('--help') || args.includes('-h')) {
 
 // Run wallet generation
 const generator = new WalletKeyGenerator();
-generator.generate().catch(console.error);
+generator.generate(args).catch(console.error);
@@ -0,0 +1,24 @@
+/** Network ids as named by the zswap NetworkId enum */
+export type WalletNetworkId = 'Undeployed' | 'DevNet' | 'TestNet' | 'MainNet';
+
+export declare const NETWORK_IDS: readonly WalletNetworkId[];
+
+export declare function generateMnemonic(strength?: 128 | 160 | 192 | 224 | 256): string;
+
+export declare function validateMnemonic(mnemonic: string): boolean;
+
+export interface SeedDerivationOptions {
+  /** BIP39 passphrase, empty by default */
+  passphrase?: string;
+  account?: number;
+  index?: number;
+}
+
+/** The 32-byte wallet seed, in hex, of a recovery phrase */
+export declare function mnemonicToSeed(mnemonic: string, options?: SeedDerivationOptions): string;
+
+export declare function isValidSeed(seed: string): boolean;
+
+export declare function deriveAddress(seed: string, networkId?: WalletNetworkId): Promise<string>;
+
+export declare function deriveAddresses(seed: string): Promise<Record<WalletNetworkId, string>>;
@@ -0,0 +1,106 @@
+const bip39 = require('@scure/bip39');
+const { wordlist } = require('@scure/bip39/wordlists/english');
+const { HDKey } = require('@scure/bip32');
+
+/**
+ * Wallet keys that work offline: BIP39 recovery phrases, the wallet seed
+ * they deterministically derive, and the wallet's address on each network.
+ *
+ * A recovery phrase yields a BIP32 root key, and the seed is the key at
+ *
+ *   m/44'/2400'/<account>'/3/<index>
+ *
+ * that is Midnight's coin type and the Zswap role of the account, so the
+ * same phrase always restores the same wallet. Seeds are 32 bytes in hex,
+ * what WALLET_SEED and the wallet builder take.
+ */
+
+const MIDNIGHT_COIN_TYPE = 2400;
+const ZSWAP_ROLE = 3;
+
+// The networks addresses are encoded for, as named by the zswap NetworkId enum
+const NETWORK_IDS = ['Undeployed', 'DevNet', 'TestNet', 'MainNet'];
+
+const SEED_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+// Recovery phrases are compared word by word, whatever the spacing and case
+const normalizeMnemonic = (mnemonic) => String(mnemonic).trim().toLowerCase().split(/\s+/).join(' ');
+
+/**
+ * A new recovery phrase, 24 words unless `strength` asks for less entropy
+ * (128 bits for 12 words)
+ */
+function generateMnemonic(strength = 256) {
+  return bip39.generateMnemonic(wordlist, strength);
+}
+
+function validateMnemonic(mnemonic) {
+  return typeof mnemonic === 'string' && bip39.validateMnemonic(normalizeMnemonic(mnemonic), wordlist);
+}
+
+/**
+ * The wallet seed of a recovery phrase. The optional BIP39 passphrase,
+ * account and index select other wallets of the same phrase.
+ */
+function mnemonicToSeed(mnemonic, { passphrase = '', account = 0, index = 0 } = {}) {
+  if (!validateMnemonic(mnemonic)) {
+    throw new Error('Invalid recovery phrase: expected 12 to 24 English BIP39 words with a valid checksum');
+  }
+  if (![account, index].every(value => Number.isInteger(value) && value >= 0 && value < 2 ** 31)) {
+    throw new Error('The account and index must be integers from 0 to 2^31 - 1');
+  }
+
+  const root = HDKey.fromMasterSeed(bip39.mnemonicToSeedSync(normalizeMnemonic(mnemonic), passphrase));
+  const key = root.derive(`m/44'/${MIDNIGHT_COIN_TYPE}'/${account}'/${ZSWAP_ROLE}/${index}`);
+  return Buffer.from(key.privateKey).toString('hex');
+}
+
+function isValidSeed(seed) {
+  return typeof seed === 'string' && SEED_PATTERN.test(seed);
+}
+
+/**
+ * The shielded address of a wallet seed on a network, without connecting
+ * to it: the keys come from zswap and the Bech32m encoding from the wallet
+ * SDK's address format. Both are ES modules, so this is async.
+ */
+async function deriveAddress(seed, networkId = 'TestNet') {
+  if (!isValidSeed(seed)) {
+    throw new Error('A wallet seed is 64 hex characters');
+  }
+  if (!NETWORK_IDS.includes(networkId)) {
+    throw new Error(`Unknown network ${networkId}, expected one of ${NETWORK_IDS.join(', ')}`);
+  }
+
+  const { NetworkId, SecretKeys } = await import('@midnight-ntwrk/zswap');
+  const { ShieldedAddress, ShieldedCoinPublicKey, ShieldedEncryptionPublicKey } =
+    await import('@midnight-ntwrk/wallet-sdk-address-format');
+
+  const keys = SecretKeys.fromSeed(Buffer.from(seed, 'hex'));
+  const address = new ShieldedAddress(
+    new ShieldedCoinPublicKey(Buffer.from(keys.coinPublicKey, 'hex')),
+    new ShieldedEncryptionPublicKey(Buffer.from(keys.encryptionPublicKey, 'hex'))
+  );
+  return ShieldedAddress.codec.encode(NetworkId[networkId], address).asString();
+}
+
+/**
+ * The addresses of a wallet seed on every network, keyed by network id
+ */
+async function deriveAddresses(seed) {
+  const addresses = {};
+  for (const networkId of NETWORK_IDS) {
+    addresses[networkId] = await deriveAddress(seed, networkId);
+  }
+  return addresses;
+}
+
+module.exports = {
+  NETWORK_IDS,
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  isValidSeed,
+  deriveAddress,
+  deriveAddresses
+};
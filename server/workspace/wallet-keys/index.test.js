@@ -0,0 +1,116 @@
+import { HDKey } from '@scure/bip32';
+import { describe, expect, it } from 'vitest';
+import {
+  NETWORK_IDS,
+  deriveAddress,
+  deriveAddresses,
+  generateMnemonic,
+  isValidSeed,
+  mnemonicToSeed,
+  validateMnemonic
+} from './index.js';
+
+// The first test vector of BIP39, with its passphrase and seed
+const VECTOR_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const VECTOR_PASSPHRASE = 'TREZOR';
+const VECTOR_SEED =
+  'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04';
+
+// The wallet seed of the vector's phrase without passphrase, at m/44'/2400'/0'/3/0
+const WALLET_SEED = '92933dd3dff04c57c9f8950d6e08bd5c6f295655c03627a658e09b0726558cad';
+
+const ADDRESSES = {
+  Undeployed: 'mn_shield-addr_undeployed13264lfkg3ct2gqsnmhcfqk3224wr4vdjl794gnwmucjcypqqvqrqxqx0htu2c4xt3lsekzyyuscsnvx4n45pyc9ucpaa95ltev2fyql4855lrkte',
+  DevNet: 'mn_shield-addr_dev13264lfkg3ct2gqsnmhcfqk3224wr4vdjl794gnwmucjcypqqvqrqxqx0htu2c4xt3lsekzyyuscsnvx4n45pyc9ucpaa95ltev2fyql485hyv64y',
+  TestNet: 'mn_shield-addr_test13264lfkg3ct2gqsnmhcfqk3224wr4vdjl794gnwmucjcypqqvqrqxqx0htu2c4xt3lsekzyyuscsnvx4n45pyc9ucpaa95ltev2fyql485n0e0hu',
+  MainNet: 'mn_shield-addr13264lfkg3ct2gqsnmhcfqk3224wr4vdjl794gnwmucjcypqqvqrqxqx0htu2c4xt3lsekzyyuscsnvx4n45pyc9ucpaa95ltev2fyql485jcc378'
+};
+
+describe('mnemonicToSeed', () => {
+  it('derives the key at the Midnight path of the BIP39 seed', () => {
+    const expected = HDKey.fromMasterSeed(Buffer.from(VECTOR_SEED, 'hex')).derive("m/44'/2400'/0'/3/0");
+
+    expect(mnemonicToSeed(VECTOR_MNEMONIC, { passphrase: VECTOR_PASSPHRASE })).toBe(
+      Buffer.from(expected.privateKey).toString('hex')
+    );
+  });
+
+  it('always gives the same seed for a phrase, whatever its spacing and case', () => {
+    expect(mnemonicToSeed(VECTOR_MNEMONIC)).toBe(WALLET_SEED);
+    expect(mnemonicToSeed(`  ${VECTOR_MNEMONIC.toUpperCase().replace(/ /g, '\n  ')} `)).toBe(WALLET_SEED);
+  });
+
+  it('selects other wallets of the same phrase by passphrase, account and index', () => {
+    const seeds = [
+      mnemonicToSeed(VECTOR_MNEMONIC),
+      mnemonicToSeed(VECTOR_MNEMONIC, { passphrase: VECTOR_PASSPHRASE }),
+      mnemonicToSeed(VECTOR_MNEMONIC, { account: 1 }),
+      mnemonicToSeed(VECTOR_MNEMONIC, { index: 1 })
+    ];
+
+    expect(new Set(seeds).size).toBe(4);
+    seeds.forEach(seed => expect(isValidSeed(seed)).toBe(true));
+  });
+
+  it('rejects a phrase with a bad checksum and out of range indices', () => {
+    const badChecksum = VECTOR_MNEMONIC.replace(/about$/, 'abandon');
+
+    expect(validateMnemonic(badChecksum)).toBe(false);
+    expect(() => mnemonicToSeed(badChecksum)).toThrow('Invalid recovery phrase');
+    expect(() => mnemonicToSeed('abandon abandon about')).toThrow('Invalid recovery phrase');
+    expect(() => mnemonicToSeed(VECTOR_MNEMONIC, { index: -1 })).toThrow('The account and index must be integers');
+    expect(() => mnemonicToSeed(VECTOR_MNEMONIC, { account: 2 ** 31 })).toThrow('The account and index must be integers');
+  });
+});
+
+describe('generateMnemonic', () => {
+  it('generates valid phrases of 24 or 12 words', () => {
+    expect(generateMnemonic().split(' ')).toHaveLength(24);
+    expect(generateMnemonic(128).split(' ')).toHaveLength(12);
+    expect(validateMnemonic(generateMnemonic())).toBe(true);
+  });
+});
+
+describe('isValidSeed', () => {
+  it('only takes 32 bytes of hex', () => {
+    expect(isValidSeed(WALLET_SEED)).toBe(true);
+    expect(isValidSeed(WALLET_SEED.toUpperCase())).toBe(true);
+    expect(isValidSeed(WALLET_SEED.slice(1))).toBe(false);
+    expect(isValidSeed(`${WALLET_SEED.slice(1)}g`)).toBe(false);
+    expect(isValidSeed(`0x${WALLET_SEED.slice(2)}`)).toBe(false);
+    expect(isValidSeed(undefined)).toBe(false);
+  });
+});
+
+describe('deriveAddress', () => {
+  it('encodes the address of the seed for each network', async () => {
+    for (const networkId of NETWORK_IDS) {
+      expect(await deriveAddress(WALLET_SEED, networkId)).toBe(ADDRESSES[networkId]);
+    }
+    expect(await deriveAddress(WALLET_SEED)).toBe(ADDRESSES.TestNet);
+  });
+
+  it('rejects a malformed seed and an unknown network', async () => {
+    await expect(deriveAddress('not a seed')).rejects.toThrow('A wallet seed is 64 hex characters');
+    await expect(deriveAddress(`${WALLET_SEED.slice(2)}zz`)).rejects.toThrow('A wallet seed is 64 hex characters');
+    await expect(deriveAddress(WALLET_SEED, 'Mars')).rejects.toThrow('Unknown network Mars');
+  });
+});
+
+describe('deriveAddresses', () => {
+  it('gives one address per network, keyed by network id', async () => {
+    const addresses = await deriveAddresses(WALLET_SEED);
+
+    expect(Object.keys(addresses)).toEqual(NETWORK_IDS);
+    expect(addresses).toEqual(ADDRESSES);
+  });
+
+  it('gives every index of a phrase its own addresses', async () => {
+    const [first, second] = await Promise.all(
+      [0, 1].map(index => deriveAddresses(mnemonicToSeed(VECTOR_MNEMONIC, { index })))
+    );
+
+    expect(first).toEqual(ADDRESSES);
+    NETWORK_IDS.forEach(networkId => expect(second[networkId]).not.toBe(first[networkId]));
+  });
+});